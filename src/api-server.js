@@ -4,9 +4,20 @@ import express from 'express';
 import cors from 'cors';
 import puppeteer from 'puppeteer-core';
 import { Chess } from 'chess.js';
-import { UCIEngine } from './uci-engine.js';
-import { readFileSync, readdirSync, statSync } from 'fs';
-import { join, basename } from 'path';
+import { ENGINE_PROTOCOLS, createEngine } from './engine-protocols.js';
+import { MatchRunner, loadOpenings } from './match-runner.js';
+import { SprtRunner } from './sprt.js';
+import { PolyglotBook } from './polyglot-book.js';
+import { SyzygyTablebase } from './syzygy.js';
+import { discoverEngines as scanEngineDir } from './engine-discovery.js';
+import { isRemoteLocation, parseRemoteLocation } from './remote-engine.js';
+import { assignClocks, parseTimeControl } from './chesscom-clocks.js';
+import { Chess960, isChess960Fen, isChess960Start } from './chess960.js';
+import { parseGameResult, boardTermination, crossCheckResult } from './chesscom-result.js';
+import { findBoardPath as searchBoardPath, diffPlacements, SYNC_SEARCH_PLIES } from './board-path.js';
+import { readFileSync, writeFileSync, existsSync, readdirSync, statSync, createReadStream } from 'fs';
+import { join, basename, isAbsolute, resolve, sep } from 'path';
+import { createHash } from 'crypto';
 
 /**
  * API Server for chess.com move automation
@@ -42,11 +53,21 @@ let gameActive = false;
 let chess = new Chess();
 let moveHistory = []; // Track moves in UCI format (e2e4, e7e5, etc.)
 let startingFen = null; // If game started from custom position, store the FEN here
+let chess960 = false; // Current game is Chess960: X-FEN castling, king-takes-rook castling moves, UCI_Chess960 on the engine
 
 // Engine state
 let engine = null;
 let engineEnabled = false;
 
+// Local engine-vs-engine match or SPRT (one at a time)
+let match = null;
+
+// Engine supervisor: restarts a crashed or hung engine, giving up after
+// ENGINE_RESTART_LIMIT restarts within ENGINE_RESTART_WINDOW_MS
+const ENGINE_RESTART_LIMIT = 5;
+const ENGINE_RESTART_WINDOW_MS = 60000;
+let engineSupervisor = { restarting: false, restarts: 0, recentRestarts: [], gaveUp: false, lastError: null };
+
 // Autoplay state
 let autoplayEnabled = false;
 let autoplayColor = 'white'; // 'white' or 'black'
@@ -55,59 +76,1071 @@ let autoplayInterval = null;
 let autoplayBusy = false; // Prevent concurrent autoplay actions
 let lastQueryFen = null; // Track last position we queried to prevent duplicate queries
 let engineConfig = {
-  mode: config.engine?.mode || 'nodes', // 'nodes' or 'time'
+  mode: config.engine?.mode || 'nodes', // 'nodes', 'depth' or 'time'
   nodes: config.engine?.nodes || 1000000,
+  depth: config.engine?.depth || 20, // Depth limit for depth mode
+  movetime: config.engine?.movetime || null, // Optional time cap (ms) for nodes/depth modes
   threads: config.engine?.threads || 1,
   timeControl: {
     base: config.engine?.timeControl?.base || 60000,
     increment: config.engine?.timeControl?.increment || 1000,
     threads: config.engine?.timeControl?.threads || 8
   },
+  ponder: config.engine?.ponder || false, // Think on the opponent's time
+  chess960: config.engine?.chess960 ?? 'auto', // 'auto' (detect 960 games), true or false
   selectedEngine: null, // Currently selected engine name
-  uciOptions: {} // Custom UCI options
+  uciOptions: {}, // Custom UCI options for the selected engine (others are kept in sessionUciOptions)
+  book: {
+    file: config.engine?.book?.file || null, // Polyglot .bin in the engines directory (null = no book)
+    selection: config.engine?.book?.selection || 'weighted', // 'weighted' (random by weight) or 'best'
+    maxDepth: config.engine?.book?.maxDepth ?? 20 // Stop using the book after this many plies
+  },
+  // End hopeless or dead-drawn bot games early (null = rule off)
+  adjudication: {
+    resign: config.engine?.adjudication?.resign || null, // { score, moves }: resign after `moves` searches at or below -score cp
+    draw: config.engine?.adjudication?.draw || null // { score, moves, afterMove }: offer a draw after `moves` searches within ±score cp
+  }
+};
+
+// Loaded Polyglot book for engineConfig.book.file
+let openingBook = null;
+
+// Syzygy tablebases: forwarded to engines as SyzygyPath and probed locally
+const tablebaseConfig = {
+  path: config.tablebases?.path || null
 };
+let tablebase = null;
+let lastTablebaseVerdict = null; // Last autoplay probe: { fen, ...verdict }
 
 // Time tracking for time control mode
+// Synced from the chess.com clocks before each search; on its own it's only a fallback
 let timeTracking = {
   whiteTime: engineConfig.timeControl.base,
   blackTime: engineConfig.timeControl.base,
   increment: engineConfig.timeControl.increment
 };
+let lastClockReading = null; // Last clocks read from the page: { white, black, running, increment, incrementSource, timeControl, readAt }
+
+// Adjudication progress in the current game: consecutive searches that met each rule, and whether
+// a rule ended the game (autoplay stops searching until a new game starts; see resetGameState())
+let adjudicationState = { resignStreak: 0, drawStreak: 0, ended: false };
+let lastAdjudication = null; // Last rule that fired: { rule, action, clicked, gameEnded, score, moveNumber, fen, time }
+
+// Pondering state: { move, search, hit } while the engine thinks on the expected reply
+let ponderState = null;
+
+// New-game detection: what the page showed at the last poll
+let gameWatch = { key: null, gameOver: false }; // key: chess.com game id, or the page path when the URL has none
+let lastGameStart = null; // Last detected new game: { reason, color, opponent, url, gameId, previousMoveCount, time }
+let lastGameResult = null; // Result of the current game once it ended (see readGameResult())
+
+// Search info streaming (Server-Sent Events)
+let streamClients = new Set(); // Open /engine/stream responses
+let streamContext = null; // { source, fen } of the search currently running
+
+const ENGINES_DIR = './engines';
+const OPENINGS_DIR = join(ENGINES_DIR, 'openings');
+const PROFILES_FILE = './engines.json';
+
+// Search settings that the selected engine's profile replaced: { field: { previous, applied } }
+let profileLimitsBackup = {};
+
+// UCI options set through POST /engine/config for engines that aren't selected, by engine name
+// (the selected engine's options live in engineConfig.uciOptions)
+const sessionUciOptions = new Map();
+
+/**
+ * Scan the engines directory (and per-engine subfolders) for executables,
+ * plus remote engines from profiles with a tcp:// location
+ * A profile's location replaces a local binary of the same name.
+ * @returns {{engines: Array<object>, skipped: Array<{name: string, reason: string}>}}
+ */
+function scanEngines() {
+  let scan;
+  try {
+    scan = scanEngineDir(ENGINES_DIR);
+  } catch (error) {
+    console.warn('Could not read engines directory:', error.message);
+    scan = { engines: [], skipped: [] };
+  }
+
+  const remote = Object.entries(loadProfiles())
+    .filter(([, profile]) => isRemoteLocation(profile?.location))
+    .map(([name, profile]) => ({ name, path: profile.location, size: null, format: 'remote', executable: true, modified: null }));
+
+  const engines = scan.engines.filter(e => !remote.some(r => r.name === e.name)).concat(remote);
+  engines.sort((a, b) => a.name.localeCompare(b.name));
+
+  return { engines, skipped: scan.skipped };
+}
+
+/**
+ * Discover available chess engines in the engines directory
+ */
+function discoverEngines() {
+  return scanEngines().engines;
+}
+
+/**
+ * Error message for an engine this machine can't start
+ */
+function notExecutableError(engineInfo) {
+  const hint = engineInfo.reason === 'missing execute permission'
+    ? `. Please make it executable: chmod +x ${engineInfo.path}`
+    : '';
+  return `Engine "${engineInfo.name}" can't be started: ${engineInfo.reason}${hint}`;
+}
+
+/**
+ * Discover Polyglot opening books (.bin) in the engines directory
+ */
+function discoverBooks() {
+  try {
+    return readdirSync(ENGINES_DIR)
+      .filter(file => file.toLowerCase().endsWith('.bin'))
+      .map(file => {
+        const fullPath = join(ENGINES_DIR, file);
+        const stats = statSync(fullPath);
+        return { name: file, path: fullPath, size: stats.size, entries: Math.floor(stats.size / 16) };
+      });
+  } catch (error) {
+    console.warn('Could not read books from engines directory:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Path of an openings file named in a match request
+ * Like books, openings files live under the engines directory: absolute paths and ".." are
+ * refused so a request can't read other files on the server.
+ */
+function resolveOpeningsPath(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('openings must be a file name');
+  }
+  if (isAbsolute(name) || /^[a-zA-Z]:/.test(name) || name.split(/[\\/]/).includes('..')) {
+    throw new Error(`openings must name a file in ${OPENINGS_DIR} (no absolute paths or "..")`);
+  }
+
+  const filePath = join(OPENINGS_DIR, name);
+  if (!resolve(filePath).startsWith(resolve(OPENINGS_DIR) + sep)) {
+    throw new Error(`openings must name a file in ${OPENINGS_DIR}`);
+  }
+  return filePath;
+}
+
+/**
+ * Open the book a book config names, without making it the current one
+ * Throws if the file is missing or not a Polyglot book.
+ * @param {{file: string|null}} settings - Book settings (see engineConfig.book)
+ * @returns {PolyglotBook|null} null when no file is named
+ */
+function openBook(settings) {
+  if (!settings.file) return null;
+
+  const found = discoverBooks().find(b => b.name === settings.file);
+  if (!found) {
+    throw new Error(`Book not found in ${ENGINES_DIR}: ${settings.file}`);
+  }
+  return new PolyglotBook(found.path);
+}
+
+/**
+ * Load the book named in engineConfig.book.file (or unload it when null)
+ * Throws if the file is missing or not a Polyglot book.
+ */
+function loadOpeningBook() {
+  openingBook = null; // Stays unloaded if the file can't be opened
+  openingBook = openBook(engineConfig.book);
+  logOpeningBook();
+}
+
+/**
+ * Log the book that is now in use
+ */
+function logOpeningBook() {
+  if (!openingBook) return;
+  console.log(`📖 Opening book loaded: ${engineConfig.book.file} (${openingBook.entryCount} entries, ${engineConfig.book.selection}, max ${engineConfig.book.maxDepth} plies)`);
+}
+
+/**
+ * Pick a book move for a position, if a book is loaded and we're still within its depth
+ * @param {Chess} position
+ * @returns {{move: string, weight: number, totalWeight: number, candidates: number}|null}
+ */
+function bookMove(position) {
+  if (!openingBook) return null;
+
+  // Game ply from the FEN counters, so custom starting positions count their earlier moves
+  const ply = (position.moveNumber() - 1) * 2 + (position.turn() === 'b' ? 1 : 0);
+  if (ply >= engineConfig.book.maxDepth) return null;
+
+  return openingBook.pick(position, engineConfig.book.selection);
+}
+
+/**
+ * Engine profiles from engines.json, keyed by engine name (file name in engines/)
+ * Read on every use, so hand edits apply at the next enable/switch without a restart.
+ */
+function loadProfiles() {
+  if (!existsSync(PROFILES_FILE)) return {};
+
+  try {
+    const profiles = JSON.parse(readFileSync(PROFILES_FILE, 'utf8'));
+    return profiles && typeof profiles === 'object' && !Array.isArray(profiles) ? profiles : {};
+  } catch (error) {
+    console.warn(`Warning: Could not read ${PROFILES_FILE}: ${error.message}`);
+    return {};
+  }
+}
+
+function saveProfiles(profiles) {
+  writeFileSync(PROFILES_FILE, JSON.stringify(profiles, null, 2) + '\n');
+}
+
+/**
+ * A profile as shown in API responses: the remote engine's secret is masked
+ */
+function publicProfile(profile) {
+  return profile.secret ? { ...profile, secret: '********' } : profile;
+}
+
+/**
+ * Check a profile's fields
+ * @returns {string|null} Error message, or null if the profile is valid
+ */
+function validateProfile(profile) {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const allowed = ['displayName', 'protocol', 'location', 'secret', 'args', 'cwd', 'env', 'uciOptions', 'limits'];
+
+  const unknown = Object.keys(profile).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown profile field(s): ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`;
+  }
+
+  const { displayName, protocol, location, secret, args, cwd, env, uciOptions, limits } = profile;
+
+  if (displayName !== undefined && typeof displayName !== 'string') {
+    return 'displayName must be a string';
+  }
+  if (protocol !== undefined && !ENGINE_PROTOCOLS[protocol]) {
+    return `protocol must be one of: ${Object.keys(ENGINE_PROTOCOLS).join(', ')}`;
+  }
+  if (location !== undefined) {
+    try {
+      parseRemoteLocation(location);
+    } catch (error) {
+      return error.message;
+    }
+    // The engine server decides how its binary is started
+    if (args !== undefined || cwd !== undefined || env !== undefined) {
+      return 'args, cwd and env apply to local engines; pass them to engine-server.js for a remote one';
+    }
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length === 0)) {
+    return 'secret must be a non-empty string';
+  }
+  if (args !== undefined && (!Array.isArray(args) || args.some(arg => typeof arg !== 'string'))) {
+    return 'args must be an array of strings';
+  }
+  if (cwd !== undefined && (typeof cwd !== 'string' || !existsSync(cwd) || !statSync(cwd).isDirectory())) {
+    return `cwd must be an existing directory (got ${JSON.stringify(cwd)})`;
+  }
+  if (env !== undefined && (!isObject(env) || Object.values(env).some(value => typeof value !== 'string'))) {
+    return 'env must be an object of string values';
+  }
+  if (uciOptions !== undefined && (!isObject(uciOptions)
+    || Object.values(uciOptions).some(value => !['string', 'number', 'boolean'].includes(typeof value)))) {
+    return 'uciOptions must map option names to strings, numbers or booleans';
+  }
+
+  if (limits !== undefined) {
+    if (!isObject(limits)) return 'limits must be an object';
+
+    const { mode, nodes, depth, movetime, timeControl, ...rest } = limits;
+    const positive = (value) => Number.isInteger(value) && value > 0;
+
+    if (Object.keys(rest).length > 0) {
+      return `Unknown limits field(s): ${Object.keys(rest).join(', ')}. Allowed: mode, nodes, depth, movetime, timeControl`;
+    }
+    if (mode !== undefined && mode !== 'nodes' && mode !== 'depth' && mode !== 'time') {
+      return 'limits.mode must be "nodes", "depth" or "time"';
+    }
+    if ((nodes !== undefined && !positive(nodes)) || (depth !== undefined && !positive(depth))) {
+      return 'limits.nodes and limits.depth must be positive integers';
+    }
+    if (movetime !== undefined && movetime !== null && !positive(movetime)) {
+      return 'limits.movetime must be a positive number of milliseconds, or null for no cap';
+    }
+    if (timeControl !== undefined) {
+      if (!isObject(timeControl)) return 'limits.timeControl must be an object';
+      const { base, increment, threads } = timeControl;
+      if ((base !== undefined && !positive(base))
+        || (increment !== undefined && !(Number.isInteger(increment) && increment >= 0))
+        || (threads !== undefined && !positive(threads))) {
+        return 'limits.timeControl needs a positive base, a non-negative increment and positive threads';
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Use a profile's search limits while its engine is selected
+ * Settings the previous profile replaced are restored first, unless they were changed since.
+ */
+function applyProfileLimits(profile) {
+  let timeControlChanged = false;
+
+  for (const [field, { previous, applied }] of Object.entries(profileLimitsBackup)) {
+    if (JSON.stringify(engineConfig[field]) === JSON.stringify(applied)) {
+      engineConfig[field] = previous;
+      timeControlChanged ||= field === 'timeControl';
+    }
+  }
+  profileLimitsBackup = {};
+
+  for (const [field, value] of Object.entries(profile?.limits || {})) {
+    const applied = field === 'timeControl' ? { ...engineConfig.timeControl, ...value } : value;
+    profileLimitsBackup[field] = { previous: engineConfig[field], applied };
+    engineConfig[field] = applied;
+    timeControlChanged ||= field === 'timeControl';
+  }
+
+  // A new time control restarts the clocks, as in POST /engine/config
+  if (timeControlChanged) {
+    timeTracking.whiteTime = engineConfig.timeControl.base;
+    timeTracking.blackTime = engineConfig.timeControl.base;
+    timeTracking.increment = engineConfig.timeControl.increment;
+  }
+}
+
+/**
+ * Swap engineConfig.uciOptions over to another engine's session options
+ * Options stored while no engine was running go to the engine being started.
+ */
+function selectSessionOptions(previousEngine, nextEngine) {
+  if (previousEngine) {
+    sessionUciOptions.set(previousEngine, engineConfig.uciOptions);
+    engineConfig.uciOptions = {};
+  }
+  engineConfig.uciOptions = { ...(sessionUciOptions.get(nextEngine) || {}), ...engineConfig.uciOptions };
+}
+
+/**
+ * Build and start the engine for a discovered binary, with its profile applied
+ * @param {string} protocol - 'uci' or 'xboard'
+ */
+async function startEngine(engineInfo, profile, protocol) {
+  const threads = engineThreads();
+  engine = createEngine(protocol, engineInfo.path, {
+    threads,
+    args: profile.args,
+    cwd: profile.cwd,
+    env: profile.env,
+    secret: profile.secret,
+    syzygyPath: tablebaseConfig.path,
+    // Profile defaults, then options set for this engine during the session
+    uciOptions: {
+      ...profile.uciOptions,
+      ...engineConfig.uciOptions,
+      ...(engineConfig.ponder && { Ponder: true }),
+      ...(chess960 && { UCI_Chess960: true })
+    }
+  });
+  engine.on('searchInfo', onEngineSearchInfo);
+  superviseEngine(engine);
+
+  await engine.start();
+
+  // Options stored while no engine ran are only checked now - forget the ones this engine refused
+  for (const { name } of engine.skippedOptions) {
+    delete engineConfig.uciOptions[name];
+  }
+}
+
+/**
+ * Log lines describing a profile's launch settings
+ */
+function logProfile(name, profile) {
+  if (Object.keys(profile).length === 0) return;
+
+  console.log(`   Profile: ${profile.displayName || name}`);
+  if (profile.protocol) console.log(`   Protocol: ${profile.protocol}`);
+  if (profile.location) console.log(`   Location: ${profile.location}`);
+  if (profile.args?.length) console.log(`   Args: ${profile.args.join(' ')}`);
+  if (profile.cwd) console.log(`   Working directory: ${profile.cwd}`);
+  if (profile.env) console.log(`   Environment: ${Object.keys(profile.env).join(', ')}`);
+  if (profile.uciOptions) console.log(`   Default options: ${Object.entries(profile.uciOptions).map(([k, v]) => `${k}=${v}`).join(', ')}`);
+}
+
+/**
+ * Protocol for starting an engine: from the request, else its profile, else UCI
+ * @returns {{protocol?: string, error?: string}}
+ */
+function resolveProtocol(requested, profile) {
+  const protocol = requested || profile.protocol || 'uci';
+  if (!ENGINE_PROTOCOLS[protocol]) {
+    return { error: `Unknown protocol "${protocol}". Use one of: ${Object.keys(ENGINE_PROTOCOLS).join(', ')}` };
+  }
+  return { protocol };
+}
+
+// Probe results keyed by "path:mtime", so a rebuilt binary is probed again
+const engineProbeCache = new Map();
+
+/**
+ * SHA-256 of a file, streamed so large engine binaries aren't read into memory at once
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Identify a discovered engine: file fingerprint plus the handshake's id lines
+ * Without a protocol in the profile, UCI is tried first and then xboard.
+ */
+async function probeEngine(engineInfo) {
+  const { protocol, args, cwd, env, secret } = loadProfiles()[engineInfo.name] || {};
+  const launch = { args, cwd, env, secret };
+  // Remote engines have no file to fingerprint and can change at any time, so they aren't cached
+  const remote = isRemoteLocation(engineInfo.path);
+  const cacheKey = remote ? null : `${engineInfo.path}:${engineInfo.modified.getTime()}:${protocol}:${JSON.stringify(launch)}`;
+  if (engineProbeCache.has(cacheKey)) {
+    return { ...engineProbeCache.get(cacheKey), cached: true };
+  }
+
+  let sha256 = null;
+  if (!remote) {
+    try {
+      sha256 = await hashFile(engineInfo.path);
+    } catch (error) {
+      console.warn(`Could not hash ${engineInfo.path}:`, error.message);
+    }
+  }
+
+  console.log(`🔍 Probing engine: ${engineInfo.name}`);
+  let handshake;
+  for (const candidate of protocol ? [protocol] : Object.keys(ENGINE_PROTOCOLS)) {
+    handshake = { ...await ENGINE_PROTOCOLS[candidate].probe(engineInfo.path, 3000, launch), protocol: candidate };
+    if (handshake.ok) break;
+  }
+  if (!handshake.ok) {
+    handshake.protocol = protocol || null;
+  }
+  if (handshake.ok) {
+    console.log(`   ✓ ${handshake.idName || 'unnamed'} (${handshake.protocol}, ${handshake.optionCount} options)`);
+  } else {
+    console.log(`   ✗ Handshake failed: ${handshake.error}`);
+  }
+
+  const probe = { sha256, ...handshake, probedAt: new Date().toISOString() };
+  if (!remote) engineProbeCache.set(cacheKey, probe);
+  return { ...probe, cached: false };
+}
+
+/**
+ * A chess.js board for the current game, with Chess960 castling while a 960 game is on
+ * @param {string|null} [fen] - Position to load (default: the standard start position)
+ */
+function createGame(fen) {
+  if (chess960) return fen ? new Chess960(fen) : new Chess960();
+  return fen ? new Chess(fen) : new Chess();
+}
+
+/**
+ * Starting FEN for a 960 game read off the board
+ * At a 960 start every castling right still stands, whatever the DOM fallback inferred.
+ */
+function chess960StartingFen(fen) {
+  if (!isChess960Start(fen)) return new Chess960(fen).fen();
+
+  const [placement, turn = 'w'] = fen.split(' ');
+  return new Chess960(`${placement} ${turn} KQkq - 0 1`).fen();
+}
+
+/**
+ * Where the kings and castling rooks stood at the start of the current 960 game
+ * (no startingFen means the game began from the standard position, SP518)
+ * @returns {{white: {king: string|null, rooks: string[]}, black: {king: string|null, rooks: string[]}}}
+ */
+function chess960CastlingStart() {
+  const start = startingFen ? new Chess960(startingFen) : new Chess960();
+  const rights = start.castlingRights();
+
+  return {
+    white: { king: start.kingFile('w'), rooks: rights.w },
+    black: { king: start.kingFile('b'), rooks: rights.b }
+  };
+}
+
+/**
+ * Switch Chess960 mode on or off for the current game
+ * @param {boolean} enabled
+ * @param {string} reason - Shown in the log
+ */
+async function setChess960(enabled, reason) {
+  if (chess960 === enabled) return;
+
+  chess960 = enabled;
+  chess = createGame();
+  console.log(`   ♘ Chess960 ${enabled ? 'on' : 'off'} (${reason})`);
+
+  await applyChess960Option();
+}
+
+/**
+ * Send UCI_Chess960 to the running engine for the current mode
+ */
+async function applyChess960Option() {
+  if (!engineEnabled || !engine) return;
+
+  const validation = engine.validateOption('UCI_Chess960', chess960);
+  if (validation.valid) {
+    try {
+      await engine.setUCIOption('UCI_Chess960', chess960);
+    } catch (error) {
+      console.warn(`   ⚠ Could not set UCI_Chess960: ${error.message}`);
+    }
+  } else if (chess960) {
+    console.warn(`   ⚠ ${engineConfig.selectedEngine} can't be told about Chess960: ${validation.error}`);
+  }
+}
+
+/**
+ * Turn Chess960 mode on or off for a new game, as engineConfig.chess960 says
+ * In 'auto' mode a non-standard 960 start, a FEN with rook-file castling rights or a
+ * chess960 game URL switches it on, and the standard start switches it off. Mid-game
+ * positions with no such sign keep the current mode.
+ */
+async function detectChess960(fen) {
+  if (engineConfig.chess960 !== 'auto') {
+    return setChess960(engineConfig.chess960, 'config');
+  }
+
+  // The placement alone: castling letters inferred during a previous 960 game don't count
+  if (isChess960Fen(fen.split(' ')[0])) {
+    return setChess960(true, 'Chess960 start position');
+  }
+  if (/chess-?960/i.test(page?.url() || '')) {
+    return setChess960(true, 'Chess960 game page');
+  }
+  if (isChess960Start(fen)) {
+    return setChess960(false, 'standard start position');
+  }
+  if (isChess960Fen(fen)) {
+    return setChess960(true, 'rook-file castling rights');
+  }
+}
+
+/**
+ * Rebuild the game position from startingFen + moveHistory
+ * Returns a Chess instance, or null if the history contains an invalid move
+ * @param {string[]} [moves] - Plies to replay instead of moveHistory
+ */
+function replayMoveHistory(moves = moveHistory) {
+  const replay = createGame(startingFen);
+
+  for (const move of moves) {
+    const from = move.substring(0, 2);
+    const to = move.substring(2, 4);
+    const promotion = move.length > 4 ? move[4] : undefined;
+    try {
+      replay.move({ from, to, promotion });
+    } catch (err) {
+      return null;
+    }
+  }
+
+  return replay;
+}
+
+/**
+ * Authoritative FEN for a placement read from the DOM
+ * The DOM only shows where the pieces stand; castling rights, the en-passant square and
+ * the move clocks come from replaying startingFen + moveHistory. The page may be a few plies
+ * ahead of the history or behind it (see findBoardPath()), which still gives a full FEN.
+ * Anything else gives null rather than a FEN with a made-up tail: syncPositionInternal()
+ * logs the squares that differ and re-syncs.
+ */
+function fenFromHistory(domFen) {
+  const path = findBoardPath(domFen.split(' ')[0]);
+  return path ? path.fen : null;
+}
+
+/**
+ * How the board got from the end of moveHistory to a placement (see board-path.js)
+ * @param {string} placement - Piece placement (first FEN field) of the board
+ * @returns {{removed: string[], added: string[], fen: string}|null}
+ */
+function findBoardPath(placement) {
+  return searchBoardPath(placement, { startingFen, moveHistory, createGame });
+}
+
+/**
+ * Convert a UCI principal variation to SAN from the given position
+ * Stops at the first move that is not legal in the line
+ */
+function pvToSan(pv, fen) {
+  const san = [];
+
+  try {
+    const line = createGame(fen);
+    for (const move of pv) {
+      const result = line.move({
+        from: move.substring(0, 2),
+        to: move.substring(2, 4),
+        promotion: move.length > 4 ? move[4] : undefined
+      });
+      san.push(result.san);
+    }
+  } catch (err) {
+    // Engine PV went past a move we can't replay - return what we have
+  }
+
+  return san;
+}
+
+/**
+ * Write one SSE event to every connected stream client
+ */
+function broadcastStreamEvent(event, data) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of streamClients) {
+    client.write(payload);
+  }
+}
+
+/**
+ * Mark the start of an engine search so streamed info lines carry its context
+ * @param {string} source - 'autoplay', 'suggest' or 'analyze'
+ * @param {string} fen - Searched position (defaults to the game position)
+ */
+function beginSearchStream(source, fen = chess.fen()) {
+  streamContext = { source, fen };
+  broadcastStreamEvent('search-start', {
+    ...streamContext,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Mark the end of an engine search
+ * Called for failed searches too: the bestmove event then has no move.
+ */
+function endSearchStream(result) {
+  if (!streamContext) return;
+
+  broadcastStreamEvent('bestmove', {
+    ...streamContext,
+    move: result?.move,
+    ponder: result?.ponder,
+    timestamp: new Date().toISOString()
+  });
+  streamContext = null;
+}
+
+/**
+ * Stream hooks for engine.search() and engine.analyze()
+ * The engine calls them when the search leaves the queue and when it settles, so a
+ * queued request never relabels or ends the search running ahead of it.
+ * @param {string} source - 'autoplay', 'suggest' or 'analyze'
+ * @param {string} fen - Searched position
+ */
+function searchStreamHooks(source, fen) {
+  return {
+    onStart: () => beginSearchStream(source, fen),
+    onEnd: result => endSearchStream(result)
+  };
+}
+
+/**
+ * searchInfo listener attached to every engine we start
+ */
+function onEngineSearchInfo(info) {
+  if (streamClients.size === 0) return;
+
+  const fen = streamContext?.fen || chess.fen();
+  broadcastStreamEvent('info', {
+    source: streamContext?.source || 'unknown',
+    fen,
+    ...info,
+    pvSan: info.pv ? pvToSan(info.pv, fen) : undefined,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Game position for the engine, optionally with extra moves appended
+ * Passed to engine.search()/goPonder() so it is sent inside the engine's command queue.
+ */
+function gamePosition(moves = moveHistory) {
+  return { fen: startingFen || 'startpos', moves };
+}
+
+/**
+ * Thread count for the current mode (node-limited searches stay single-threaded and reproducible)
+ */
+function engineThreads() {
+  return engineConfig.mode === 'nodes' ? 1 : engineConfig.timeControl.threads;
+}
+
+/**
+ * Build engine search limits for the configured mode
+ * @param {object} clock - { wtime, btime, winc, binc } used in time mode (defaults to timeTracking)
+ */
+function searchLimits(clock = null) {
+  if (engineConfig.mode === 'time') {
+    return clock || {
+      wtime: timeTracking.whiteTime,
+      btime: timeTracking.blackTime,
+      winc: timeTracking.increment,
+      binc: timeTracking.increment
+    };
+  }
+
+  const limits = engineConfig.mode === 'depth'
+    ? { depth: engineConfig.depth }
+    : { nodes: engineConfig.nodes };
+
+  // Nodes/depth searches can be capped by time as well
+  if (engineConfig.movetime) {
+    limits.movetime = engineConfig.movetime;
+  }
+
+  return limits;
+}
+
+/**
+ * Human-readable summary of search limits for logs
+ */
+function describeLimits(limits) {
+  if (limits.wtime !== undefined) {
+    return `time control: ${limits.wtime}ms/${limits.btime}ms + ${limits.winc}ms`;
+  }
+  return Object.entries(limits)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key} ${value}`)
+    .join(', ');
+}
+
+/**
+ * Human-readable summary of a search's final info line for logs
+ * e.g. "depth 22/31, cp +35, W/D/L 41.2/52.0/6.8%, 1.8M nodes @ 1.2M nps, hash 34.5%, tbhits 0"
+ */
+function describeSearchInfo(info) {
+  const parts = [];
+
+  if (info.depth !== undefined) {
+    parts.push(`depth ${info.depth}${info.seldepth !== undefined ? `/${info.seldepth}` : ''}`);
+  }
+  if (info.mate !== undefined) {
+    parts.push(`mate ${info.mate}`);
+  } else if (info.score !== undefined) {
+    parts.push(`cp ${info.score > 0 ? '+' : ''}${info.score}`);
+  }
+  if (info.wdl) {
+    parts.push(`W/D/L ${[info.wdl.win, info.wdl.draw, info.wdl.loss].map(n => (n / 10).toFixed(1)).join('/')}%`);
+  }
+
+  const count = (n) => n >= 1e6 ? `${(n / 1e6).toFixed(1)}M` : n >= 1e3 ? `${(n / 1e3).toFixed(1)}k` : `${n}`;
+  if (info.nodes !== undefined) {
+    parts.push(`${count(info.nodes)} nodes${info.nps !== undefined ? ` @ ${count(info.nps)} nps` : ''}`);
+  }
+  if (info.hashfull !== undefined) parts.push(`hash ${(info.hashfull / 10).toFixed(1)}%`);
+  if (info.tbhits !== undefined) parts.push(`tbhits ${info.tbhits}`);
 
-const ENGINES_DIR = './engines';
+  return parts.join(', ');
+}
 
 /**
- * Discover available chess engines in the engines directory
+ * Syzygy verdict for the side to move, or null if the tablebases don't cover the position
+ * @param {Chess} position
+ * @returns {{wdl: string, wdlScore: number, dtz: number|null, outcome: string}|null}
  */
-function discoverEngines() {
+function probeTablebase(position) {
+  if (!tablebase) return null;
+  // Tablebases hold no positions with castling rights, and 960 rights don't load into plain chess.js
+  if (position instanceof Chess960 && position.castlingField() !== '-') return null;
+
   try {
-    const files = readdirSync(ENGINES_DIR);
-    const engines = [];
+    // Probe a copy: the prober plays moves on the board it is given
+    return tablebase.probe(new Chess(position.fen()));
+  } catch (error) {
+    console.warn(`   ⚠ Tablebase probe failed: ${error.message}`);
+    return null;
+  }
+}
 
-    for (const file of files) {
-      const fullPath = join(ENGINES_DIR, file);
-      try {
-        const stats = statSync(fullPath);
+/**
+ * e.g. "win (cursed-win, DTZ 107) for the side to move"
+ */
+function describeTablebaseVerdict(verdict) {
+  const details = [verdict.wdl !== verdict.outcome && verdict.wdl, verdict.dtz !== null && `DTZ ${verdict.dtz}`].filter(Boolean);
+  return `${verdict.outcome}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
 
-        // Check if it's a file
-        if (stats.isFile() && file !== '.gitkeep') {
-          engines.push({
-            name: file,
-            path: fullPath,
-            size: stats.size,
-            executable: true,
-            modified: stats.mtime
-          });
-        }
-      } catch (err) {
-        console.warn(`Could not stat ${fullPath}:`, err.message);
-      }
+/**
+ * Subtract think time from our clock and add the increment (real games only)
+ */
+function chargeSearchTime(timeUsed) {
+  if (autoplayColor === 'white') {
+    timeTracking.whiteTime = timeTracking.whiteTime - timeUsed + timeTracking.increment;
+    console.log(`   ⏱️  White time used: ${timeUsed}ms, remaining: ${timeTracking.whiteTime}ms`);
+  } else {
+    timeTracking.blackTime = timeTracking.blackTime - timeUsed + timeTracking.increment;
+    console.log(`   ⏱️  Black time used: ${timeUsed}ms, remaining: ${timeTracking.blackTime}ms`);
+  }
+}
+
+// Scores at or beyond this count as mate when comparing against adjudication thresholds
+const MATE_SCORE = 100000;
+
+/**
+ * Check adjudication settings from POST /engine/config or config-api.json
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAdjudication(adjudication) {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const positive = (value) => Number.isInteger(value) && value > 0;
+  if (!isObject(adjudication)) return 'adjudication must be { resign, draw }';
+
+  const { resign, draw, ...rest } = adjudication;
+  if (Object.keys(rest).length > 0) {
+    return `Unknown adjudication field(s): ${Object.keys(rest).join(', ')}. Allowed: resign, draw`;
+  }
+  if (resign !== undefined && resign !== null
+    && !(isObject(resign) && positive(resign.score) && positive(resign.moves))) {
+    return 'adjudication.resign must be { "score": <cp>, "moves": <n> } with positive integers, or null';
+  }
+  if (draw !== undefined && draw !== null
+    && !(isObject(draw) && Number.isInteger(draw.score) && draw.score >= 0 && positive(draw.moves)
+      && (draw.afterMove === undefined || (Number.isInteger(draw.afterMove) && draw.afterMove >= 0)))) {
+    return 'adjudication.draw must be { "score": <cp>, "moves": <n>, "afterMove": <move number> } with non-negative integers, or null';
+  }
+  return null;
+}
+
+/**
+ * Count a finished autoplay search towards the adjudication rules
+ * The score is from our side's point of view (we are the side to move).
+ * @returns {'resign'|'draw'|null} The rule that fired, if any
+ */
+function updateAdjudication(info, position) {
+  const { resign, draw } = engineConfig.adjudication;
+
+  if (!info || (info.score === undefined && info.mate === undefined)) return null;
+  const score = info.mate !== undefined ? Math.sign(info.mate || -1) * MATE_SCORE : info.score;
+
+  adjudicationState.resignStreak = resign && score <= -resign.score ? adjudicationState.resignStreak + 1 : 0;
+  adjudicationState.drawStreak = draw && Math.abs(score) <= draw.score && position.moveNumber() >= (draw.afterMove || 0)
+    ? adjudicationState.drawStreak + 1
+    : 0;
+
+  if (resign && adjudicationState.resignStreak >= resign.moves) return 'resign';
+  if (draw && adjudicationState.drawStreak >= draw.moves) return 'draw';
+  return null;
+}
+
+/**
+ * Click chess.com's resign or draw-offer control
+ * @param {'resign'|'draw'} action
+ * @returns {Promise<boolean>} Whether a control was found and clicked
+ */
+async function clickGameControl(action) {
+  if (!page) return false;
+
+  const clicked = await page.evaluate((action) => {
+    const selectors = action === 'resign'
+      ? ['[data-cy="resign-button-with-confirmation"]', '[data-cy="resign-button"]', '.resign-button-component', 'button[aria-label="Resign"]']
+      : ['[data-cy="draw-button"]', '.draw-button-component', 'button[aria-label="Offer Draw"]', 'button[aria-label="Draw"]'];
+    const label = action === 'resign' ? /^resign$/i : /^(½\s*)?(offer )?draw$/i;
+
+    let button = null;
+    for (const selector of selectors) {
+      button = document.querySelector(selector);
+      if (button) break;
     }
 
-    return engines;
+    // Fall back to any visible button whose label or text says what it does
+    if (!button) {
+      button = [...document.querySelectorAll('button, [role="button"]')].find(el =>
+        el.offsetParent !== null &&
+        (label.test((el.getAttribute('aria-label') || '').trim()) || label.test(el.textContent.trim()))
+      ) || null;
+    }
+
+    if (!button) return false;
+    button.click();
+    return true;
+  }, action);
+
+  if (clicked && action === 'resign') {
+    // Resigning asks for confirmation
+    await page.waitForTimeout(300);
+    await page.evaluate(() => {
+      const confirm = document.querySelector('[data-cy="confirm-resign-button"], .resign-button-confirm, .confirm-popover-component .cc-button-primary') ||
+        [...document.querySelectorAll('button')].find(el => el.offsetParent !== null && /^(yes|resign|confirm)$/i.test(el.textContent.trim()));
+      if (confirm) confirm.click();
+    });
+  }
+
+  return clicked;
+}
+
+/**
+ * Resign or offer a draw for a rule that fired, and record it
+ * @returns {Promise<boolean>} True if the game ended by the rule
+ */
+async function applyAdjudication(rule, info, position) {
+  const settings = engineConfig.adjudication[rule];
+  const score = info.mate !== undefined ? `mate ${info.mate}` : `${info.score}cp`;
+
+  console.log(`   ⚖️  Adjudication: ${rule === 'resign' ? `score at or below -${settings.score}cp` : `score within ±${settings.score}cp`} for ${settings.moves} move(s) (now ${score})`);
+
+  let clicked = false;
+  try {
+    clicked = await clickGameControl(rule);
   } catch (error) {
-    console.warn('Could not read engines directory:', error.message);
-    return [];
+    console.error(`   ❌ Could not click the ${rule} control: ${error.message}`);
+  }
+
+  // Give chess.com a moment to end the game (resignation, or the bot accepting the draw)
+  let gameEnded = false;
+  if (clicked) {
+    await page.waitForTimeout(1000);
+    gameEnded = !(await checkGameStatus());
+  }
+
+  lastAdjudication = {
+    rule,
+    action: rule === 'resign' ? 'resigned' : 'draw offered',
+    clicked,
+    gameEnded,
+    score: info.score ?? null,
+    mate: info.mate ?? null,
+    moveNumber: position.moveNumber(),
+    fen: position.fen(),
+    time: new Date().toISOString()
+  };
+
+  if (!clicked) {
+    console.warn(`   ⚠ No ${rule === 'resign' ? 'resign' : 'draw offer'} control found on the page`);
+  } else if (rule === 'resign') {
+    console.log(`   🏳️  Resigned${gameEnded ? '' : ' (game still looks active)'}`);
+  } else {
+    console.log(`   🤝 Draw offered${gameEnded ? ' and accepted' : ''}`);
+  }
+
+  // Offer again only after another full run of drawish searches
+  adjudicationState.drawStreak = 0;
+  adjudicationState.ended = gameEnded || (rule === 'resign' && clicked);
+  return adjudicationState.ended;
+}
+
+/**
+ * Start pondering on the opponent's expected reply after our move
+ */
+function startPonder(ponderMove) {
+  if (!engineEnabled || !engine || !engine.isReady() || engine.isBusy()) return;
+
+  // Only ponder on a reply that is legal after our move
+  const position = replayMoveHistory();
+  if (!position) return;
+  try {
+    position.move({
+      from: ponderMove.substring(0, 2),
+      to: ponderMove.substring(2, 4),
+      promotion: ponderMove.length > 4 ? ponderMove[4] : undefined
+    });
+  } catch (err) {
+    console.log(`   ⚠ Not pondering: ${ponderMove} is not legal here`);
+    return;
+  }
+
+  beginSearchStream('ponder', position.fen());
+  const search = engine.goPonder(searchLimits(), gamePosition([...moveHistory, ponderMove]));
+  search.catch(() => {}); // Handled by whoever awaits the ponder result
+  ponderState = { move: ponderMove, search, hit: false };
+
+  console.log(`   🤔 Pondering on expected reply: ${ponderMove}`);
+}
+
+/**
+ * Abandon the current ponder search (if any) and wait for the engine to settle
+ */
+async function cancelPonder(reason) {
+  if (!ponderState) return;
+
+  const { move } = ponderState;
+  ponderState = null;
+  streamContext = null;
+
+  if (engine) {
+    await engine.stopPonder();
+  }
+
+  console.log(`   ✗ Ponder on ${move} cancelled (${reason})`);
+}
+
+/**
+ * Watch an engine for crashes and hangs (called for every engine we start)
+ */
+function superviseEngine(target) {
+  engineSupervisor = { restarting: false, restarts: 0, recentRestarts: [], gaveUp: false, lastError: null };
+  target.on('crash', (crash) => restartEngine(target, `exited with code ${crash.code}`));
+  target.on('hung', () => restartEngine(target, 'stopped responding'));
+}
+
+/**
+ * Restart the engine and restore the game position so autoplay can carry on
+ */
+async function restartEngine(target, reason) {
+  // Ignore engines that were disabled or replaced in the meantime
+  if (target !== engine || !engineEnabled || engineSupervisor.restarting) return;
+
+  const now = Date.now();
+  engineSupervisor.recentRestarts = engineSupervisor.recentRestarts.filter(t => now - t < ENGINE_RESTART_WINDOW_MS);
+  if (engineSupervisor.recentRestarts.length >= ENGINE_RESTART_LIMIT) {
+    engineSupervisor.gaveUp = true;
+    console.error(`❌ Engine ${reason} - not restarting (${ENGINE_RESTART_LIMIT} restarts in the last ${ENGINE_RESTART_WINDOW_MS / 1000}s)`);
+    console.error('   Check GET /engine/status for the last engine output, then disable and re-enable the engine');
+    return;
+  }
+  engineSupervisor.recentRestarts.push(now);
+  engineSupervisor.restarting = true;
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`🔁 Engine ${reason} - restarting ${engineConfig.selectedEngine}...`);
+
+  // The ponder search and any streamed search died with the old process
+  ponderState = null;
+  streamContext = null;
+
+  try {
+    await target.restart(gamePosition());
+    engineSupervisor.restarts++;
+    engineSupervisor.lastError = null;
+
+    // Let autoplay query the position the crash interrupted
+    lastQueryFen = null;
+
+    console.log(`✓ Engine restarted (${moveHistory.length} moves replayed)`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  } catch (error) {
+    engineSupervisor.lastError = error.message;
+    console.error('❌ Engine restart failed:', error.message);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    setTimeout(() => restartEngine(target, 'failed to restart'), 1000);
+  } finally {
+    engineSupervisor.restarting = false;
   }
 }
 
@@ -190,6 +1223,77 @@ async function getBoardOrientation() {
   }
 }
 
+/**
+ * Read both players' clocks and the game's time control from the page
+ * Returns { white, black, running, increment, incrementSource, timeControl } in milliseconds,
+ * or null if there are no readable clocks (no time control, daily games, other layouts)
+ */
+async function readChessComClocks() {
+  if (!page) return null;
+
+  try {
+    const raw = await page.evaluate(() => {
+      const readClock = (position) => {
+        const clock = document.querySelector(`.clock-component.clock-${position}`) ||
+                      document.querySelector(`.clock-${position}`);
+        if (!clock) return null;
+
+        const display = clock.querySelector('.clock-time-monospace, [data-cy="clock-time"]') || clock;
+        return {
+          text: display.textContent.trim(),
+          color: clock.classList.contains('clock-white') ? 'white' : clock.classList.contains('clock-black') ? 'black' : null,
+          running: clock.classList.contains('clock-player-turn')
+        };
+      };
+
+      // The time control label, e.g. "3 | 2" or "10 min", in the game header or setup panel
+      const timeControlSelectors = [
+        '[data-cy="time-control"]',
+        '.cc-game-header-time-control',
+        '.game-overview-time-control',
+        '.live-game-time-control',
+        '.time-selector-button-label',
+        '.selected-time-control'
+      ];
+      let timeControl = null;
+      for (const selector of timeControlSelectors) {
+        const element = document.querySelector(selector);
+        if (element && element.textContent.trim()) {
+          timeControl = element.textContent.trim();
+          break;
+        }
+      }
+
+      return { top: readClock('top'), bottom: readClock('bottom'), timeControl };
+    });
+
+    const clocks = assignClocks(raw, await getBoardOrientation());
+    if (!clocks || (clocks.white === 0 && clocks.black === 0)) return null;
+
+    // Without a readable label, keep the configured increment
+    const parsedTimeControl = parseTimeControl(raw.timeControl);
+    return {
+      ...clocks,
+      increment: parsedTimeControl ? parsedTimeControl.increment : timeTracking.increment,
+      incrementSource: parsedTimeControl ? 'chess.com' : 'config',
+      timeControl: raw.timeControl
+    };
+  } catch (error) {
+    console.error('Error reading clocks:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Format milliseconds like a chess clock, for logs
+ */
+function formatClock(ms) {
+  const totalSeconds = Math.max(0, ms) / 1000;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds - minutes * 60;
+  return `${minutes}:${seconds < 10 ? '0' : ''}${seconds.toFixed(1)}`;
+}
+
 /**
  * Check if a game is currently active
  */
@@ -210,6 +1314,267 @@ async function checkGameStatus() {
   }
 }
 
+/**
+ * Forget the current game: move history, custom start, clocks, adjudication streaks,
+ * tablebase verdict, game result and pondering, and clear the engine's hash with ucinewgame
+ * Chess960 is re-detected by the next sync.
+ * @param {string} reason - Logged when a ponder search is abandoned
+ * @returns {Promise<{previousMoveCount: number, hadCustomStart: boolean, engineReset: boolean}>}
+ */
+async function resetGameState(reason) {
+  await cancelPonder(reason);
+
+  const previousMoveCount = moveHistory.length;
+  const hadCustomStart = startingFen !== null;
+  moveHistory = [];
+  startingFen = null;
+  chess.reset();
+
+  // Clear lastQueryFen to allow fresh queries after reset
+  lastQueryFen = null;
+
+  timeTracking.whiteTime = engineConfig.timeControl.base;
+  timeTracking.blackTime = engineConfig.timeControl.base;
+  timeTracking.increment = engineConfig.timeControl.increment;
+  lastClockReading = null;
+
+  adjudicationState = { resignStreak: 0, drawStreak: 0, ended: false };
+  lastTablebaseVerdict = null;
+  lastGameResult = null;
+
+  const engineReset = !!(engineEnabled && engine && engine.isReady());
+  if (engineReset) {
+    await engine.newGame();
+  }
+
+  return { previousMoveCount, hadCustomStart, engineReset };
+}
+
+/**
+ * Identify the game on the page: chess.com game URLs carry an id (/game/live/123,
+ * /game/daily/123, /game/computer/123); bot games under /play/computer don't, so the path stands in
+ */
+function gameKeyFromUrl(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return { key: url, gameId: null };
+  }
+  const match = pathname.match(/\/game\/(?:live\/|daily\/|computer\/)?(\d+)/);
+  return match ? { key: `game:${match[1]}`, gameId: match[1] } : { key: pathname, gameId: null };
+}
+
+/**
+ * Read what tells one game from the next: the URL, whether the game-over modal is up,
+ * whether all 32 pieces stand on their starting ranks, and the opponent's name
+ */
+async function readGameIdentity() {
+  if (!page) return null;
+
+  try {
+    return await page.evaluate(() => {
+      const board = document.querySelector('.board');
+      const gameOver = !!document.querySelector('.game-over-modal, .game-over-text');
+
+      // Cheap check before reading the full position: pawns on ranks 2/7, pieces on 1/8
+      const pieces = Array.from(document.querySelectorAll('.piece'));
+      const onStartRanks = pieces.length === 32 && pieces.every(piece => {
+        const squareClass = Array.from(piece.classList).find(c => /^square-\d\d$/.test(c));
+        if (!squareClass) return false;
+        const rank = Number(squareClass[8]);
+        const pawn = piece.classList.contains('wp') || piece.classList.contains('bp');
+        return pawn ? rank === 2 || rank === 7 : rank === 1 || rank === 8;
+      });
+
+      // The opponent sits at the top of the board
+      const opponentElement = document.querySelector(
+        '#board-layout-player-top [data-test-element="user-tagline-username"], ' +
+        '.player-component.player-top .user-username-component, ' +
+        '.board-layout-top .user-username-component'
+      );
+
+      return {
+        url: location.href,
+        hasBoard: !!board,
+        gameOver,
+        onStartRanks,
+        opponent: opponentElement ? opponentElement.textContent.trim() || null : null
+      };
+    });
+  } catch (error) {
+    console.error('Error reading game identity:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Notice that a new game started on the page and reset the game state for it
+ * Triggers: the game id (or URL) changed, or the board is back at a starting position
+ * while the history holds a game or right after the game-over modal closed ("New Game"/
+ * "Rematch"). Closing the modal to look at the final position doesn't count, and short
+ * histories are left to sync's takeback detection.
+ * @returns {Promise<Object|null>} The game-started event, or null if it's the same game
+ */
+async function detectNewGame() {
+  const seen = await readGameIdentity();
+  if (!seen || !seen.hasBoard) return null;
+
+  const { key, gameId } = gameKeyFromUrl(seen.url);
+  const previous = gameWatch;
+  gameWatch = { key, gameOver: seen.gameOver };
+
+  let reason = null;
+  if (previous.key !== null && key !== previous.key) {
+    reason = gameId ? `game id changed to ${gameId}` : `URL changed to ${key}`;
+  } else if (!seen.gameOver && seen.onStartRanks && (previous.gameOver || moveHistory.length > SYNC_SEARCH_PLIES)) {
+    let placement = null;
+    try {
+      placement = (await readBoard())?.placement || null;
+    } catch (error) {
+      console.error('Error reading board for new-game detection:', error.message);
+    }
+
+    if (placement && placement !== chess.fen().split(' ')[0] && isChess960Start(placement)) {
+      reason = previous.gameOver ? 'game-over dialog closed' : 'board returned to the starting position';
+    }
+  }
+
+  if (!reason) return null;
+  return startNewGame(reason, seen, gameId);
+}
+
+/**
+ * Reset for a game detected by detectNewGame() and announce it as a game-started event
+ */
+async function startNewGame(reason, seen, gameId) {
+  console.log('');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`🆕 NEW GAME DETECTED: ${reason}`);
+
+  const { previousMoveCount, engineReset } = await resetGameState('new game');
+  console.log(`   ✓ Cleared ${previousMoveCount} moves from the previous game`);
+  if (engineReset) {
+    console.log('   ✓ Engine reset (ucinewgame)');
+  }
+
+  const color = await getBoardOrientation();
+  if (color && autoplayEnabled && autoplayAutoDetect && color !== autoplayColor) {
+    console.log(`   🔍 Re-detected board orientation: ${autoplayColor} → ${color}`);
+    autoplayColor = color;
+  }
+  console.log(`   Playing as: ${color || 'unknown'}${seen.opponent ? ` vs ${seen.opponent}` : ''}`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('');
+
+  lastGameStart = {
+    reason,
+    color,
+    opponent: seen.opponent,
+    url: seen.url,
+    gameId,
+    previousMoveCount,
+    time: new Date().toISOString()
+  };
+  broadcastStreamEvent('game-started', lastGameStart);
+
+  return lastGameStart;
+}
+
+/**
+ * Read the texts chess.com shows for a finished game: the game-over modal's headline and
+ * reason, the result under the move list, and the player names for "<name> Won" headlines
+ */
+async function readGameOverTexts() {
+  return page.evaluate(() => {
+    const text = selector => {
+      const element = document.querySelector(selector);
+      const value = element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+      return value || null;
+    };
+
+    const modal = document.querySelector('.game-over-modal');
+    return {
+      title: text('.game-over-modal .header-title-component, .game-over-header-title, .game-over-modal .game-over-title'),
+      subtitle: text('.game-over-modal .header-subtitle-component, .game-over-header-subtitle, .game-over-modal .game-over-subtitle'),
+      modalText: modal ? modal.innerText.replace(/\s+/g, ' ').trim() || null : null,
+      gameOverText: text('.game-over-text'),
+      moveListResult: text('wc-simple-move-list .game-result, .move-list .game-result, .game-result'),
+      players: {
+        top: text('#board-layout-player-top [data-test-element="user-tagline-username"], .player-component.player-top .user-username-component, .board-layout-top .user-username-component'),
+        bottom: text('#board-layout-player-bottom [data-test-element="user-tagline-username"], .player-component.player-bottom .user-username-component, .board-layout-bottom .user-username-component')
+      }
+    };
+  });
+}
+
+/**
+ * Replay the game up to what the board shows, moves the history hasn't caught up with
+ * included (the final move usually lands after autoplay stopped syncing), so repetitions count
+ * Falls back to chess.com's own FEN, without history, when the board can't be reached from it.
+ * A DOM-read board the history can't reach gives null: there is no FEN to check then.
+ */
+async function replayToBoard() {
+  let board = null;
+  try {
+    board = await readBoard();
+  } catch (error) {
+    console.error('Error reading board for game result:', error.message);
+  }
+  if (!board) return replayMoveHistory();
+
+  const path = findBoardPath(board.placement);
+  if (path) {
+    return replayMoveHistory([...moveHistory.slice(0, moveHistory.length - path.removed.length), ...path.added]);
+  }
+  if (!board.fen) return null;
+
+  try {
+    return createGame(board.fen);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * How the current game ended: 1-0/0-1/1/2-1/2 and the termination, read from the
+ * game-over modal or the move list and cross-checked with chess.js for endings the
+ * board decides (see chesscom-result.js)
+ * The first result read for a game is logged and pushed as a game-over stream event.
+ * @returns {Promise<Object>} { over: false } while the game runs, otherwise the result
+ */
+async function readGameResult() {
+  if (!page) return null;
+
+  let raw = null;
+  try {
+    raw = await readGameOverTexts();
+  } catch (error) {
+    console.error('Error reading game result:', error.message);
+  }
+
+  const orientation = await getBoardOrientation();
+  const game = await replayToBoard();
+  const checked = crossCheckResult(parseGameResult(raw, orientation), boardTermination(game));
+  if (!checked) return { over: false };
+
+  const result = {
+    over: true,
+    ...checked,
+    fen: game ? game.fen() : null,
+    plies: game ? game.history().length : null
+  };
+
+  if (!lastGameResult || lastGameResult.result !== result.result || lastGameResult.termination !== result.termination) {
+    const verdict = result.verified === true ? 'verified' : result.verified === false ? 'NOT confirmed by the board' : 'not board-decidable';
+    console.log(`🏁 Game over: ${result.result}${result.termination ? ` by ${result.termination}` : ''} (${result.source}, ${verdict})`);
+    lastGameResult = { ...result, detectedAt: new Date().toISOString() };
+    broadcastStreamEvent('game-over', lastGameResult);
+  }
+
+  return lastGameResult;
+}
+
 /**
  * Detect whose turn it is using FEN turn indicator
  * Returns 'white', 'black', or null if unable to determine
@@ -245,7 +1610,7 @@ async function isOurTurn() {
  */
 function sanToUci(sanMove, position) {
   try {
-    const testChess = new Chess(position);
+    const testChess = createGame(position);
     const move = testChess.move(sanMove);
 
     if (!move) {
@@ -372,14 +1737,15 @@ async function extractMoveHistoryFromChessCom() {
     if (moveData.format === 'san' || !moves[0]?.match(/^[a-h][1-8][a-h][1-8][qrbn]?$/)) {
       console.log('   → Converting SAN to UCI...');
       const uciMoves = [];
-      let position = new Chess().fen();
+      // A Chess960 game's moves only replay from its own start position
+      let position = createGame(chess960 ? startingFen : null).fen();
 
       for (const sanMove of moves) {
         const uciMove = sanToUci(sanMove, position);
         if (uciMove) {
           uciMoves.push(uciMove);
           // Update position for next conversion
-          const tempChess = new Chess(position);
+          const tempChess = createGame(position);
           tempChess.move(sanMove);
           position = tempChess.fen();
         } else {
@@ -418,23 +1784,28 @@ async function syncPositionInternal() {
   }
 
   try {
-    // Get current board state from browser
-    const currentFen = await getBoardState();
-    if (!currentFen) {
+    // Get current board state from browser. A board the history can't reach has no trusted
+    // FEN; the DOM reading then only serves to adopt a new start or to diff and re-sync
+    const board = await readBoard();
+    if (!board) {
       return { synced: false, error: 'Could not read board state' };
     }
+    const currentFen = board.fen || board.domFen;
 
     // Check if move history is empty (starting from unknown position)
     if (moveHistory.length === 0) {
+      // Settle the variant first: a Chess960 game's moves only replay from its own start
+      await detectChess960(currentFen);
+
       console.log('   ℹ Move history is empty - attempting to extract from chess.com...');
 
-      // Try to extract move history from chess.com
-      const extractedMoves = await extractMoveHistoryFromChessCom();
+      // Try to extract move history from chess.com (not possible for a 960 game whose start we never saw)
+      const extractedMoves = chess960 && !startingFen ? null : await extractMoveHistoryFromChessCom();
 
       if (extractedMoves && extractedMoves.length > 0) {
         // Validate and use extracted moves
         const validMoves = [];
-        const testChess = new Chess();
+        const testChess = createGame(chess960 ? startingFen : null);
 
         for (const move of extractedMoves) {
           const from = move.substring(0, 2);
@@ -492,9 +1863,9 @@ async function syncPositionInternal() {
       console.log(`   → FEN: ${currentFen}`);
       console.log('   → Setting as starting position with no move history');
 
-      startingFen = currentFen;
+      startingFen = chess960 ? chess960StartingFen(currentFen) : currentFen;
       moveHistory = [];
-      chess.load(currentFen);
+      chess.load(startingFen);
 
       return {
         synced: true,
@@ -507,7 +1878,7 @@ async function syncPositionInternal() {
     }
 
     // Get expected position from move history
-    const expectedChess = startingFen ? new Chess(startingFen) : new Chess();
+    const expectedChess = createGame(startingFen);
     for (const move of moveHistory) {
       const from = move.substring(0, 2);
       const to = move.substring(2, 4);
@@ -535,48 +1906,64 @@ async function syncPositionInternal() {
       };
     }
 
-    // Positions don't match - try to find the move
-    const possibleMoves = expectedChess.moves({ verbose: true });
-    let detectedMove = null;
+    // Positions don't match - find the plies that lead to the board: moves played since the
+    // last poll, or a takeback (possibly followed by new moves)
+    const path = findBoardPath(currentBoard);
 
-    for (const move of possibleMoves) {
-      const testChess = new Chess(expectedFen);
-      testChess.move(move);
-      const testBoard = testChess.fen().split(' ')[0];
+    if (path) {
+      const { removed, added } = path;
+      const detectedMove = removed.length === 0 && added.length === 1 ? added[0] : null;
 
-      if (testBoard === currentBoard) {
-        // Found the move!
-        detectedMove = move.from + move.to + (move.promotion || '');
-        break;
+      if (detectedMove) {
+        console.log(`   🔄 Detected opponent move: ${detectedMove}`);
+      } else {
+        if (removed.length > 0) {
+          console.log(`   ↩️  Takeback: removed ${removed.length} ply(s): ${removed.join(' ')}`);
+        }
+        if (added.length > 0) {
+          console.log(`   🔄 Caught up ${added.length} ply(s): ${added.join(' ')}`);
+        }
+      }
+
+      // Pondering: the expected reply turns the ponder search into the real one
+      if (ponderState && !ponderState.hit) {
+        if (detectedMove && detectedMove === ponderState.move && engine && engine.ponderhit()) {
+          ponderState.hit = true;
+          console.log(`   🎯 Ponder hit: ${detectedMove}`);
+        } else {
+          await cancelPonder(removed.length > 0 ? 'takeback' : `opponent played ${added.join(' ')}`);
+        }
       }
-    }
 
-    if (detectedMove) {
-      console.log(`   🔄 Detected opponent move: ${detectedMove}`);
-      moveHistory.push(detectedMove);
+      moveHistory = [...moveHistory.slice(0, moveHistory.length - removed.length), ...added];
 
       // Update chess instance
-      chess.load(currentFen);
+      chess.load(path.fen);
 
-      // Clear lastQueryFen since position changed (opponent moved)
+      // Clear lastQueryFen since position changed (opponent moved, or moves were taken back)
       lastQueryFen = null;
 
       return {
         synced: true,
         positionsMatch: false,
         detectedMove,
+        addedPlies: added,
+        removedPlies: removed,
         currentFen,
         expectedFen
       };
     }
 
     // Could not sync - try extracting full history as fallback
+    const diff = diffPlacements(expectedBoard, currentBoard);
     console.log('   ⚠ Positions diverged - attempting full re-sync...');
+    console.log(`   → ${diff.length} square(s) differ (history → board): ${diff.map(d => `${d.square} ${d.expected || '·'}→${d.actual || '·'}`).join(', ')}`);
+    await cancelPonder('positions diverged');
     const extractedMoves = await extractMoveHistoryFromChessCom();
 
     if (extractedMoves && extractedMoves.length > 0) {
       const validMoves = [];
-      const testChess = new Chess();
+      const testChess = createGame(chess960 ? startingFen : null);
 
       for (const move of extractedMoves) {
         const from = move.substring(0, 2);
@@ -602,6 +1989,7 @@ async function syncPositionInternal() {
           positionsMatch: false,
           reSynced: true,
           moveCount: validMoves.length,
+          diff,
           currentFen,
           expectedFen: testChess.fen()
         };
@@ -613,6 +2001,7 @@ async function syncPositionInternal() {
     return {
       synced: false,
       error: 'Could not detect opponent move - positions too different',
+      diff,
       currentFen,
       expectedFen,
       suggestion: 'Use POST /reset to start fresh, or POST /position to manually set the move history'
@@ -638,10 +2027,23 @@ async function autoplayLoop() {
   try {
     autoplayBusy = true;
 
+    // A new game on the page (new game id, fresh board, game-over modal closed) starts from scratch
+    await detectNewGame();
+
     // Check if game is still active
     const isActive = await checkGameStatus();
     if (!isActive) {
       console.log('⏸️  Game ended - autoplay paused');
+      if (!lastGameResult) {
+        await readGameResult();
+      }
+      return;
+    }
+
+    // We resigned (or a draw was agreed) and chess.com hasn't shown the game as over yet:
+    // searching again would only fire the rule again
+    if (adjudicationState.ended) {
+      console.log('⏸️  Game adjudicated - waiting for chess.com to end it');
       return;
     }
 
@@ -664,11 +2066,7 @@ async function autoplayLoop() {
         console.log('   New puzzle/position detected - auto-resetting...');
 
         // Clear old position state to pick up new puzzle fresh
-        const previousMoveCount = moveHistory.length;
-        moveHistory = [];
-        startingFen = null;
-        chess.reset();
-        lastQueryFen = null;
+        const { previousMoveCount } = await resetGameState('board orientation changed');
 
         console.log(`   ✓ Cleared ${previousMoveCount} moves from old position`);
         console.log(`   ✓ Ready to extract new position for ${currentOrientation}`);
@@ -794,7 +2192,7 @@ async function autoplayLoop() {
 
     // CRITICAL: Final validation - verify that after applying all moves,
     // it's actually our turn to move using chess.js
-    const verificationChess = startingFen ? new Chess(startingFen) : new Chess();
+    const verificationChess = createGame(startingFen);
     let moveApplicationFailed = false;
 
     for (const move of moveHistory) {
@@ -834,20 +2232,37 @@ async function autoplayLoop() {
 
     console.log(`   ✓ Position validation passed: ${moveHistory.length} moves, ${finalTurnColor} to move`);
 
-    if (startingFen) {
+    // Report when the tablebases already know how this endgame ends
+    const tablebaseVerdict = probeTablebase(verificationChess);
+    lastTablebaseVerdict = tablebaseVerdict ? { fen: verificationChess.fen(), ...tablebaseVerdict } : null;
+    if (tablebaseVerdict) {
+      console.log(`   📚 Tablebase: ${describeTablebaseVerdict(tablebaseVerdict)} for us - the game is decided`);
+    }
+
+    // A ponder hit means the engine is already searching this exact position
+    const ponderHit = ponderState?.hit === true;
+    if (ponderState && !ponderHit) {
+      await cancelPonder('position changed without the expected reply');
+    }
+
+    // Position is sent together with "go" so a queued search can't run on a stale one
+    let position = null;
+    if (ponderHit) {
+      console.log(`   → Engine already searching after ponderhit on ${ponderState.move}`);
+    } else if (startingFen) {
       // If we have no moves yet, get and use the current FEN (with correct turn indicator)
       if (moveHistory.length === 0) {
         console.log(`   → Using current FEN (no moves played yet): ${currentBoardFen}`);
-        engine.setPosition(currentBoardFen, []);
+        position = { fen: currentBoardFen, moves: [] };
       } else {
         console.log(`   → Using custom starting FEN + ${moveHistory.length} moves: ${startingFen}`);
         console.log(`   → Position sent to engine: fen ${startingFen} moves ${moveHistory.join(' ')}`);
-        engine.setPosition(startingFen, moveHistory);
+        position = gamePosition();
       }
     } else {
       console.log(`   → Using standard start + ${moveHistory.length} moves`);
       console.log(`   → Position sent to engine: position startpos moves ${moveHistory.join(' ')}`);
-      engine.setPosition('startpos', moveHistory);
+      position = gamePosition();
     }
 
     // FINAL SAFETY CHECK: Re-verify board state immediately before querying engine
@@ -872,53 +2287,100 @@ async function autoplayLoop() {
 
     console.log(`   ✓ Final safety check passed: ${finalVerifyTurnColor} to move, FEN matches`);
 
-    // Get best move based on mode
+    // Keep the shared chess instance on the searched position for SAN conversion
+    chess.load(verificationChess.fen());
+
+    // Get best move: opening book first, then the engine based on mode
     let result;
     let bestMove;
+    const book = ponderHit ? null : bookMove(verificationChess);
 
-    if (engineConfig.mode === 'nodes') {
-      console.log(`   Calculating (${engineConfig.nodes} nodes, 1 thread)...`);
-      result = await engine.goNodes(engineConfig.nodes);
-      bestMove = result.move;
+    if (book) {
+      result = { move: book.move, ponder: null, source: 'book' };
+      bestMove = book.move;
+      console.log(`   📖 Book move: ${bestMove} (weight ${book.weight}/${book.totalWeight}, ${book.candidates} candidate(s))`);
     } else {
-      // Time control mode
-      const inPuzzle = await isInPuzzle();
-
-      if (inPuzzle) {
-        // In puzzles, always use fresh time control (don't track accumulation)
-        console.log(`   Calculating (time control: ${engineConfig.timeControl.base}ms + ${engineConfig.timeControl.increment}ms, ${engineConfig.timeControl.threads} threads) [PUZZLE MODE]...`);
-        result = await engine.go(
-          engineConfig.timeControl.base,
-          engineConfig.timeControl.base,
-          engineConfig.timeControl.increment,
-          engineConfig.timeControl.increment
-        );
-        bestMove = result.move;
-        // Don't update time tracking in puzzles
-      } else {
-        // In real games, track time accumulation
-        console.log(`   Calculating (time control: ${timeTracking.whiteTime}ms + ${timeTracking.increment}ms, ${engineConfig.timeControl.threads} threads)...`);
-        result = await engine.go(
-          timeTracking.whiteTime,
-          timeTracking.blackTime,
-          timeTracking.increment,
-          timeTracking.increment
-        );
+      // Searched position for the stream, fixed before the search waits in the queue
+      const stream = searchStreamHooks('autoplay', verificationChess.fen());
+
+      if (ponderHit) {
+        // Collect the ponder search; its time is measured from ponderhit
+        const pondered = ponderState;
+        ponderState = null;
+        if (streamContext) streamContext.source = 'autoplay';
+        try {
+          result = await pondered.search;
+        } finally {
+          // A failed search still ends its stream, so clients never see a search that doesn't finish
+          endSearchStream(result);
+        }
         bestMove = result.move;
-        const timeUsed = result.timeUsed;
+        console.log(`   🎯 Ponder search completed after ${result.timeUsed}ms`);
 
-        // Update time tracking for real games
-        if (autoplayColor === 'white') {
-          timeTracking.whiteTime = timeTracking.whiteTime - timeUsed + timeTracking.increment;
-          console.log(`   ⏱️  White time used: ${timeUsed}ms, remaining: ${timeTracking.whiteTime}ms`);
+        if (engineConfig.mode === 'time' && !(await isInPuzzle())) {
+          chargeSearchTime(result.timeUsed);
+        }
+      } else if (engineConfig.mode !== 'time') {
+        const limits = searchLimits();
+        console.log(`   Calculating (${describeLimits(limits)}, ${engineThreads()} thread(s))...`);
+        result = await engine.search(limits, position, stream);
+        bestMove = result.move;
+      } else {
+        // Time control mode
+        const inPuzzle = await isInPuzzle();
+
+        if (inPuzzle) {
+          // In puzzles, always use fresh time control (don't track accumulation)
+          console.log(`   Calculating (time control: ${engineConfig.timeControl.base}ms + ${engineConfig.timeControl.increment}ms, ${engineConfig.timeControl.threads} threads) [PUZZLE MODE]...`);
+          result = await engine.search(searchLimits({
+            wtime: engineConfig.timeControl.base,
+            btime: engineConfig.timeControl.base,
+            winc: engineConfig.timeControl.increment,
+            binc: engineConfig.timeControl.increment
+          }), position, stream);
+          bestMove = result.move;
+          // Don't update time tracking in puzzles
         } else {
-          timeTracking.blackTime = timeTracking.blackTime - timeUsed + timeTracking.increment;
-          console.log(`   ⏱️  Black time used: ${timeUsed}ms, remaining: ${timeTracking.blackTime}ms`);
+          // In real games, use the clocks chess.com shows; the local tracker is the fallback
+          const clocks = await readChessComClocks();
+          if (clocks) {
+            timeTracking.whiteTime = clocks.white;
+            timeTracking.blackTime = clocks.black;
+            timeTracking.increment = clocks.increment;
+            lastClockReading = { ...clocks, readAt: new Date().toISOString() };
+            console.log(`   Calculating (chess.com clocks: white ${formatClock(clocks.white)}, black ${formatClock(clocks.black)} + ${clocks.increment}ms${clocks.incrementSource === 'config' ? ' (configured)' : ''}, ${engineConfig.timeControl.threads} threads)...`);
+          } else {
+            console.log(`   Calculating (time control: ${timeTracking.whiteTime}ms + ${timeTracking.increment}ms, simulated clocks, ${engineConfig.timeControl.threads} threads)...`);
+          }
+          result = await engine.search(searchLimits(), position, stream);
+          bestMove = result.move;
+
+          // Update time tracking for real games
+          chargeSearchTime(result.timeUsed);
         }
       }
+      console.log(`   ✓ Engine suggests: ${bestMove}`);
+    }
+    if (result.info) {
+      console.log(`   📊 ${describeSearchInfo(result.info)}`);
+    }
+
+    // "(none)" means the game is over for the engine, or an xboard engine resigned
+    if (!bestMove || bestMove === '(none)') {
+      console.log('   ⚠ Engine returned no move (game over or resigned)');
+      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+      console.log('');
+      return;
     }
 
-    console.log(`   ✓ Engine suggests: ${bestMove}`);
+    // Engine scores count towards resign/draw rules in real games; resigning replaces our move
+    const adjudicationRule = !book && !(await isInPuzzle()) ? updateAdjudication(result.info, verificationChess) : null;
+    if (adjudicationRule === 'resign' && await applyAdjudication('resign', result.info, verificationChess)) {
+      await cancelPonder('resigned');
+      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+      console.log('');
+      return;
+    }
 
     // Get the board state BEFORE executing the move (for verification)
     const fenBeforeMove = await getBoardState();
@@ -929,7 +2391,7 @@ async function autoplayLoop() {
     try {
       await executeMove(bestMove);
     } catch (error) {
-      console.error('   ❌ Failed to execute move:', error.message);
+      console.error(`   ❌ Failed to execute move${error.code ? ` (${error.code})` : ''}:`, error.message);
       console.error('   Move history NOT updated (move rejected)');
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       console.log('');
@@ -942,40 +2404,59 @@ async function autoplayLoop() {
     // Check the board state after our move to verify it went through
     const fenAfterMove = await getBoardState();
 
-    // Verify the move was accepted by checking if the FEN changed
-    if (fenAfterMove === fenBeforeMove) {
-      console.error('   ❌ Move was REJECTED! Board state did not change.');
-      console.error(`   FEN before: ${fenBeforeMove}`);
-      console.error(`   FEN after:  ${fenAfterMove}`);
-      console.error('   Move history NOT updated (illegal move)');
-      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-      console.log('');
-      return;
+    if (!fenAfterMove) {
+      // The move went out but the board can't be read back - record it and let the next sync check it
+      console.warn('   ⚠ Could not read the board after the move - skipping the turn check');
+      moveHistory.push(bestMove);
+      console.log(`   ✓ Move completed (unverified)! Total moves: ${moveHistory.length}`);
+    } else {
+      // Verify the move was accepted by checking if the FEN changed
+      if (fenAfterMove === fenBeforeMove) {
+        console.error('   ❌ Move was REJECTED! Board state did not change.');
+        console.error(`   FEN before: ${fenBeforeMove}`);
+        console.error(`   FEN after:  ${fenAfterMove}`);
+        console.error('   Move history NOT updated (illegal move)');
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log('');
+        return;
+      }
+
+      // Verify the turn changed (our move went through)
+      const turnAfterMove = fenAfterMove.split(' ')[1];
+      const turnAfterMoveColor = turnAfterMove === 'w' ? 'white' : 'black';
+
+      if (turnAfterMoveColor === autoplayColor) {
+        console.error('   ❌ Turn did NOT change! Move may have been rejected.');
+        console.error(`   Turn before move: ${autoplayColor}`);
+        console.error(`   Turn after move:  ${turnAfterMoveColor}`);
+        console.error('   Move history NOT updated');
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log('');
+        return;
+      }
+
+      // Move was successful! Update move history
+      moveHistory.push(bestMove);
+
+      console.log(`   ✓ Move completed! Total moves: ${moveHistory.length}`);
+      console.log(`   📋 FEN after move: ${fenAfterMove}`);
+      console.log(`   🔄 Turn indicator after move: ${turnAfterMove} (${turnAfterMoveColor})`);
     }
 
-    // Verify the turn changed (our move went through)
-    const turnAfterMove = fenAfterMove.split(' ')[1];
-    const turnAfterMoveColor = turnAfterMove === 'w' ? 'white' : 'black';
+    // Clear lastQueryFen so we can query the new position when it's our turn again
+    lastQueryFen = null;
 
-    if (turnAfterMoveColor === autoplayColor) {
-      console.error('   ❌ Turn did NOT change! Move may have been rejected.');
-      console.error(`   Turn before move: ${autoplayColor}`);
-      console.error(`   Turn after move:  ${turnAfterMoveColor}`);
-      console.error('   Move history NOT updated');
+    // A draw is offered along with our move
+    if (adjudicationRule === 'draw' && await applyAdjudication('draw', result.info, verificationChess)) {
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       console.log('');
       return;
     }
 
-    // Move was successful! Update move history
-    moveHistory.push(bestMove);
-
-    console.log(`   ✓ Move completed! Total moves: ${moveHistory.length}`);
-    console.log(`   📋 FEN after move: ${fenAfterMove}`);
-    console.log(`   🔄 Turn indicator after move: ${turnAfterMove} (${turnAfterMoveColor})`);
-
-    // Clear lastQueryFen so we can query the new position when it's our turn again
-    lastQueryFen = null;
+    // Think on the opponent's time about the reply the engine expects
+    if (engineConfig.ponder && result.ponder && !(await isInPuzzle())) {
+      startPonder(result.ponder);
+    }
 
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('');
@@ -1118,6 +2599,9 @@ async function stopAutoplay() {
 
   autoplayEnabled = false;
 
+  // Don't leave the engine thinking on the opponent's time
+  await cancelPonder('autoplay disabled');
+
   // Clean up MutationObserver
   try {
     if (page) {
@@ -1142,15 +2626,31 @@ async function stopAutoplay() {
 
 /**
  * Get current board state as FEN
+ * chess.com's own FEN is used when the page exposes one. A FEN parsed from the DOM is
+ * replaced by the one the game history gives (see fenFromHistory()), and is null when the
+ * history can't reach the board: POST /sync (or autoplay's sync) resolves that.
  */
 async function getBoardState() {
+  const board = await readBoard();
+  return board ? board.fen : null;
+}
+
+/**
+ * Read the position on the page, with what the DOM showed when the history can't explain it
+ * @returns {Promise<{fen: string|null, source: string, placement: string, domFen: string|null, diff: Object[]|null}|null>}
+ *   fen is null on a mismatch; domFen is the FEN parsed from the DOM, with a guessed turn,
+ *   castling and clocks; diff lists the squares that differ from the history (see diffPlacements())
+ */
+async function readBoard() {
   if (!page) throw new Error('Not connected to browser');
 
   try {
     // Pass context about whether we have reliable move history
     // Only use move count if we started from standard position
     const hasCustomStart = !!startingFen;
-    const fen = await page.evaluate(({ moveCount, hasCustomStart }) => {
+    // Chess960 kings and rooks start on other files: { white: { king, rooks }, black: {...} }
+    const castlingStart = chess960 ? chess960CastlingStart() : null;
+    const board = await page.evaluate(({ moveCount, hasCustomStart, castlingStart }) => {
       // Try to get FEN from chess.com's internal state
       try {
         // Chess.com stores game data in various places
@@ -1162,21 +2662,21 @@ async function getBoardState() {
         if (window.chessGame?.getFEN) {
           const fen = window.chessGame.getFEN();
           console.log('Got FEN from chessGame.getFEN():', fen);
-          return fen;
+          return { fen, source: 'chessGame' };
         }
 
         // Priority 2: Try to access game instance from global scope
         if (typeof window.game !== 'undefined' && window.game?.getFEN) {
           const fen = window.game.getFEN();
           console.log('Got FEN from window.game.getFEN():', fen);
-          return fen;
+          return { fen, source: 'game' };
         }
 
         // Priority 3: gameSetup.fen - used for puzzles and from-position games
         if (window.gameSetup?.fen) {
           const fen = window.gameSetup.fen;
           console.log('Got FEN from gameSetup.fen:', fen);
-          return fen;
+          return { fen, source: 'gameSetup' };
         }
 
         // Fallback: parse from DOM
@@ -1354,50 +2854,174 @@ async function getBoardState() {
         // This is an approximation - we can only detect if castling MIGHT be possible
         let castling = '';
 
-        // Check if white king and rooks are on starting squares
-        const whiteKingOnStart = board[7][4] === 'K'; // e1
-        const whiteKingsideRookOnStart = board[7][7] === 'R'; // h1
-        const whiteQueensideRookOnStart = board[7][0] === 'R'; // a1
+        if (castlingStart) {
+          // Chess960: rooks still on their start files, king unmoved, as Shredder-FEN file letters
+          const fileIndex = (file) => file.charCodeAt(0) - 97;
+          const { white, black } = castlingStart;
+
+          if (white.king && board[7][fileIndex(white.king)] === 'K') {
+            for (const rook of white.rooks) {
+              if (board[7][fileIndex(rook)] === 'R') castling += rook.toUpperCase();
+            }
+          }
+          if (black.king && board[0][fileIndex(black.king)] === 'k') {
+            for (const rook of black.rooks) {
+              if (board[0][fileIndex(rook)] === 'r') castling += rook;
+            }
+          }
+        } else {
+          // Check if white king and rooks are on starting squares
+          const whiteKingOnStart = board[7][4] === 'K'; // e1
+          const whiteKingsideRookOnStart = board[7][7] === 'R'; // h1
+          const whiteQueensideRookOnStart = board[7][0] === 'R'; // a1
 
-        if (whiteKingOnStart && whiteKingsideRookOnStart) castling += 'K';
-        if (whiteKingOnStart && whiteQueensideRookOnStart) castling += 'Q';
+          if (whiteKingOnStart && whiteKingsideRookOnStart) castling += 'K';
+          if (whiteKingOnStart && whiteQueensideRookOnStart) castling += 'Q';
 
-        // Check if black king and rooks are on starting squares
-        const blackKingOnStart = board[0][4] === 'k'; // e8
-        const blackKingsideRookOnStart = board[0][7] === 'r'; // h8
-        const blackQueensideRookOnStart = board[0][0] === 'r'; // a8
+          // Check if black king and rooks are on starting squares
+          const blackKingOnStart = board[0][4] === 'k'; // e8
+          const blackKingsideRookOnStart = board[0][7] === 'r'; // h8
+          const blackQueensideRookOnStart = board[0][0] === 'r'; // a8
 
-        if (blackKingOnStart && blackKingsideRookOnStart) castling += 'k';
-        if (blackKingOnStart && blackQueensideRookOnStart) castling += 'q';
+          if (blackKingOnStart && blackKingsideRookOnStart) castling += 'k';
+          if (blackKingOnStart && blackQueensideRookOnStart) castling += 'q';
+        }
 
         if (castling === '') castling = '-';
 
         console.log(`Detected turn: ${turn} (method: ${turnDetectionMethod}, moveCount: ${moveCount}, hasCustomStart: ${hasCustomStart})`);
         console.log(`Inferred castling rights: ${castling}`);
-        return `${fen} ${turn} ${castling} - 0 1`;
+        return { fen: `${fen} ${turn} ${castling} - 0 1`, source: 'dom' };
       } catch (err) {
         console.error('Error parsing board:', err);
         return null;
       }
-    }, { moveCount: moveHistory.length, hasCustomStart });
+    }, { moveCount: moveHistory.length, hasCustomStart, castlingStart });
+
+    if (!board) return null;
+
+    const placement = board.fen.split(' ')[0];
+    if (board.source !== 'dom') {
+      return { fen: board.fen, source: board.source, placement, domFen: null, diff: null };
+    }
 
-    return fen;
+    const fen = fenFromHistory(board.fen);
+    const expected = (replayMoveHistory() || chess).fen().split(' ')[0];
+    return { fen, source: 'dom', placement, domFen: board.fen, diff: fen ? null : diffPlacements(expected, placement) };
   } catch (error) {
     console.error('Error getting board state:', error.message);
     throw error;
   }
 }
 
+// How long the promotion dialog gets to open after the pawn is dropped
+const PROMOTION_DIALOG_TIMEOUT = 1000;
+
+/**
+ * Error for a move that could not be played as asked, with a code and details for API responses
+ */
+function moveError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Piece classes ("wq", "bn", ...) of the pieces chess.com shows on a square
+ */
+async function readPiecesOn(square) {
+  return page.evaluate((squareClass) => {
+    return Array.from(document.querySelectorAll(`.piece.${squareClass}`))
+      .map(piece => Array.from(piece.classList).find(c => /^[wb][pnbrqk]$/.test(c)))
+      .filter(Boolean);
+  }, `square-${square.charCodeAt(0) - 96}${square[1]}`);
+}
+
+/**
+ * Click the requested piece in the promotion dialog, then check the board shows it
+ * The dialog opens over the promotion square and runs down the file for white, up for black
+ * (reversed on a flipped board), so pieces are picked by class rather than by position.
+ * @param {string} color - 'w' or 'b'
+ * @param {string} piece - q, r, b or n
+ * @throws {Error} With code PROMOTION_DIALOG_NOT_FOUND, PROMOTION_PIECE_NOT_OFFERED or PROMOTION_MISMATCH
+ */
+async function selectPromotionPiece(uciMove, square, color, piece) {
+  const pieceClass = `${color}${piece}`;
+  console.log(`  → Handling promotion to ${piece}...`);
+
+  // Wait for the dialog
+  let option = null;
+  const deadline = Date.now() + PROMOTION_DIALOG_TIMEOUT;
+  while (!option && Date.now() < deadline) {
+    option = await page.evaluate((pieceClass) => {
+      const selectors = ['.promotion-window .promotion-piece', '.promotion-piece', '[class*="promotion"] .piece'];
+      let pieces = [];
+      for (const selector of selectors) {
+        pieces = Array.from(document.querySelectorAll(selector)).filter(el => el.getBoundingClientRect().width > 0);
+        if (pieces.length > 0) break;
+      }
+      if (pieces.length === 0) return null;
+
+      const target = pieces.find(el => el.classList.contains(pieceClass));
+      if (!target) {
+        return { found: false, offered: pieces.map(el => Array.from(el.classList).find(c => /^[wb][qrbn]$/.test(c))).filter(Boolean) };
+      }
+
+      const rect = target.getBoundingClientRect();
+      return { found: true, x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }, pieceClass);
+
+    if (!option) await page.waitForTimeout(50);
+  }
+
+  if (!option) {
+    // No dialog: with auto-queen on, chess.com has already put a queen there
+    const onSquare = await readPiecesOn(square);
+    if (onSquare.includes(pieceClass)) {
+      console.log(`  ✓ Promoted to ${piece} without a dialog (auto-queen)`);
+      return;
+    }
+    throw moveError('PROMOTION_DIALOG_NOT_FOUND',
+      `Promotion dialog did not appear for ${uciMove}${onSquare.length ? ` and ${square} shows ${onSquare.join(', ')} - is auto-queen on?` : ''}`,
+      { move: uciMove, requested: piece, onSquare });
+  }
+
+  if (!option.found) {
+    throw moveError('PROMOTION_PIECE_NOT_OFFERED',
+      `Promotion dialog for ${uciMove} has no ${pieceClass} (offers ${option.offered.join(', ') || 'nothing recognisable'})`,
+      { move: uciMove, requested: piece, offered: option.offered });
+  }
+
+  console.log(`  → Clicking ${pieceClass} at (${option.x}, ${option.y})`);
+  await page.mouse.click(option.x, option.y);
+  await page.waitForTimeout(150);
+
+  const onSquare = await readPiecesOn(square);
+  if (!onSquare.includes(pieceClass)) {
+    throw moveError('PROMOTION_MISMATCH',
+      `Promoted piece on ${square} is ${onSquare.join(', ') || 'missing'}, expected ${pieceClass}`,
+      { move: uciMove, requested: piece, onSquare });
+  }
+  console.log(`  ✓ Promoted to ${piece}`);
+}
+
 /**
  * Execute a move on the board
  */
 async function executeMove(uciMove) {
   if (!page) throw new Error('Not connected to browser');
 
-  const from = uciMove.substring(0, 2);
-  const to = uciMove.substring(2, 4);
+  let from = uciMove.substring(0, 2);
+  let to = uciMove.substring(2, 4);
   const promotion = uciMove.length > 4 ? uciMove[4] : null;
 
+  // Chess960 castling comes as king-takes-rook; the board wants the king dragged to its castled square
+  if (chess960) {
+    const position = replayMoveHistory();
+    if (position) ({ from, to } = position.dragSquares(uciMove));
+  }
+
   console.log(`Executing move: ${uciMove} (${from} -> ${to}${promotion ? ' =' + promotion : ''})`);
 
   try {
@@ -1454,12 +3078,16 @@ async function executeMove(uciMove) {
       const fromX = pieceRect.left + pieceRect.width / 2;
       const fromY = pieceRect.top + pieceRect.height / 2;
 
+      // Piece class such as "wp" (colour + type)
+      const pieceClass = Array.from(fromPiece.classList).find(c => /^[wb][pnbrqk]$/.test(c)) || null;
+
       return {
         success: true,
         fromX,
         fromY,
         toX,
-        toY
+        toY,
+        pieceClass
       };
     }, { from, to });
 
@@ -1483,17 +3111,10 @@ async function executeMove(uciMove) {
     console.log('  → Mouse up');
     await page.mouse.up();
 
-    // Handle promotion if needed (click destination square again)
+    // Pick the promotion piece from chess.com's dialog
     if (promotion) {
-      console.log(`  → Handling promotion to ${promotion}...`);
-      await page.waitForTimeout(80); // Wait for promotion dialog to appear
-
-      // Simply click the destination square again (promotes to queen by default)
-      console.log(`  → Clicking destination square again at (${coords.toX}, ${coords.toY})`);
-      await page.mouse.click(coords.toX, coords.toY);
-      console.log('  ✓ Promotion piece selected');
-
-      await page.waitForTimeout(100);
+      const color = coords.pieceClass ? coords.pieceClass[0] : (to[1] === '8' ? 'w' : 'b');
+      await selectPromotionPiece(uciMove, to, color, promotion);
     }
 
     // Wait for move to be processed
@@ -1541,11 +3162,12 @@ app.get('/board', async (req, res) => {
       return res.status(400).json({ error: 'Not connected to browser' });
     }
 
-    const fen = await getBoardState();
+    const board = await readBoard();
     const active = await checkGameStatus();
 
     res.json({
-      fen,
+      fen: board ? board.fen : null,
+      diff: board?.diff || undefined,
       gameActive: active,
       moveHistory,
       moveCount: moveHistory.length,
@@ -1559,14 +3181,8 @@ app.get('/board', async (req, res) => {
 // Reset move history (for new games)
 app.post('/reset', async (req, res) => {
   try {
-    const previousMoveCount = moveHistory.length;
-    const hadCustomStart = startingFen !== null;
-    moveHistory = [];
-    startingFen = null;
-    chess.reset();
-
-    // Clear lastQueryFen to allow fresh queries after reset
-    lastQueryFen = null;
+    // Clears history, clocks and adjudication, and sends ucinewgame if the engine is running
+    const { previousMoveCount, hadCustomStart, engineReset } = await resetGameState('position reset');
 
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('🔄 Position reset');
@@ -1574,19 +3190,10 @@ app.post('/reset', async (req, res) => {
     if (hadCustomStart) {
       console.log('   ✓ Custom starting position cleared');
     }
-
-    // Reset time tracking for time control mode
     if (engineConfig.mode === 'time') {
-      timeTracking.whiteTime = engineConfig.timeControl.base;
-      timeTracking.blackTime = engineConfig.timeControl.base;
-      timeTracking.increment = engineConfig.timeControl.increment;
       console.log('   ✓ Time tracking reset');
     }
-
-    // Send ucinewgame to engine if it's enabled
-    if (engineEnabled && engine && engine.isReady()) {
-      console.log('   Sending ucinewgame to engine...');
-      await engine.newGame();
+    if (engineReset) {
       console.log('   ✓ Engine reset for new game');
     }
 
@@ -1610,7 +3217,7 @@ app.post('/reset', async (req, res) => {
       success: true,
       message: 'Move history reset',
       previousMoveCount,
-      engineReset: engineEnabled && engine && engine.isReady(),
+      engineReset,
       timeTrackingReset: engineConfig.mode === 'time',
       colorRedetected,
       newColor: colorRedetected ? autoplayColor : undefined,
@@ -1644,10 +3251,15 @@ app.post('/position', async (req, res) => {
       });
     }
 
+    await cancelPonder('position set manually');
+
+    // A 960 FEN (or the standard start) settles the variant in auto mode
+    await detectChess960(fen || new Chess().fen());
+
     // Set starting FEN if provided
     if (fen) {
       try {
-        const testChess = new Chess(fen);
+        const testChess = createGame(fen);
         startingFen = fen;
         chess = testChess;
       } catch (err) {
@@ -1691,6 +3303,7 @@ app.post('/position', async (req, res) => {
       success: true,
       message: 'Position set',
       startingFen: startingFen || 'startpos',
+      chess960,
       moveHistory,
       moveCount: moveHistory.length,
       timestamp: new Date().toISOString()
@@ -1730,6 +3343,8 @@ app.post('/autoplay/enable', async (req, res) => {
         console.log(`   ✓ Extracted ${syncResult.moveCount} moves from chess.com`);
       } else if (syncResult.detectedMove) {
         console.log(`   ✓ Detected opponent move: ${syncResult.detectedMove}`);
+      } else if (syncResult.addedPlies || syncResult.removedPlies) {
+        console.log(`   ✓ Caught up: +${syncResult.addedPlies.length} / -${syncResult.removedPlies.length} plies`);
       } else {
         console.log('   ✓ Position already in sync');
       }
@@ -1820,6 +3435,16 @@ app.get('/autoplay/status', async (req, res) => {
       currentTurn,
       ourTurn,
       gameActive,
+      tablebase: lastTablebaseVerdict,
+      clocks: lastClockReading,
+      chess960,
+      lastGameStart,
+      adjudication: {
+        rules: engineConfig.adjudication,
+        resignStreak: adjudicationState.resignStreak,
+        drawStreak: adjudicationState.drawStreak,
+        last: lastAdjudication
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -1837,6 +3462,7 @@ app.post('/sync', async (req, res) => {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('🔄 Syncing position with board...');
 
+    const newGame = await detectNewGame();
     const result = await syncPositionInternal();
 
     if (result.synced) {
@@ -1848,6 +3474,9 @@ app.post('/sync', async (req, res) => {
       } else if (result.detectedMove) {
         console.log(`   ✓ Detected opponent move: ${result.detectedMove}`);
         console.log(`   ✓ Move history updated (${moveHistory.length} moves)`);
+      } else if (result.addedPlies) {
+        console.log(`   ✓ Added ${result.addedPlies.length} ply(s)${result.addedPlies.length ? `: ${result.addedPlies.join(' ')}` : ''}, removed ${result.removedPlies.length}${result.removedPlies.length ? `: ${result.removedPlies.join(' ')}` : ''}`);
+        console.log(`   ✓ Move history updated (${moveHistory.length} moves)`);
       } else if (result.reSynced) {
         console.log(`   ✓ Re-synced with ${result.moveCount} moves`);
       }
@@ -1858,8 +3487,11 @@ app.post('/sync', async (req, res) => {
         synced: true,
         positionsMatch: result.positionsMatch,
         detectedMove: result.detectedMove,
+        addedPlies: result.addedPlies,
+        removedPlies: result.removedPlies,
         extractedMoves: result.extractedMoves,
         reSynced: result.reSynced,
+        newGame,
         moveHistory,
         moveCount: moveHistory.length
       });
@@ -1874,10 +3506,12 @@ app.post('/sync', async (req, res) => {
         success: false,
         synced: false,
         error: result.error,
+        diff: result.diff,
         currentFen: result.currentFen,
         expectedFen: result.expectedFen,
         needsManualSync: result.needsManualSync,
-        suggestion: result.suggestion
+        suggestion: result.suggestion,
+        newGame
       });
     }
   } catch (error) {
@@ -1976,6 +3610,11 @@ app.post('/move', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    // A move the board didn't take as asked (e.g. promotion): structured, and not added to history
+    if (error.code) {
+      console.error(`❌ Move not played as requested (${error.code}): ${error.message}`);
+      return res.status(422).json({ success: false, error: error.message, code: error.code, ...error.details });
+    }
     console.error('❌ Error in /move endpoint:', error);
     res.status(500).json({ error: error.message, stack: error.stack });
   }
@@ -1989,10 +3628,12 @@ app.get('/status', async (req, res) => {
     }
 
     const active = await checkGameStatus();
+    const result = active ? null : await readGameResult();
 
     res.json({
       connected,
       gameActive: active,
+      result,
       pageUrl: page ? page.url() : null,
       timestamp: new Date().toISOString()
     });
@@ -2001,6 +3642,24 @@ app.get('/status', async (req, res) => {
   }
 });
 
+// Result of the game on the page, cross-checked with the board
+app.get('/game/result', async (req, res) => {
+  try {
+    if (!connected) {
+      return res.status(400).json({ error: 'Not connected to browser' });
+    }
+
+    const result = await readGameResult();
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Debug endpoint to inspect page structure
 app.get('/debug', async (req, res) => {
   try {
@@ -2064,21 +3723,125 @@ app.post('/disconnect', async (req, res) => {
  */
 
 // List available engines
-app.get('/engine/list', (req, res) => {
-  const engines = discoverEngines();
+app.get('/engine/list', async (req, res) => {
+  const { engines, skipped } = scanEngines();
+  const profiles = loadProfiles();
+
+  for (const engineInfo of engines) {
+    engineInfo.displayName = profiles[engineInfo.name]?.displayName || null;
+    engineInfo.protocol = profiles[engineInfo.name]?.protocol || 'uci';
+    engineInfo.hasProfile = engineInfo.name in profiles;
+  }
+
+  // Optionally start each binary to read its UCI identity (one at a time)
+  if (req.query.probe === 'true') {
+    for (const engineInfo of engines.filter(e => e.executable)) {
+      engineInfo.probe = await probeEngine(engineInfo);
+    }
+  }
 
   res.json({
     success: true,
     engines,
     count: engines.length,
-    enginesDir: ENGINES_DIR
+    // Files that aren't engines (books, nets, docs...) and why
+    skipped,
+    enginesDir: ENGINES_DIR,
+    platform: process.platform
+  });
+});
+
+// List engine profiles from engines.json
+app.get('/engine/profiles', (req, res) => {
+  const profiles = loadProfiles();
+  const available = discoverEngines().map(e => e.name);
+
+  res.json({
+    success: true,
+    profiles: Object.fromEntries(Object.entries(profiles).map(([name, profile]) => [name, publicProfile(profile)])),
+    count: Object.keys(profiles).length,
+    // Profiles for engines that aren't in engines/ (renamed or removed binaries)
+    orphaned: Object.keys(profiles).filter(name => !available.includes(name)),
+    file: PROFILES_FILE
   });
 });
 
+// Create or update an engine profile; fields set to null are removed
+app.post('/engine/profiles', (req, res) => {
+  try {
+    const { engine: engineName, ...fields } = req.body;
+
+    if (!engineName || typeof engineName !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Engine name required. Provide { "engine": "engine-name", ...profile fields }'
+      });
+    }
+
+    const profiles = loadProfiles();
+    const profile = { ...profiles[engineName] };
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === null) {
+        delete profile[field];
+      } else {
+        profile[field] = value;
+      }
+    }
+
+    const error = validateProfile(profile);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const created = !(engineName in profiles);
+    profiles[engineName] = profile;
+    saveProfiles(profiles);
+
+    console.log(`🗂️  Profile ${created ? 'created' : 'updated'}: ${engineName}`);
+
+    res.json({
+      success: true,
+      message: `Profile ${created ? 'created' : 'updated'}`,
+      engine: engineName,
+      profile: publicProfile(profile),
+      engineFound: discoverEngines().some(e => e.name === engineName),
+      // Launch settings are read when the engine starts
+      appliesOnRestart: engineEnabled && engineConfig.selectedEngine === engineName
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete an engine profile
+app.post('/engine/profiles/delete', (req, res) => {
+  try {
+    const { engine: engineName } = req.body;
+    const profiles = loadProfiles();
+
+    if (!engineName || !(engineName in profiles)) {
+      return res.status(400).json({
+        success: false,
+        error: `No profile for engine "${engineName}"`,
+        profiles: Object.keys(profiles)
+      });
+    }
+
+    delete profiles[engineName];
+    saveProfiles(profiles);
+
+    console.log(`🗂️  Profile deleted: ${engineName}`);
+
+    res.json({ success: true, message: 'Profile deleted', engine: engineName });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Enable engine
 app.post('/engine/enable', async (req, res) => {
   try {
-    const { engine: engineName } = req.body;
+    const { engine: engineName, protocol: requestedProtocol } = req.body;
 
     if (engineEnabled && engine) {
       return res.json({
@@ -2109,7 +3872,7 @@ app.post('/engine/enable', async (req, res) => {
       if (!selectedEngine.executable) {
         return res.status(400).json({
           success: false,
-          error: `Engine "${engineName}" is not executable. Please make it executable: chmod +x engines/${engineName}`
+          error: notExecutableError(selectedEngine)
         });
       }
 
@@ -2132,25 +3895,33 @@ app.post('/engine/enable', async (req, res) => {
       selectedEngineName = executableEngines[0].name;
     }
 
+    // The engine's profile brings its protocol, limits and default options
+    const profile = loadProfiles()[selectedEngineName] || {};
+    const { protocol, error: protocolError } = resolveProtocol(requestedProtocol, profile);
+    if (protocolError) {
+      return res.status(400).json({ success: false, error: protocolError });
+    }
+    applyProfileLimits(profile);
+    selectSessionOptions(null, selectedEngineName);
+
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('🤖 Starting chess engine...');
     console.log(`   Engine: ${selectedEngineName}`);
     console.log(`   Path: ${enginePath}`);
+    console.log(`   Protocol: ${protocol}`);
+    logProfile(selectedEngineName, profile);
     console.log(`   Mode: ${engineConfig.mode}`);
-    if (engineConfig.mode === 'nodes') {
-      console.log(`   Node limit: ${engineConfig.nodes}`);
-      console.log(`   Threads: 1 (fixed for nodes mode)`);
-    } else {
+    if (engineConfig.mode === 'time') {
       console.log(`   Time control: ${engineConfig.timeControl.base}ms + ${engineConfig.timeControl.increment}ms`);
       console.log(`   Threads: ${engineConfig.timeControl.threads}`);
+    } else {
+      console.log(`   Limits: ${describeLimits(searchLimits())}`);
+      console.log(`   Threads: ${engineThreads()}${engineConfig.mode === 'nodes' ? ' (fixed for nodes mode)' : ''}`);
     }
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
     // Create and start engine with appropriate thread count
-    const threads = engineConfig.mode === 'nodes' ? 1 : engineConfig.timeControl.threads;
-    engine = new UCIEngine(enginePath, { threads, uciOptions: engineConfig.uciOptions });
-
-    await engine.start();
+    await startEngine({ name: selectedEngineName, path: enginePath }, profile, protocol);
     engineEnabled = true;
     engineConfig.selectedEngine = selectedEngineName;
 
@@ -2163,6 +3934,9 @@ app.post('/engine/enable', async (req, res) => {
       message: 'Engine enabled',
       engineEnabled: true,
       selectedEngine: selectedEngineName,
+      displayName: profile.displayName || null,
+      protocol,
+      skippedOptions: engine.skippedOptions,
       config: engineConfig
     });
   } catch (error) {
@@ -2192,11 +3966,16 @@ app.post('/engine/disable', async (req, res) => {
     console.log('🤖 Stopping chess engine...');
 
     const stoppedEngine = engineConfig.selectedEngine;
+    await cancelPonder('engine disabled');
     await engine.quit();
     engine = null;
     engineEnabled = false;
     engineConfig.selectedEngine = null;
 
+    // Keep this engine's session options for when it's enabled again
+    sessionUciOptions.set(stoppedEngine, engineConfig.uciOptions);
+    engineConfig.uciOptions = {};
+
     console.log('✓ Engine disabled');
 
     res.json({
@@ -2217,7 +3996,7 @@ app.post('/engine/disable', async (req, res) => {
 // Switch to a different engine
 app.post('/engine/switch', async (req, res) => {
   try {
-    const { engine: newEngineName } = req.body;
+    const { engine: newEngineName, protocol: requestedProtocol } = req.body;
 
     if (!newEngineName) {
       return res.status(400).json({
@@ -2241,32 +4020,42 @@ app.post('/engine/switch', async (req, res) => {
     if (!newEngine.executable) {
       return res.status(400).json({
         success: false,
-        error: `Engine "${newEngineName}" is not executable. Please make it executable: chmod +x engines/${newEngineName}`
+        error: notExecutableError(newEngine)
       });
     }
 
+    const profile = loadProfiles()[newEngineName] || {};
+    const { protocol, error: protocolError } = resolveProtocol(requestedProtocol, profile);
+    if (protocolError) {
+      return res.status(400).json({ success: false, error: protocolError });
+    }
+
     const previousEngine = engineConfig.selectedEngine;
 
     // Stop current engine if running
     if (engineEnabled && engine) {
       console.log(`Stopping current engine: ${previousEngine}...`);
+      await cancelPonder('switching engines');
       await engine.quit();
       engine = null;
       engineEnabled = false;
     }
 
+    // Settings don't carry over: the new engine gets its own profile and session options
+    applyProfileLimits(profile);
+    selectSessionOptions(previousEngine, newEngineName);
+
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('🔄 Switching chess engine...');
     console.log(`   From: ${previousEngine || 'none'}`);
-    console.log(`   To: ${newEngineName}`);
-    console.log(`   Node limit: ${engineConfig.nodes}`);
+    console.log(`   To: ${newEngineName} (${protocol})`);
+    logProfile(newEngineName, profile);
+    console.log(`   Mode: ${engineConfig.mode} (${describeLimits(searchLimits())})`);
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
     // Start new engine
-    const threads = engineConfig.mode === 'nodes' ? 1 : engineConfig.timeControl.threads;
-    engine = new UCIEngine(newEngine.path, { threads, uciOptions: engineConfig.uciOptions });
-
-    await engine.start();
+    engineConfig.selectedEngine = null;
+    await startEngine(newEngine, profile, protocol);
     engineEnabled = true;
     engineConfig.selectedEngine = newEngineName;
 
@@ -2278,6 +4067,9 @@ app.post('/engine/switch', async (req, res) => {
       message: 'Engine switched successfully',
       previousEngine: previousEngine || 'none',
       currentEngine: newEngineName,
+      displayName: profile.displayName || null,
+      protocol,
+      skippedOptions: engine.skippedOptions,
       engineEnabled: true,
       config: engineConfig
     });
@@ -2295,23 +4087,119 @@ app.post('/engine/switch', async (req, res) => {
 // Configure engine
 app.post('/engine/config', async (req, res) => {
   try {
-    const { mode, nodes, threads, timeControl, uciOption } = req.body;
+    const { mode, nodes, depth, movetime, threads, timeControl, uciOption, ponder, book, adjudication, chess960: chess960Mode } = req.body;
 
-    // Update mode if provided
-    if (mode !== undefined) {
-      if (mode !== 'nodes' && mode !== 'time') {
+    // Validate every field before changing anything, so a 400 leaves the config as it was
+    if (mode !== undefined && mode !== 'nodes' && mode !== 'depth' && mode !== 'time') {
+      return res.status(400).json({
+        success: false,
+        error: 'Mode must be "nodes", "depth" or "time"'
+      });
+    }
+    for (const [name, value] of Object.entries({ nodes, depth })) {
+      if (value !== undefined && !(parseInt(value) > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: `${name} must be a positive integer`
+        });
+      }
+    }
+    if (movetime !== undefined && movetime !== null && !(parseInt(movetime) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'movetime must be a positive number of milliseconds, or null to remove the cap'
+      });
+    }
+    if (ponder !== undefined && typeof ponder !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'ponder must be true or false'
+      });
+    }
+    if (chess960Mode !== undefined && !['auto', true, false].includes(chess960Mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'chess960 must be "auto", true or false'
+      });
+    }
+    if (adjudication !== undefined) {
+      const error = validateAdjudication(adjudication);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+    }
+
+    // Open a new book now, so a bad file is refused before anything else changes
+    let nextBook;
+    const bookUpdate = book === null ? { file: null } : book;
+    if (book !== undefined) {
+      if (typeof bookUpdate !== 'object' || Array.isArray(bookUpdate)) {
+        return res.status(400).json({
+          success: false,
+          error: 'book must be { file, selection, maxDepth } or null to disable the book'
+        });
+      }
+      if (bookUpdate.selection !== undefined && bookUpdate.selection !== 'weighted' && bookUpdate.selection !== 'best') {
+        return res.status(400).json({
+          success: false,
+          error: 'book.selection must be "weighted" or "best"'
+        });
+      }
+      if (bookUpdate.maxDepth !== undefined && !(parseInt(bookUpdate.maxDepth) >= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'book.maxDepth must be a number of plies (0 or more)'
+        });
+      }
+
+      try {
+        nextBook = bookUpdate.file !== undefined ? openBook(bookUpdate) : openingBook;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          availableBooks: discoverBooks().map(b => b.name)
+        });
+      }
+    }
+
+    // A running engine checks the option against the ones it declared
+    let optionValidation = null;
+    if (uciOption !== undefined) {
+      const { name, value } = uciOption;
+
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          error: 'UCI option must have a name'
+        });
+      }
+
+      if (engineEnabled && engine) {
+        optionValidation = engine.validateOption(name, value);
+        if (!optionValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: optionValidation.error,
+            option: engine.engineOptions.get(String(name).toLowerCase())
+          });
+        }
+      } else if (value === undefined) {
         return res.status(400).json({
           success: false,
-          error: 'Mode must be "nodes" or "time"'
+          error: 'UCI option must have a value (button options require a running engine)'
         });
       }
+    }
+
+    // Update mode if provided
+    if (mode !== undefined) {
       engineConfig.mode = mode;
       console.log(`✓ Mode updated: ${engineConfig.mode}`);
 
       // Update threads based on mode
       if (engineEnabled && engine) {
-        const newThreads = mode === 'nodes' ? 1 : engineConfig.timeControl.threads;
-        await engine.setThreads(newThreads);
+        await engine.setThreads(engineThreads());
       }
     }
 
@@ -2321,6 +4209,18 @@ app.post('/engine/config', async (req, res) => {
       console.log(`✓ Node limit updated: ${engineConfig.nodes}`);
     }
 
+    // Update depth if provided (for depth mode)
+    if (depth !== undefined) {
+      engineConfig.depth = parseInt(depth);
+      console.log(`✓ Depth limit updated: ${engineConfig.depth}`);
+    }
+
+    // Update the time cap for nodes/depth searches (null removes it)
+    if (movetime !== undefined) {
+      engineConfig.movetime = movetime === null ? null : parseInt(movetime);
+      console.log(`✓ Movetime cap updated: ${engineConfig.movetime ? `${engineConfig.movetime}ms` : 'none'}`);
+    }
+
     // Update time control settings if provided
     if (timeControl !== undefined) {
       if (timeControl.base !== undefined) {
@@ -2338,33 +4238,76 @@ app.post('/engine/config', async (req, res) => {
         engineConfig.timeControl.threads = parseInt(timeControl.threads);
         console.log(`✓ Time control threads updated: ${engineConfig.timeControl.threads}`);
 
-        // If in time mode and engine is running, update threads
-        if (engineConfig.mode === 'time' && engineEnabled && engine) {
+        // If multi-threaded mode and engine is running, update threads
+        if (engineConfig.mode !== 'nodes' && engineEnabled && engine) {
           await engine.setThreads(engineConfig.timeControl.threads);
         }
       }
     }
 
+    // Update pondering if provided
+    if (ponder !== undefined) {
+      engineConfig.ponder = ponder;
+      if (!ponder) {
+        await cancelPonder('pondering disabled');
+      }
+
+      // UCI engines expect the Ponder option to reflect whether we will ponder
+      if (engineEnabled && engine && engine.validateOption('Ponder', ponder).valid) {
+        await engine.setUCIOption('Ponder', ponder);
+      }
+      console.log(`✓ Pondering ${ponder ? 'enabled' : 'disabled'}`);
+    }
+
+    // Update the opening book if provided (null disables it)
+    if (book !== undefined) {
+      if (bookUpdate.file !== undefined) engineConfig.book.file = bookUpdate.file;
+      if (bookUpdate.selection !== undefined) engineConfig.book.selection = bookUpdate.selection;
+      if (bookUpdate.maxDepth !== undefined) engineConfig.book.maxDepth = parseInt(bookUpdate.maxDepth);
+
+      openingBook = nextBook;
+      if (openingBook) {
+        logOpeningBook();
+      } else {
+        console.log('✓ Opening book disabled');
+      }
+    }
+
+    // Update Chess960 mode if provided: true/false apply now, 'auto' decides at the next game
+    if (chess960Mode !== undefined) {
+      engineConfig.chess960 = chess960Mode;
+      if (chess960Mode !== 'auto') {
+        await setChess960(chess960Mode, 'set by config');
+      }
+      console.log(`✓ Chess960 mode: ${chess960Mode === 'auto' ? 'auto-detect' : chess960Mode ? 'on' : 'off'}`);
+    }
+
+    // Update resign/draw adjudication rules if provided (a rule set to null is turned off)
+    if (adjudication !== undefined) {
+      if (adjudication.resign !== undefined) engineConfig.adjudication.resign = adjudication.resign;
+      if (adjudication.draw !== undefined) engineConfig.adjudication.draw = adjudication.draw;
+
+      const { resign, draw } = engineConfig.adjudication;
+      console.log(`✓ Adjudication: resign ${resign ? `at -${resign.score}cp for ${resign.moves} move(s)` : 'off'}, draw ${draw ? `within ±${draw.score}cp for ${draw.moves} move(s) from move ${draw.afterMove || 0}` : 'off'}`);
+    }
+
     // Handle UCI option if provided
     if (uciOption !== undefined) {
       const { name, value } = uciOption;
 
-      if (!name || value === undefined) {
-        return res.status(400).json({
-          success: false,
-          error: 'UCI option must have name and value'
-        });
-      }
-
-      // Store the UCI option
-      engineConfig.uciOptions[name] = value;
+      if (optionValidation) {
+        await engine.setUCIOption(optionValidation.name, optionValidation.value);
 
-      // If engine is running, apply the option immediately
-      if (engineEnabled && engine) {
-        await engine.setUCIOption(name, value);
+        // Buttons are one-shot actions - only remember real values
+        if (optionValidation.value !== null) {
+          engineConfig.uciOptions[optionValidation.name] = optionValidation.value;
+        }
+        console.log(`✓ UCI option set: ${optionValidation.name}${optionValidation.value !== null ? ` = ${optionValidation.value}` : ''}`);
+      } else {
+        // Engine not running - store it and validate when the engine starts
+        engineConfig.uciOptions[name] = value;
+        console.log(`✓ UCI option stored: ${name} = ${value} (applied when engine starts)`);
       }
-
-      console.log(`✓ UCI option set: ${name} = ${value}`);
     }
 
     res.json({
@@ -2373,8 +4316,14 @@ app.post('/engine/config', async (req, res) => {
       config: {
         mode: engineConfig.mode,
         nodes: engineConfig.nodes,
-        threads: engineConfig.mode === 'nodes' ? 1 : engineConfig.timeControl.threads,
+        depth: engineConfig.depth,
+        movetime: engineConfig.movetime,
+        threads: engineThreads(),
         timeControl: engineConfig.timeControl,
+        ponder: engineConfig.ponder,
+        book: engineConfig.book,
+        adjudication: engineConfig.adjudication,
+        chess960: engineConfig.chess960,
         selectedEngine: engineConfig.selectedEngine,
         uciOptions: engineConfig.uciOptions
       },
@@ -2392,18 +4341,40 @@ app.post('/engine/config', async (req, res) => {
 // Get engine status
 app.get('/engine/status', (req, res) => {
   const availableEngines = discoverEngines();
+  const profiles = loadProfiles();
 
   res.json({
     engineEnabled,
     engineReady: engine ? engine.isReady() : false,
     thinking: engine ? engine.thinking : false,
+    engineId: engine ? engine.id : null,
+    protocol: engine ? engine.protocol : null,
+    queued: engine ? engine.queuedCommands : 0,
+    supervisor: engine ? {
+      crashes: engine.crashCount,
+      lastCrash: engine.lastCrash,
+      restarts: engineSupervisor.restarts,
+      restarting: engineSupervisor.restarting,
+      gaveUp: engineSupervisor.gaveUp,
+      lastError: engineSupervisor.lastError,
+      recentOutput: engine.recentOutput
+    } : null,
+    pondering: ponderState ? { move: ponderState.move, hit: ponderState.hit } : null,
     selectedEngine: engineConfig.selectedEngine,
+    displayName: profiles[engineConfig.selectedEngine]?.displayName || null,
+    profileLimits: Object.keys(profileLimitsBackup),
     config: {
       mode: engineConfig.mode,
       nodes: engineConfig.nodes,
-      threads: engineConfig.mode === 'nodes' ? 1 : engineConfig.timeControl.threads,
-      timeControl: engineConfig.timeControl
+      depth: engineConfig.depth,
+      movetime: engineConfig.movetime,
+      threads: engineThreads(),
+      timeControl: engineConfig.timeControl,
+      ponder: engineConfig.ponder,
+      book: { ...engineConfig.book, loaded: openingBook !== null, entries: openingBook ? openingBook.entryCount : 0 },
+      chess960: engineConfig.chess960
     },
+    chess960,
     timeTracking: engineConfig.mode === 'time' ? {
       whiteTime: timeTracking.whiteTime,
       blackTime: timeTracking.blackTime,
@@ -2412,8 +4383,215 @@ app.get('/engine/status', (req, res) => {
     availableEngines: availableEngines.map(e => ({
       name: e.name,
       executable: e.executable,
-      size: e.size
-    }))
+      reason: e.reason,
+      size: e.size,
+      displayName: profiles[e.name]?.displayName || null
+    })),
+    availableBooks: discoverBooks().map(b => b.name),
+    tablebases: tablebase ? { path: tablebaseConfig.path, ...tablebase.counts, maxPieces: tablebase.maxPieces } : null
+  });
+});
+
+// Get the UCI options declared by the running engine
+app.get('/engine/options', (req, res) => {
+  if (!engineEnabled || !engine) {
+    return res.status(400).json({
+      success: false,
+      error: 'Engine not enabled. Call POST /engine/enable first.'
+    });
+  }
+
+  const options = engine.getOptions();
+
+  res.json({
+    success: true,
+    selectedEngine: engineConfig.selectedEngine,
+    options,
+    count: options.length,
+    configured: engineConfig.uciOptions
+  });
+});
+
+// Analyze a position and return ranked candidate lines (MultiPV)
+app.post('/engine/analyze', async (req, res) => {
+  try {
+    if (!engineEnabled || !engine || !engine.isReady()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Engine not enabled. Call POST /engine/enable first.'
+      });
+    }
+
+    // Queue behind the running search only if the caller asked to wait
+    const wait = req.body.wait === true || req.query.wait === 'true';
+    if (engine.isBusy() && !wait) {
+      return res.status(409).json({
+        success: false,
+        error: 'Engine is busy with another search. Try again when it finishes, or pass "wait": true to queue.',
+        queued: engine.queuedCommands
+      });
+    }
+
+    const { fen, multipv = 3, depth, nodes, movetime } = req.body;
+    let { moves = [] } = req.body;
+
+    // Accept "e2e4 e7e5" as well as ["e2e4", "e7e5"]
+    if (typeof moves === 'string') {
+      moves = moves.split(/\s+/).filter(m => m.length > 0);
+    }
+
+    if (!Array.isArray(moves)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Moves must be an array of UCI moves (e.g., ["e2e4", "e7e5"])'
+      });
+    }
+
+    const uciPattern = /^[a-h][1-8][a-h][1-8][qrbn]?$/;
+    const invalidMoves = moves.filter(m => !uciPattern.test(m));
+    if (invalidMoves.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid UCI move format',
+        invalidMoves
+      });
+    }
+
+    const multipvCount = parseInt(multipv);
+    if (isNaN(multipvCount) || multipvCount < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'multipv must be a positive integer'
+      });
+    }
+
+    // The engine has to declare MultiPV (and accept the requested count)
+    if (multipvCount > 1) {
+      const validation = engine.validateOption('MultiPV', multipvCount);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.error
+        });
+      }
+    }
+
+    // Replay the position so we can validate it and convert PVs to SAN
+    let position;
+    try {
+      position = createGame(fen);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid FEN string',
+        fen
+      });
+    }
+
+    for (const move of moves) {
+      try {
+        position.move({
+          from: move.substring(0, 2),
+          to: move.substring(2, 4),
+          promotion: move.length > 4 ? move[4] : undefined
+        });
+      } catch (err) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid move in sequence: ${move}`,
+          moves
+        });
+      }
+    }
+
+    // Fall back to the configured node limit if no limit was given
+    const limits = {
+      multipv: multipvCount,
+      depth: depth !== undefined ? parseInt(depth) : undefined,
+      nodes: nodes !== undefined ? parseInt(nodes) : undefined,
+      movetime: movetime !== undefined ? parseInt(movetime) : undefined
+    };
+    if (!limits.depth && !limits.nodes && !limits.movetime) {
+      limits.nodes = engineConfig.nodes;
+    }
+
+    const analyzedFen = position.fen();
+
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('🔬 Analyzing position...');
+    console.log(`   FEN: ${analyzedFen}`);
+    console.log(`   MultiPV: ${limits.multipv}`);
+
+    const result = await engine.analyze(limits, { fen: fen || 'startpos', moves }, searchStreamHooks('analyze', analyzedFen));
+
+    const lines = result.lines.map(line => {
+      const pvSan = pvToSan(line.pv, analyzedFen);
+      return {
+        rank: line.rank,
+        move: line.pv[0],
+        san: pvSan[0],
+        score: line.score,
+        mate: line.mate,
+        wdl: line.wdl,
+        depth: line.depth,
+        seldepth: line.seldepth,
+        nodes: line.nodes,
+        nps: line.nps,
+        time: line.time,
+        pv: line.pv,
+        pvSan
+      };
+    });
+
+    lines.forEach(line => {
+      const score = line.mate !== undefined ? `mate ${line.mate}` : `${line.score}cp`;
+      console.log(`   ${line.rank}. ${line.san || line.move} (${score}) ${line.pvSan.join(' ')}`);
+    });
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    res.json({
+      success: true,
+      fen: analyzedFen,
+      bestMove: result.move,
+      ponder: result.ponder,
+      depth: result.depth,
+      limits,
+      lines,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error analyzing position:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Stream live search info (Server-Sent Events)
+app.get('/engine/stream', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(': connected\n\n');
+
+  streamClients.add(res);
+  console.log(`📡 Search stream client connected (${streamClients.size} total)`);
+
+  // Tell the new client what is being searched right now, if anything
+  if (streamContext) {
+    res.write(`event: search-start\ndata: ${JSON.stringify(streamContext)}\n\n`);
+  }
+
+  // Keep intermediaries from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    streamClients.delete(res);
+    console.log(`📡 Search stream client disconnected (${streamClients.size} remaining)`);
   });
 });
 
@@ -2435,6 +4613,17 @@ app.get('/engine/suggest', async (req, res) => {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('🤖 Getting engine suggestion...');
 
+    // A manual suggestion takes priority over thinking on the opponent's time
+    await cancelPonder('suggestion requested');
+
+    // Queue behind the running search only if the caller asked to wait
+    if (engine.isBusy() && req.query.wait !== 'true') {
+      return res.status(409).json({
+        error: 'Engine is busy with another search. Try again when it finishes, or pass ?wait=true to queue.',
+        queued: engine.queuedCommands
+      });
+    }
+
     // Sync position with chess.com board first
     console.log('   Syncing position with board...');
     let syncResult = await syncPositionInternal();
@@ -2469,7 +4658,7 @@ app.get('/engine/suggest', async (req, res) => {
     const fen = await getBoardState();
     if (!fen) {
       return res.status(400).json({
-        error: 'Could not read board state'
+        error: 'Could not read board state, or the board no longer matches the move history (POST /sync)'
       });
     }
 
@@ -2479,58 +4668,93 @@ app.get('/engine/suggest', async (req, res) => {
       console.log(`   Starting FEN: ${startingFen}`);
     }
 
-    // Set position for engine using move history
+    // Keep the shared chess instance on the searched position for SAN conversion
+    const searchPosition = moveHistory.length === 0 && startingFen ? createGame(fen) : replayMoveHistory();
+    if (searchPosition) {
+      chess.load(searchPosition.fen());
+    }
+
+    // Opening book before the engine
+    const book = searchPosition ? bookMove(searchPosition) : null;
+    if (book) {
+      console.log(`📖 Book move: ${book.move} (weight ${book.weight}/${book.totalWeight}, ${book.candidates} candidate(s))`);
+      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+      return res.json({
+        success: true,
+        move: book.move,
+        source: 'book',
+        book: {
+          file: engineConfig.book.file,
+          weight: book.weight,
+          totalWeight: book.totalWeight,
+          candidates: book.candidates
+        },
+        fen,
+        moveHistory,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Tablebase verdict, so the engine's endgame play can be checked against it
+    const tablebaseVerdict = searchPosition ? probeTablebase(searchPosition) : null;
+    if (tablebaseVerdict) {
+      console.log(`   📚 Tablebase: ${describeTablebaseVerdict(tablebaseVerdict)} for the side to move`);
+    }
+
+    // Position for the engine using move history
+    let position;
     if (startingFen) {
       // If we have no moves yet, use the current FEN directly (with correct turn indicator)
       // Otherwise use the starting FEN + move history
       if (moveHistory.length === 0) {
         console.log(`   → Using current FEN (no moves played yet): ${fen}`);
-        engine.setPosition(fen, []);
+        position = { fen, moves: [] };
       } else {
         console.log(`   → Using starting FEN + ${moveHistory.length} moves`);
-        engine.setPosition(startingFen, moveHistory);
+        position = gamePosition();
       }
     } else {
-      engine.setPosition('startpos', moveHistory);
+      position = gamePosition();
     }
 
+    // The game position may move on while the search waits in the queue, so keep the searched one
+    const searchedFen = searchPosition ? searchPosition.fen() : fen;
+
     // Get best move based on mode
-    let result;
-    if (engineConfig.mode === 'nodes') {
-      console.log(`   Searching with ${engineConfig.nodes} nodes (1 thread)...`);
-      result = await engine.goNodes(engineConfig.nodes);
-    } else {
-      // Time control mode
-      console.log(`   Searching with time control: ${timeTracking.whiteTime}ms + ${timeTracking.increment}ms (${engineConfig.timeControl.threads} threads)...`);
-      result = await engine.go(
-        timeTracking.whiteTime,
-        timeTracking.blackTime,
-        timeTracking.increment,
-        timeTracking.increment
-      );
+    const limits = searchLimits();
+    console.log(`   Searching with ${describeLimits(limits)} (${engineThreads()} thread(s))...`);
+    const result = await engine.search(limits, position, searchStreamHooks('suggest', searchedFen));
 
-      if (result.timeUsed) {
-        console.log(`   ⏱️  Time used: ${result.timeUsed}ms`);
-      }
+    if (result.timeUsed) {
+      console.log(`   ⏱️  Time used: ${result.timeUsed}ms`);
     }
-
     console.log(`✓ Engine suggests: ${result.move}`);
+    if (result.info) {
+      console.log(`   📊 ${describeSearchInfo(result.info)}`);
+    }
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
     const responseData = {
       success: true,
       move: result.move,
       ponder: result.ponder,
+      source: 'engine',
       fen,
       moveHistory,
       mode: engineConfig.mode,
+      limits,
+      timeUsed: result.timeUsed,
+      stats: result.info ? { ...result.info, pvSan: pvToSan(result.info.pv, searchedFen) } : null,
+      tablebase: tablebaseVerdict,
       timestamp: new Date().toISOString()
     };
 
     if (engineConfig.mode === 'nodes') {
       responseData.nodes = engineConfig.nodes;
+    } else if (engineConfig.mode === 'depth') {
+      responseData.depth = engineConfig.depth;
     } else {
-      responseData.timeUsed = result.timeUsed;
       responseData.timeControl = {
         whiteTime: timeTracking.whiteTime,
         blackTime: timeTracking.blackTime,
@@ -2548,6 +4772,237 @@ app.get('/engine/suggest', async (req, res) => {
   }
 });
 
+/**
+ * Parse match/SPRT engine names, limits and openings from a request body
+ * Returns { options } or { error } (a 400 message)
+ */
+function parseMatchRequest(body) {
+  const { engines: engineNames, games, nodes, depth, movetime, timeControl, openings, threads, hash, maxPlies, tbAdjudication } = body;
+
+  if (!Array.isArray(engineNames) || engineNames.length !== 2) {
+    return { error: 'Provide two engines: { "engines": ["engine-a", "engine-b"] }' };
+  }
+
+  const availableEngines = discoverEngines();
+  const profiles = loadProfiles();
+  const engines = [];
+  for (const name of engineNames) {
+    const found = availableEngines.find(e => e.name === name);
+    if (!found) {
+      return { error: `Engine "${name}" not found. Use GET /engine/list to see available engines.` };
+    }
+    if (!found.executable) {
+      return { error: notExecutableError(found) };
+    }
+    // Launch settings and default options come from the profile; its limits don't apply to matches
+    const { protocol, args, cwd, env, secret, uciOptions } = profiles[name] || {};
+    engines.push({ name: found.name, path: found.path, protocol, args, cwd, env, secret, uciOptions });
+  }
+
+  // Exactly one kind of limit; fall back to the configured node limit
+  let limits;
+  if (timeControl) {
+    const base = parseInt(timeControl.base);
+    const increment = parseInt(timeControl.increment || 0);
+    if (isNaN(base) || base <= 0 || isNaN(increment) || increment < 0) {
+      return { error: 'timeControl needs a positive base and a non-negative increment (ms)' };
+    }
+    limits = { timeControl: { base, increment } };
+  } else {
+    limits = {
+      nodes: nodes !== undefined ? parseInt(nodes) : undefined,
+      depth: depth !== undefined ? parseInt(depth) : undefined,
+      movetime: movetime !== undefined ? parseInt(movetime) : undefined
+    };
+    if (Object.values(limits).some(value => value !== undefined && (isNaN(value) || value <= 0))) {
+      return { error: 'nodes, depth and movetime must be positive integers' };
+    }
+    if (!limits.nodes && !limits.depth && !limits.movetime) {
+      limits = { nodes: engineConfig.nodes };
+    }
+  }
+
+  if (tbAdjudication && !tablebase) {
+    return { error: 'tbAdjudication needs tablebases: set tablebases.path in config-api.json' };
+  }
+
+  let openingList = null;
+  if (openings) {
+    try {
+      openingList = loadOpenings(resolveOpeningsPath(openings));
+    } catch (error) {
+      return { error: `Could not load openings: ${error.message}` };
+    }
+  }
+
+  return {
+    options: {
+      engines,
+      games: games !== undefined ? parseInt(games) : undefined,
+      limits,
+      openings: openingList,
+      threads: threads !== undefined ? parseInt(threads) : undefined,
+      hash: hash !== undefined ? parseInt(hash) : undefined,
+      maxPlies: maxPlies !== undefined ? parseInt(maxPlies) : undefined,
+      syzygyPath: tablebaseConfig.path,
+      tablebase: tbAdjudication ? tablebase : null
+    }
+  };
+}
+
+/**
+ * Log and stream a match/SPRT job's progress, then start it in the background
+ */
+function runMatchJob(runner, options) {
+  const [first, second] = options.engines.map(e => e.name);
+  const kind = runner instanceof SprtRunner ? 'SPRT' : 'Match';
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`⚔️  ${kind}: ${first} vs ${second}`);
+  console.log(`   Games: ${runner.games}${kind === 'SPRT' ? ' max' : ''}, openings: ${runner.openings.length}`);
+  console.log(`   Limits: ${options.limits.timeControl ? `${options.limits.timeControl.base}ms + ${options.limits.timeControl.increment}ms` : describeLimits(options.limits)}`);
+  if (kind === 'SPRT') {
+    console.log(`   Bounds: elo0 ${runner.elo0}, elo1 ${runner.elo1}, alpha ${runner.alpha}, beta ${runner.beta} (LLR ${runner.bounds.lower.toFixed(2)} .. ${runner.bounds.upper.toFixed(2)})`);
+  }
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  runner.on('game', (game) => {
+    const { results, sprt } = runner.getSummary();
+    console.log(`⚔️  Game ${game.round}/${runner.games}: ${game.white} - ${game.black} ${game.result} (${game.reason}, ${game.plies} plies) | ${first} +${results.wins} =${results.draws} -${results.losses}${sprt ? ` | LLR ${sprt.llr}` : ''}`);
+    const { pgn, ...progress } = game;
+    broadcastStreamEvent('match-game', { ...progress, results, sprt, timestamp: new Date().toISOString() });
+  });
+
+  runner.on('done', (summary) => {
+    const { wins, draws, losses, score, elo } = summary.results;
+    console.log(`⚔️  ${kind} ${summary.status}: ${first} +${wins} =${draws} -${losses} (score ${score ?? '-'}, Elo ${elo ?? '-'})`);
+    if (summary.sprt) {
+      const { llr, decision, elo: sprtElo, errorMargin } = summary.sprt;
+      console.log(`   SPRT: LLR ${llr}, ${decision ? `${decision} accepted` : 'no decision'}, Elo ${sprtElo ?? '-'} ± ${errorMargin ?? '-'}`);
+    }
+    if (summary.error) {
+      console.error(`   ❌ ${summary.error}`);
+    }
+    broadcastStreamEvent('match-done', { ...summary, timestamp: new Date().toISOString() });
+  });
+
+  runner.run();
+}
+
+// Start a local engine-vs-engine match
+app.post('/match', (req, res) => {
+  if (match && match.status === 'running') {
+    return res.status(409).json({
+      success: false,
+      error: 'A match is already running. Check GET /match or stop it with POST /match/stop.'
+    });
+  }
+
+  const { options, error } = parseMatchRequest(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  match = new MatchRunner(options);
+  runMatchJob(match, options);
+
+  res.status(202).json({
+    success: true,
+    message: 'Match started',
+    match: match.getSummary()
+  });
+});
+
+// Start an SPRT between a candidate build (first engine) and a baseline (second engine)
+app.post('/sprt', (req, res) => {
+  if (match && match.status === 'running') {
+    return res.status(409).json({
+      success: false,
+      error: 'A match is already running. Check GET /match or stop it with POST /match/stop.'
+    });
+  }
+
+  const { options, error } = parseMatchRequest(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const { elo0 = 0, elo1 = 5, alpha = 0.05, beta = 0.05, maxGames = 20000 } = req.body;
+  const bounds = [elo0, elo1, alpha, beta, maxGames].map(Number);
+  if (bounds.some(isNaN)) {
+    return res.status(400).json({ success: false, error: 'elo0, elo1, alpha, beta and maxGames must be numbers' });
+  }
+  if (bounds[0] >= bounds[1]) {
+    return res.status(400).json({ success: false, error: 'elo0 must be lower than elo1' });
+  }
+  if (bounds[2] <= 0 || bounds[2] >= 0.5 || bounds[3] <= 0 || bounds[3] >= 0.5) {
+    return res.status(400).json({ success: false, error: 'alpha and beta must be between 0 and 0.5' });
+  }
+
+  match = new SprtRunner({
+    ...options,
+    elo0: bounds[0],
+    elo1: bounds[1],
+    alpha: bounds[2],
+    beta: bounds[3],
+    maxGames: Math.max(2, parseInt(bounds[4]))
+  });
+  runMatchJob(match, options);
+
+  res.status(202).json({
+    success: true,
+    message: 'SPRT started',
+    match: match.getSummary()
+  });
+});
+
+// SPRT progress (same as GET /match while the current job is an SPRT)
+app.get('/sprt', (req, res) => {
+  if (!(match instanceof SprtRunner)) {
+    return res.status(404).json({
+      success: false,
+      error: 'No SPRT has been started. Use POST /sprt.'
+    });
+  }
+
+  res.json({
+    success: true,
+    match: match.getSummary(req.query.pgn === 'true')
+  });
+});
+
+// Match progress and results
+app.get('/match', (req, res) => {
+  if (!match) {
+    return res.status(404).json({
+      success: false,
+      error: 'No match has been started. Use POST /match.'
+    });
+  }
+
+  res.json({
+    success: true,
+    match: match.getSummary(req.query.pgn === 'true')
+  });
+});
+
+// Stop the running match after the current game
+app.post('/match/stop', (req, res) => {
+  if (!match || match.status !== 'running') {
+    return res.json({
+      success: true,
+      message: 'No match running'
+    });
+  }
+
+  match.stop();
+  res.json({
+    success: true,
+    message: 'Match will stop after the current game',
+    match: match.getSummary()
+  });
+});
+
 /**
  * Start server
  */
@@ -2557,6 +5012,40 @@ async function start() {
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log('');
 
+  // Opening book from config-api.json, if any
+  try {
+    loadOpeningBook();
+  } catch (error) {
+    console.warn(`Warning: ${error.message} - continuing without a book`);
+    engineConfig.book.file = null;
+  }
+
+  // Resign/draw rules from config-api.json, if any
+  const adjudicationError = validateAdjudication(engineConfig.adjudication);
+  if (adjudicationError) {
+    console.warn(`Warning: ${adjudicationError} - adjudication disabled`);
+    engineConfig.adjudication = { resign: null, draw: null };
+  }
+
+  if (!['auto', true, false].includes(engineConfig.chess960)) {
+    console.warn(`Warning: engine.chess960 must be "auto", true or false (got ${JSON.stringify(engineConfig.chess960)}) - using auto`);
+    engineConfig.chess960 = 'auto';
+  }
+  chess960 = engineConfig.chess960 === true;
+  chess = createGame();
+
+  // Syzygy tablebases from config-api.json, if any
+  if (tablebaseConfig.path) {
+    try {
+      tablebase = new SyzygyTablebase(tablebaseConfig.path);
+      const { wdl, dtz } = tablebase.counts;
+      console.log(`📚 Syzygy tablebases: ${wdl} WDL / ${dtz} DTZ tables, up to ${tablebase.maxPieces} pieces (${tablebaseConfig.path})`);
+    } catch (error) {
+      console.warn(`Warning: ${error.message} - tablebases disabled`);
+      tablebaseConfig.path = null;
+    }
+  }
+
   // Start Express server
   app.listen(PORT, () => {
     console.log(`✓ API Server running on http://localhost:${PORT}`);
@@ -2603,12 +5092,32 @@ async function start() {
       console.log('         Disable chess engine');
       console.log(`    POST http://localhost:${PORT}/engine/switch`);
       console.log('         Body: { "engine": "engine-name" }');
+      console.log(`    GET  http://localhost:${PORT}/engine/profiles`);
+      console.log('         List per-engine profiles from engines.json');
+      console.log(`    POST http://localhost:${PORT}/engine/profiles`);
+      console.log('         Body: { "engine": "engine-name", "args": [...], "uciOptions": {...} }');
       console.log(`    POST http://localhost:${PORT}/engine/config`);
-      console.log('         Body: { "nodes": 1000000 }');
+      console.log('         Body: { "nodes": 1000000 } or { "book": { "file": "book.bin" } }');
+      console.log(`    GET  http://localhost:${PORT}/engine/options`);
+      console.log('         List UCI options declared by the engine');
       console.log(`    GET  http://localhost:${PORT}/engine/status`);
       console.log('         Returns engine status and available engines');
       console.log(`    GET  http://localhost:${PORT}/engine/suggest`);
       console.log('         Get engine move suggestion for current position');
+      console.log(`    POST http://localhost:${PORT}/engine/analyze`);
+      console.log('         Body: { "fen": "...", "multipv": 3, "depth": 20 }');
+      console.log(`    GET  http://localhost:${PORT}/engine/stream`);
+      console.log('         Server-Sent Events stream of live search info');
+      console.log('');
+      console.log('  LOCAL MATCHES (no browser needed):');
+      console.log(`    POST http://localhost:${PORT}/match`);
+      console.log('         Body: { "engines": ["a", "b"], "games": 20, "nodes": 100000 }');
+      console.log(`    GET  http://localhost:${PORT}/match`);
+      console.log('         Match progress and W/D/L results');
+      console.log(`    POST http://localhost:${PORT}/sprt`);
+      console.log('         Body: { "engines": ["new", "base"], "elo0": 0, "elo1": 5, "nodes": 50000 }');
+      console.log(`    POST http://localhost:${PORT}/match/stop`);
+      console.log('         Stop the match or SPRT after the current game');
       console.log('');
       console.log('  AUTOPLAY (Automatic Engine Play):');
       console.log(`    POST http://localhost:${PORT}/autoplay/enable`);
@@ -2639,6 +5148,13 @@ async function start() {
       await engine.quit();
     }
 
+    // Stop match engines if a match is running
+    if (match && match.status === 'running') {
+      console.log('Stopping match...');
+      match.stop();
+      await Promise.all(match.engines.map(e => e.quit()));
+    }
+
     // Disconnect browser
     if (browser) await browser.disconnect();
 
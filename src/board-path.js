@@ -0,0 +1,104 @@
+/**
+ * Board paths: how a board read from the page follows on from the move history
+ *
+ * The page can be a few plies ahead of the history (polls that missed moves) or behind it
+ * (takebacks), and it only shows piece placement. The search here finds the plies that take
+ * the history's position to that placement.
+ */
+
+// Plies sync looks ahead (polls that missed moves) and back (takebacks) to match the board
+export const SYNC_SEARCH_PLIES = 3;
+
+// Positions one board search may try before giving up (about 0.5ms each)
+const SYNC_SEARCH_NODES = 500;
+
+/**
+ * How the board got from the end of a move history to a placement
+ * Tries every split of up to SYNC_SEARCH_PLIES plies taken back and SYNC_SEARCH_PLIES plies
+ * forward, fewest plies changed first. On a tie the takeback wins: a knight that went out and
+ * came back shows the same board as the move taken back, and the history should lose the move.
+ * Only moves touching a square that still differs from the board are tried.
+ * @param {string} placement - Piece placement (first FEN field) of the board
+ * @param {{startingFen: string|null, moveHistory: string[], createGame: Function}} game - The history,
+ *   and a factory for boards of the game's variant (createGame(fen) with fen null for the start position)
+ * @returns {{removed: string[], added: string[], fen: string}|null} Plies in UCI, and the FEN of the match
+ */
+export function findBoardPath(placement, { startingFen, moveHistory, createGame }) {
+  // positions[i] is the position after the first i moves of the history
+  const positions = [createGame(startingFen)];
+  for (const move of moveHistory) {
+    const next = createGame(positions[positions.length - 1].fen());
+    try {
+      next.move({ from: move.substring(0, 2), to: move.substring(2, 4), promotion: move.length > 4 ? move[4] : undefined });
+    } catch (err) {
+      // Same as the replay in syncPositionInternal(): an invalid move leaves the position as it was
+    }
+    positions.push(next);
+  }
+
+  let nodes = 0;
+  const search = (position, depth) => {
+    const board = position.fen().split(' ')[0];
+    if (board === placement) return [];
+    if (++nodes > SYNC_SEARCH_NODES || depth === 0) return null;
+
+    // Each side lands on one square per ply (two when castling), and a ply empties at most two
+    const diff = diffPlacements(board, placement);
+    const turn = position.turn();
+    const ownPlies = Math.ceil(depth / 2);
+    const arrivals = (color) => diff.filter(d => d.actual && (d.actual === d.actual.toUpperCase() ? 'w' : 'b') === color).length;
+    if (arrivals(turn) > ownPlies + 1 || arrivals(turn === 'w' ? 'b' : 'w') > depth - ownPlies + 1) return null;
+    if (diff.filter(d => !d.actual).length > depth * 2) return null;
+
+    const differing = new Set(diff.map(d => d.square));
+
+    for (const move of position.moves({ verbose: true })) {
+      if (!differing.has(move.from) && !differing.has(move.to)) continue;
+
+      const next = createGame(position.fen());
+      next.move(move);
+      const rest = search(next, depth - 1);
+      if (rest) return [{ uci: move.from + move.to + (move.promotion || ''), position: next }, ...rest];
+    }
+    return null;
+  };
+
+  const maxBack = Math.min(SYNC_SEARCH_PLIES, moveHistory.length);
+  for (let changed = 0; changed <= maxBack + SYNC_SEARCH_PLIES; changed++) {
+    for (let back = Math.min(changed, maxBack); back >= 0 && changed - back <= SYNC_SEARCH_PLIES; back--) {
+      const base = positions[moveHistory.length - back];
+      const line = search(base, changed - back);
+      if (line) {
+        return {
+          removed: moveHistory.slice(moveHistory.length - back),
+          added: line.map(step => step.uci),
+          fen: (line.length > 0 ? line[line.length - 1].position : base).fen()
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Squares whose pieces differ between two FEN placements
+ * @returns {Array<{square: string, expected: string|null, actual: string|null}>} Pieces as FEN letters, null for empty
+ */
+export function diffPlacements(expected, actual) {
+  const expand = (placement) => placement.split('/')
+    .flatMap(row => [...row].flatMap(ch => (/\d/.test(ch) ? Array(parseInt(ch, 10)).fill(null) : [ch])));
+
+  const before = expand(expected);
+  const after = expand(actual);
+  const diff = [];
+
+  for (let index = 0; index < 64; index++) {
+    if (before[index] !== after[index]) {
+      const square = 'abcdefgh'[index % 8] + (8 - Math.floor(index / 8));
+      diff.push({ square, expected: before[index] ?? null, actual: after[index] ?? null });
+    }
+  }
+
+  return diff;
+}
@@ -0,0 +1,363 @@
+import { Chess } from 'chess.js';
+
+const FILES = 'abcdefgh';
+const DEFAULT_POSITION = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+/**
+ * Whether a FEN's placement is one of the 960 Chess960 starting positions
+ * (mirrored back ranks, bishops on opposite colours, king between the rooks)
+ */
+export function isChess960Start(fen) {
+  const rows = fen.split(' ')[0].split('/');
+  if (rows.length !== 8) return false;
+  if (rows[1] !== 'pppppppp' || rows[6] !== 'PPPPPPPP' || rows.slice(2, 6).some(row => row !== '8')) return false;
+
+  const whiteRank = rows[7];
+  if (whiteRank.length !== 8 || rows[0] !== whiteRank.toLowerCase()) return false;
+  if ([...whiteRank].sort().join('') !== 'BBKNNQRR') return false;
+
+  const files = (piece) => [...whiteRank].flatMap((p, index) => (p === piece ? [index] : []));
+  const bishops = files('B');
+  const rooks = files('R');
+  const king = whiteRank.indexOf('K');
+
+  return bishops[0] % 2 !== bishops[1] % 2 && rooks[0] < king && king < rooks[1];
+}
+
+/**
+ * Whether a position can only be a Chess960 game: a 960 start other than the standard one,
+ * or a castling field that names rook files (Shredder-FEN, or X-FEN for an inner rook)
+ */
+export function isChess960Fen(fen) {
+  const [placement, , castling = '-'] = fen.split(' ');
+  if (/[A-Ha-h]/.test(castling)) return true;
+  return isChess960Start(fen) && placement.split('/')[7] !== 'RNBQKBNR';
+}
+
+/**
+ * chess.js with Chess960 castling
+ *
+ * chess.js only castles with the king on e1/e8 and rooks on a/h, so it gets the position
+ * without castling rights and this class adds them back: it reads and writes X-FEN and
+ * Shredder-FEN castling fields, generates castling moves, and plays them as UCI_Chess960
+ * does - the king "captures" its own rook (e.g. b1a1 for O-O-O with king b1, rook a1).
+ * Castling reloads the board, so undo() and history() don't reach past a castling move.
+ */
+export class Chess960 extends Chess {
+  /**
+   * @param {string} [fen] - Position in X-FEN or Shredder-FEN (default: the standard start)
+   */
+  constructor(fen = DEFAULT_POSITION, options = {}) {
+    super(fen, options);
+  }
+
+  clear(options) {
+    this._castlingRooks = { w: [], b: [] };
+    super.clear(options);
+  }
+
+  load(fen, options = {}) {
+    const tokens = fen.trim().split(/\s+/);
+    const castling = tokens.length > 2 ? tokens[2] : '-';
+    if (tokens.length > 2) tokens[2] = '-';
+
+    super.load(tokens.join(' '), options);
+    this._castlingRooks = this._parseCastling(castling);
+  }
+
+  /**
+   * FEN with castling rights in X-FEN (KQkq unless an inner rook needs its file letter)
+   * @param {{shredder?: boolean, forceEnpassantSquare?: boolean}} [options] - shredder: always use file letters
+   */
+  fen({ shredder = false, ...options } = {}) {
+    const fen = super.fen(options);
+    // chess.js calls fen() from its own constructor, before load() has run
+    if (!this._castlingRooks) return fen;
+
+    const tokens = fen.split(' ');
+    tokens[2] = this.castlingField(shredder);
+    return tokens.join(' ');
+  }
+
+  /**
+   * Rook files each side can still castle with, e.g. { w: ['b', 'g'], b: ['g'] }
+   */
+  castlingRights() {
+    return { w: this._validRooks('w'), b: this._validRooks('b') };
+  }
+
+  /**
+   * The castling field of the FEN
+   */
+  castlingField(shredder = false) {
+    let field = '';
+
+    for (const color of ['w', 'b']) {
+      const kingFile = this.kingFile(color);
+      const rooks = this._validRooks(color);
+      // Kingside (rooks right of the king) first, as in KQkq
+      const ordered = [...rooks.filter(f => f > kingFile).sort().reverse(), ...rooks.filter(f => f < kingFile).sort()];
+
+      for (const file of ordered) {
+        let letter = file;
+        if (!shredder && this._outermostRook(color, file > kingFile ? 'k' : 'q') === file) {
+          letter = file > kingFile ? 'k' : 'q';
+        }
+        field += color === 'w' ? letter.toUpperCase() : letter;
+      }
+    }
+
+    return field || '-';
+  }
+
+  moves({ verbose = false, square = undefined, piece = undefined } = {}) {
+    const moves = super.moves({ verbose: true, square, piece });
+    const castles = piece === undefined || piece === 'k'
+      ? this._castlingMoves().filter(move => square === undefined || move.from === square)
+      : [];
+
+    const all = [...moves, ...castles];
+    return verbose ? all : all.map(move => move.san);
+  }
+
+  move(move, options = {}) {
+    const castle = this._matchCastle(move);
+    if (castle) {
+      this._playCastle(castle);
+      return castle;
+    }
+
+    const result = super.move(move, options);
+    this._updateRights(result);
+    // The Move was built before the rights changed
+    result.after = this.fen();
+    return result;
+  }
+
+  /**
+   * Squares to drag on a board UI for a UCI move
+   * Castling written as king-takes-rook becomes a drag of the king to its castled square,
+   * or onto the rook if the king doesn't move.
+   * @returns {{from: string, to: string}}
+   */
+  dragSquares(uciMove) {
+    const from = uciMove.substring(0, 2);
+    const to = uciMove.substring(2, 4);
+    const castle = this._castlingMoves().find(move => move.from === from && move.to === to);
+
+    if (!castle || castle.kingTo === from) return { from, to };
+    return { from, to: castle.kingTo };
+  }
+
+  /**
+   * File of the king on its back rank, or null once it has left it
+   */
+  kingFile(color) {
+    const rank = color === 'w' ? '1' : '8';
+    for (const file of FILES) {
+      const piece = this.get(file + rank);
+      if (piece && piece.type === 'k' && piece.color === color) return file;
+    }
+    return null;
+  }
+
+  _outermostRook(color, side) {
+    const rank = color === 'w' ? '1' : '8';
+    const kingFile = this.kingFile(color);
+    if (!kingFile) return null;
+
+    const files = side === 'k' ? [...FILES].reverse().filter(f => f > kingFile) : [...FILES].filter(f => f < kingFile);
+    return files.find(file => {
+      const piece = this.get(file + rank);
+      return piece && piece.type === 'r' && piece.color === color;
+    }) || null;
+  }
+
+  _parseCastling(field) {
+    const rooks = { w: [], b: [] };
+    if (!field || field === '-') return rooks;
+
+    for (const char of field) {
+      const color = char === char.toUpperCase() ? 'w' : 'b';
+      const lower = char.toLowerCase();
+      const file = lower === 'k' || lower === 'q' ? this._outermostRook(color, lower) : lower;
+
+      if (file && FILES.includes(file) && !rooks[color].includes(file)) {
+        rooks[color].push(file);
+      }
+    }
+
+    this._castlingRooks = rooks;
+    return { w: this._validRooks('w'), b: this._validRooks('b') };
+  }
+
+  /**
+   * Rights whose king and rook are still where castling needs them
+   */
+  _validRooks(color) {
+    const rank = color === 'w' ? '1' : '8';
+    const kingFile = this.kingFile(color);
+    if (!kingFile) return [];
+
+    return this._castlingRooks[color].filter(file => {
+      const piece = this.get(file + rank);
+      return file !== kingFile && piece && piece.type === 'r' && piece.color === color;
+    });
+  }
+
+  _castlingMoves() {
+    const color = this.turn();
+    const them = color === 'w' ? 'b' : 'w';
+    const rank = color === 'w' ? '1' : '8';
+    const kingFile = this.kingFile(color);
+    if (!kingFile || this.inCheck()) return [];
+
+    const castles = [];
+    for (const rookFile of this._validRooks(color)) {
+      const kingside = rookFile > kingFile;
+      const kingTo = (kingside ? 'g' : 'c') + rank;
+      const rookTo = (kingside ? 'f' : 'd') + rank;
+      const kingFrom = kingFile + rank;
+      const rookFrom = rookFile + rank;
+
+      // Every square the king or rook crosses must be empty, apart from the two of them
+      const spanFiles = [kingFile, rookFile, kingTo[0], rookTo[0]].map(f => FILES.indexOf(f));
+      let blocked = false;
+      for (let index = Math.min(...spanFiles); index <= Math.max(...spanFiles); index++) {
+        const square = FILES[index] + rank;
+        if (square !== kingFrom && square !== rookFrom && this.get(square)) {
+          blocked = true;
+          break;
+        }
+      }
+      if (blocked) continue;
+
+      // The king may not pass through or land on an attacked square
+      const kingPath = FILES.indexOf(kingTo[0]) - FILES.indexOf(kingFile);
+      const step = Math.sign(kingPath);
+      let attacked = false;
+      for (let offset = step; Math.abs(offset) <= Math.abs(kingPath) && step !== 0; offset += step) {
+        if (this.isAttacked(FILES[FILES.indexOf(kingFile) + offset] + rank, them)) {
+          attacked = true;
+          break;
+        }
+      }
+      if (attacked) continue;
+
+      const castle = this._castleMove(color, kingFrom, rookFrom, kingTo, rookTo, kingside);
+      // A rook that shielded the king's destination can still leave it in check
+      if (castle) castles.push(castle);
+    }
+
+    return castles;
+  }
+
+  _castleMove(color, kingFrom, rookFrom, kingTo, rookTo, kingside) {
+    const before = this.fen();
+    const after = new Chess960(this._fenAfterCastle(color, kingFrom, rookFrom, kingTo, rookTo));
+
+    // The side that castled must not be in check afterwards
+    const them = color === 'w' ? 'b' : 'w';
+    if (after.isAttacked(kingTo, them)) return null;
+
+    const san = (kingside ? 'O-O' : 'O-O-O') + (after.isCheckmate() ? '#' : after.inCheck() ? '+' : '');
+    const flags = kingside ? 'k' : 'q';
+
+    return {
+      color,
+      from: kingFrom,
+      to: rookFrom,
+      piece: 'k',
+      flags,
+      san,
+      lan: kingFrom + rookFrom,
+      before,
+      after: after.fen(),
+      kingTo,
+      rookTo,
+      isCapture: () => false,
+      isPromotion: () => false,
+      isEnPassant: () => false,
+      isBigPawn: () => false,
+      isKingsideCastle: () => kingside,
+      isQueensideCastle: () => !kingside,
+      isCastle: () => true
+    };
+  }
+
+  _fenAfterCastle(color, kingFrom, rookFrom, kingTo, rookTo) {
+    const [placement, , , , halfMoves, moveNumber] = super.fen().split(' ');
+
+    // Expand the placement to 64 squares, a8 first
+    const squares = placement.split('/').flatMap(row => [...row].flatMap(ch => (/\d/.test(ch) ? Array(parseInt(ch, 10)).fill('') : [ch])));
+    const index = (square) => (8 - parseInt(square[1], 10)) * 8 + FILES.indexOf(square[0]);
+
+    const king = squares[index(kingFrom)];
+    const rook = squares[index(rookFrom)];
+    squares[index(kingFrom)] = '';
+    squares[index(rookFrom)] = '';
+    squares[index(kingTo)] = king;
+    squares[index(rookTo)] = rook;
+
+    const rows = [];
+    for (let row = 0; row < 8; row++) {
+      // Runs of empty squares back to digits
+      rows.push(squares.slice(row * 8, row * 8 + 8).map(piece => piece || '1').join('')
+        .replace(/1+/g, ones => String(ones.length)));
+    }
+
+    // The castling side loses its rights; the opponent keeps theirs
+    const them = color === 'w' ? 'b' : 'w';
+    const theirRooks = this._validRooks(them).map(f => (them === 'w' ? f.toUpperCase() : f)).join('');
+    const nextMoveNumber = color === 'b' ? parseInt(moveNumber, 10) + 1 : parseInt(moveNumber, 10);
+
+    return `${rows.join('/')} ${them} ${theirRooks || '-'} - ${parseInt(halfMoves, 10) + 1} ${nextMoveNumber}`;
+  }
+
+  /**
+   * The legal castling move a move argument asks for, if any
+   * Accepts SAN (O-O, O-O-O, 0-0), UCI king-takes-rook strings and { from, to } objects.
+   */
+  _matchCastle(move) {
+    let from;
+    let to;
+
+    if (typeof move === 'string') {
+      const san = move.replace(/[+#!?]+$/, '').replace(/0/g, 'O');
+      if (san === 'O-O' || san === 'O-O-O') {
+        const castle = this._castlingMoves().find(c => c.san.replace(/[+#]$/, '') === san);
+        if (!castle) throw new Error(`Invalid move: ${move}`);
+        return castle;
+      }
+      const uci = /^([a-h][1-8])([a-h][1-8])$/.exec(move);
+      if (!uci) return null;
+      [, from, to] = uci;
+    } else if (move && typeof move === 'object') {
+      ({ from, to } = move);
+    } else {
+      return null;
+    }
+
+    return this._castlingMoves().find(castle => castle.from === from && castle.to === to) || null;
+  }
+
+  _playCastle(castle) {
+    super.load(castle.after.split(' ').map((token, index) => (index === 2 ? '-' : token)).join(' '));
+    this._castlingRooks = this._parseCastling(castle.after.split(' ')[2]);
+  }
+
+  _updateRights(move) {
+    const them = move.color === 'w' ? 'b' : 'w';
+    const ourRank = move.color === 'w' ? '1' : '8';
+    const theirRank = move.color === 'w' ? '8' : '1';
+
+    if (move.piece === 'k') {
+      this._castlingRooks[move.color] = [];
+    } else if (move.piece === 'r' && move.from[1] === ourRank) {
+      this._castlingRooks[move.color] = this._castlingRooks[move.color].filter(f => f !== move.from[0]);
+    }
+    if (move.captured === 'r' && move.to[1] === theirRank) {
+      this._castlingRooks[them] = this._castlingRooks[them].filter(f => f !== move.to[0]);
+    }
+  }
+}
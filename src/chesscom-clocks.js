@@ -0,0 +1,73 @@
+/**
+ * Parsing for the clocks and time control chess.com shows next to the board
+ *
+ * The page is read in api-server.js (page.evaluate returns the raw texts);
+ * everything here works on plain strings so it runs outside the browser.
+ */
+
+/**
+ * Clock display to milliseconds
+ * Handles "1:02:03" (hours), "9:58", "0:09.8" and the bare "9.8" / "58" shown in the last minute.
+ * @returns {number|null} Milliseconds, or null if the text isn't a clock
+ */
+export function parseClockText(text) {
+  if (typeof text !== 'string') return null;
+
+  const match = /^(?:(?:(\d+):)?(\d{1,2}):)?(\d{1,2})(?:\.(\d))?$/.exec(text.trim());
+  if (!match) return null;
+
+  const [, hours, minutes, seconds, tenths] = match;
+  return (parseInt(hours || '0', 10) * 3600
+    + parseInt(minutes || '0', 10) * 60
+    + parseInt(seconds, 10)) * 1000
+    + parseInt(tenths || '0', 10) * 100;
+}
+
+/**
+ * Time control label to base time and increment in milliseconds
+ * chess.com writes minutes | seconds ("3 | 2", "15 | 10"), "10 min", "30 sec" or "1 day".
+ * Daily games have no clock worth playing to, so they give null.
+ * @returns {{base: number, increment: number}|null}
+ */
+export function parseTimeControl(text) {
+  if (typeof text !== 'string') return null;
+  const label = text.trim().toLowerCase();
+
+  let match = /^(\d+(?:\.\d+)?)\s*(?:min)?\s*\|\s*(\d+)\s*(?:sec|s)?$/.exec(label);
+  if (match) {
+    return { base: Math.round(parseFloat(match[1]) * 60000), increment: parseInt(match[2], 10) * 1000 };
+  }
+
+  match = /^(\d+(?:\.\d+)?)\s*(min|mins|minutes?|sec|secs|seconds?)$/.exec(label);
+  if (match) {
+    const unit = match[2].startsWith('s') ? 1000 : 60000;
+    return { base: Math.round(parseFloat(match[1]) * unit), increment: 0 };
+  }
+
+  return null;
+}
+
+/**
+ * Turn the raw clock texts into white/black times
+ * Clocks carry clock-white/clock-black classes on most pages; otherwise the bottom one
+ * belongs to the side the board is oriented for.
+ * @param {{top: {text: string, color: string|null, running: boolean}|null, bottom: object|null}} raw - Clock elements as read from the page
+ * @param {string|null} orientation - 'white' or 'black' at the bottom of the board
+ * @returns {{white: number, black: number, running: string|null}|null} Milliseconds per colour and whose clock runs
+ */
+export function assignClocks(raw, orientation) {
+  if (!raw?.top || !raw?.bottom) return null;
+
+  const top = parseClockText(raw.top.text);
+  const bottom = parseClockText(raw.bottom.text);
+  if (top === null || bottom === null) return null;
+
+  const bottomColor = raw.bottom.color || (raw.top.color && (raw.top.color === 'white' ? 'black' : 'white')) || orientation;
+  if (bottomColor !== 'white' && bottomColor !== 'black') return null;
+  const topColor = bottomColor === 'white' ? 'black' : 'white';
+
+  const times = { [bottomColor]: bottom, [topColor]: top };
+  const running = raw.bottom.running ? bottomColor : raw.top.running ? topColor : null;
+
+  return { white: times.white, black: times.black, running };
+}
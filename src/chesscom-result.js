@@ -0,0 +1,187 @@
+/**
+ * Game results: what chess.com says about a finished game, and what the board says
+ *
+ * chess.com words a result several ways ("White Won", "You Won!", "<name> Won", a 1-0 under
+ * the move list), so the parser normalises them to PGN results and a fixed set of
+ * termination names. chess.js then confirms the endings the rules decide on the board.
+ */
+
+// Endings the board alone decides, so a replayed game can confirm them
+export const BOARD_TERMINATIONS = ['checkmate', 'stalemate', 'insufficient material', 'repetition', '50-move rule'];
+
+// Draws whatever the headline says
+const DRAW_TERMINATIONS = ['stalemate', 'insufficient material', 'repetition', '50-move rule', 'agreement'];
+
+// First match wins: "timeout vs insufficient material" is a timeout, not a dead position
+const TERMINATION_PATTERNS = [
+  ['timeout', /timeout\s+vs\.?\s+insufficient\s+material/],
+  ['checkmate', /checkmate/],
+  ['resignation', /resign/],
+  ['timeout', /\btime\s*out\b|\btimeout\b|on\s+time\b|time\s+forfeit|\bflagged\b/],
+  ['stalemate', /stalemate/],
+  ['repetition', /repetition/],
+  ['insufficient material', /insufficient\s+material/],
+  ['agreement', /agreement|agreed/],
+  ['abandonment', /abandon/],
+  ['50-move rule', /\b50[-\s]?move|fifty[-\s]?move/],
+  ['aborted', /abort/]
+];
+
+/**
+ * Result token to PGN form
+ * Accepts "1-0", "0-1", "½-½", "1/2-1/2" (any dash), as chess.com writes them under the move list.
+ * @returns {'1-0'|'0-1'|'1/2-1/2'|null}
+ */
+export function parseResultToken(text) {
+  if (typeof text !== 'string') return null;
+  const token = text.trim().replace(/[‐-―−]/g, '-').replace(/\s+/g, '');
+
+  if (token === '1-0') return '1-0';
+  if (token === '0-1') return '0-1';
+  if (token === '½-½' || token === '1/2-1/2') return '1/2-1/2';
+  return null;
+}
+
+/**
+ * Termination from free text such as "by checkmate", "Game drawn by repetition" or "won on time"
+ * @returns {string|null} One of the TERMINATION_PATTERNS names
+ */
+export function parseTermination(text) {
+  if (typeof text !== 'string') return null;
+  const lower = text.toLowerCase();
+
+  for (const [termination, pattern] of TERMINATION_PATTERNS) {
+    if (pattern.test(lower)) return termination;
+  }
+  return null;
+}
+
+/**
+ * Result from a headline such as "White Won", "You Won!", "Nelson-BOT Won" or "Draw"
+ * "You" is the side at the bottom of the board; names are matched against the player tags.
+ * @param {string} text - Headline text
+ * @param {{top: string|null, bottom: string|null}} players - Usernames above and below the board
+ * @param {string|null} orientation - 'white' or 'black' at the bottom of the board
+ * @returns {'1-0'|'0-1'|'1/2-1/2'|null}
+ */
+function resultFromHeadline(text, players, orientation) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const lower = text.trim().toLowerCase();
+  const winnerResult = color => (color === 'white' ? '1-0' : color === 'black' ? '0-1' : null);
+  const opposite = color => (color === 'white' ? 'black' : color === 'black' ? 'white' : null);
+
+  let match = /\b(white|black)\s+(?:won|wins|is victorious)\b/.exec(lower);
+  if (match) return winnerResult(match[1]);
+  if (/\bdraw\b|\bdrawn\b/.test(lower)) return '1/2-1/2';
+  if (/\byou\s+won\b|\byou\s+win\b/.test(lower)) return winnerResult(orientation);
+  if (/\byou\s+lost\b|\byou\s+lose\b/.test(lower)) return winnerResult(opposite(orientation));
+
+  match = /^(.+?)\s+(?:won|wins)\b/.exec(lower);
+  if (match) {
+    const name = match[1].trim();
+    if (players?.bottom && players.bottom.toLowerCase() === name) return winnerResult(orientation);
+    if (players?.top && players.top.toLowerCase() === name) return winnerResult(opposite(orientation));
+  }
+  return null;
+}
+
+/**
+ * Turn the raw game-over texts into a result
+ * The move list's result token is trusted first, then the modal headline. A draw-only
+ * termination settles the result when neither says it, and an aborted game has none ('*').
+ * @param {{title: string|null, subtitle: string|null, modalText: string|null, gameOverText: string|null,
+ *   moveListResult: string|null, players: {top: string|null, bottom: string|null}}} raw - Texts as read from the page
+ * @param {string|null} orientation - 'white' or 'black' at the bottom of the board
+ * @returns {{result: string, winner: string|null, termination: string|null, source: string, headline: string|null}|null}
+ *   null if the page shows no finished game
+ */
+export function parseGameResult(raw, orientation) {
+  if (!raw) return null;
+
+  const texts = [raw.title, raw.subtitle, raw.modalText, raw.gameOverText]
+    .filter(text => typeof text === 'string' && text.trim());
+  const termination = parseTermination(texts.join('\n'));
+
+  let result = parseResultToken(raw.moveListResult);
+  let source = result ? 'move list' : null;
+
+  if (!result) {
+    for (const text of texts) {
+      result = resultFromHeadline(text, raw.players, orientation);
+      if (result) break;
+    }
+    if (result) source = 'modal';
+  }
+  if (!result && DRAW_TERMINATIONS.includes(termination)) {
+    result = '1/2-1/2';
+    source = 'modal';
+  }
+  if (termination === 'aborted') {
+    result = '*';
+    source = 'modal';
+  }
+
+  if (!result) return null;
+
+  return {
+    result,
+    winner: winnerOf(result),
+    termination,
+    source,
+    headline: raw.title?.trim() || null
+  };
+}
+
+/**
+ * How the rules end a game on the board, if they do
+ * Repetition is only seen when the game carries its move history.
+ * @param {import('chess.js').Chess} game - Game replayed up to the current position
+ * @returns {{result: string, winner: string|null, termination: string}|null}
+ */
+export function boardTermination(game) {
+  if (!game) return null;
+
+  let ending = null;
+  if (game.isCheckmate()) {
+    ending = { result: game.turn() === 'w' ? '0-1' : '1-0', termination: 'checkmate' };
+  } else if (game.isStalemate()) {
+    ending = { result: '1/2-1/2', termination: 'stalemate' };
+  } else if (game.isInsufficientMaterial()) {
+    ending = { result: '1/2-1/2', termination: 'insufficient material' };
+  } else if (game.isThreefoldRepetition()) {
+    ending = { result: '1/2-1/2', termination: 'repetition' };
+  } else if (game.isDrawByFiftyMoves()) {
+    ending = { result: '1/2-1/2', termination: '50-move rule' };
+  }
+
+  return ending ? { ...ending, winner: winnerOf(ending.result) } : null;
+}
+
+/**
+ * Combine what the page says with what the board shows
+ * A rule ending on the board is final, so it wins a disagreement. A board-decidable
+ * ending the board doesn't show is reported unverified; resignations, timeouts,
+ * agreements and abandonments can't be checked (verified: null).
+ * @returns {Object|null} The result with `verified` and the `board` verdict, or null if the game isn't over
+ */
+export function crossCheckResult(pageResult, boardResult) {
+  if (!pageResult && !boardResult) return null;
+
+  if (!pageResult) {
+    return { ...boardResult, source: 'board', headline: null, verified: true, board: boardResult };
+  }
+
+  if (boardResult) {
+    const agrees = pageResult.result === boardResult.result && pageResult.termination === boardResult.termination;
+    return agrees
+      ? { ...pageResult, verified: true, board: boardResult }
+      : { ...boardResult, source: 'board', headline: pageResult.headline, verified: false, page: pageResult, board: boardResult };
+  }
+
+  const verified = BOARD_TERMINATIONS.includes(pageResult.termination) ? false : null;
+  return { ...pageResult, verified, board: null };
+}
+
+function winnerOf(result) {
+  return result === '1-0' ? 'white' : result === '0-1' ? 'black' : null;
+}
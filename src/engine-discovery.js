@@ -0,0 +1,187 @@
+import { readdirSync, statSync, openSync, readSync, closeSync, accessSync, constants } from 'fs';
+import { join, extname, relative, sep } from 'path';
+
+// How deep to look into per-engine subfolders (engines/stockfish/bin/stockfish is depth 2)
+const MAX_DEPTH = 2;
+
+// Enough of the file for the PE header offset, Mach-O/ELF headers and a #! line
+const HEADER_BYTES = 512;
+
+// Files that are never engines, with the reason reported for skipping them
+const DATA_EXTENSIONS = {
+  '.bin': 'Polyglot opening book',
+  '.nnue': 'NNUE network',
+  '.pb': 'network weights',
+  '.onnx': 'network weights',
+  '.rtbw': 'Syzygy tablebase',
+  '.rtbz': 'Syzygy tablebase',
+  '.epd': 'opening suite',
+  '.pgn': 'game file',
+  '.dll': 'shared library',
+  '.so': 'shared library',
+  '.dylib': 'shared library',
+  '.txt': 'text file',
+  '.md': 'documentation',
+  '.json': 'configuration file',
+  '.ini': 'configuration file',
+  '.log': 'log file'
+};
+
+// Which executable formats this machine can start directly
+const NATIVE_FORMAT = { win32: 'pe', darwin: 'macho' }[process.platform] || 'elf';
+
+const FORMAT_NAMES = { pe: 'Windows (PE)', elf: 'Linux (ELF)', macho: 'macOS (Mach-O)' };
+
+/**
+ * Read the start of a file
+ */
+function readHeader(filePath) {
+  const fd = openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_BYTES);
+    const bytesRead = readSync(fd, buffer, 0, HEADER_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Identify an executable from its magic bytes
+ * @returns {{format: string, interpreter?: string}|{error: string}}
+ */
+export function detectFormat(header) {
+  // PE: "MZ" stub, then "PE\0\0" at the offset stored at 0x3c. DLLs set IMAGE_FILE_DLL.
+  if (header.length >= 2 && header[0] === 0x4d && header[1] === 0x5a) {
+    if (header.length < 0x40) return { error: 'truncated MZ header' };
+    const peOffset = header.readUInt32LE(0x3c);
+    if (peOffset + 24 > header.length || header.toString('latin1', peOffset, peOffset + 4) !== 'PE\0\0') {
+      return { format: 'pe' };
+    }
+    const characteristics = header.readUInt16LE(peOffset + 22);
+    return characteristics & 0x2000 ? { error: 'Windows DLL, not a program' } : { format: 'pe' };
+  }
+
+  // ELF: e_type 2 is a fixed-address program, 3 a PIE program or a shared library
+  if (header.length >= 18 && header[0] === 0x7f && header.toString('latin1', 1, 4) === 'ELF') {
+    const type = header[5] === 2 ? header.readUInt16BE(16) : header.readUInt16LE(16);
+    return type === 2 || type === 3 ? { format: 'elf' } : { error: 'ELF object or core file, not a program' };
+  }
+
+  if (header.length >= 8) {
+    const magic = header.readUInt32BE(0);
+
+    // Mach-O thin binaries in either byte order; filetype 2 is MH_EXECUTE
+    if (magic === 0xfeedface || magic === 0xfeedfacf) {
+      return header.readUInt32BE(12) === 2 ? { format: 'macho' } : { error: 'Mach-O library or bundle, not a program' };
+    }
+    if (magic === 0xcefaedfe || magic === 0xcffaedfe) {
+      return header.readUInt32LE(12) === 2 ? { format: 'macho' } : { error: 'Mach-O library or bundle, not a program' };
+    }
+
+    // Universal binaries share 0xcafebabe with Java classes; a small architecture count tells them apart
+    if (magic === 0xcafebabe && header.readUInt32BE(4) < 20) {
+      return { format: 'macho' };
+    }
+  }
+
+  if (header.length >= 2 && header[0] === 0x23 && header[1] === 0x21) {
+    const line = header.toString('utf8', 2).split('\n')[0].trim();
+    return { format: 'script', interpreter: line };
+  }
+
+  return { error: 'no executable header (PE, ELF, Mach-O or #! line)' };
+}
+
+/**
+ * Decide whether a recognised executable can be started here
+ * @returns {string|null} Why it can't, or null if it can
+ */
+function launchProblem(filePath, format) {
+  if (format === 'script') {
+    if (process.platform === 'win32') return 'script with a #! line; Windows cannot start it directly';
+  } else if (format !== NATIVE_FORMAT) {
+    return `${FORMAT_NAMES[format]} executable; this machine runs ${process.platform}`;
+  }
+
+  // Windows has no execute bit; anything else needs it
+  if (process.platform !== 'win32') {
+    try {
+      accessSync(filePath, constants.X_OK);
+    } catch {
+      return 'missing execute permission';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find engines in a directory and its per-engine subfolders
+ *
+ * Files with an executable header (or a #! line) are engines. `executable` tells whether
+ * this machine can start them; if not, `reason` says why. Everything else goes in `skipped`.
+ *
+ * @param {string} dir - Engines directory
+ * @returns {{engines: Array<object>, skipped: Array<{name: string, reason: string}>}}
+ */
+export function discoverEngines(dir) {
+  const engines = [];
+  const skipped = [];
+
+  const walk = (current, depth) => {
+    for (const entry of readdirSync(current, { withFileTypes: true })) {
+      // Hidden files (.gitkeep, .DS_Store) and folders are never engines
+      if (entry.name.startsWith('.')) continue;
+
+      const fullPath = join(current, entry.name);
+      // Names use forward slashes on every platform, e.g. "stockfish/stockfish-avx2"
+      const name = relative(dir, fullPath).split(sep).join('/');
+
+      try {
+        if (entry.isDirectory()) {
+          if (depth < MAX_DEPTH) {
+            walk(fullPath, depth + 1);
+          } else {
+            skipped.push({ name, reason: `folder nested deeper than ${MAX_DEPTH} levels` });
+          }
+          continue;
+        }
+
+        const stats = statSync(fullPath);
+        if (!stats.isFile()) continue;
+
+        const extension = extname(entry.name).toLowerCase();
+        if (DATA_EXTENSIONS[extension] || /\.so\.\d/.test(entry.name)) {
+          skipped.push({ name, reason: DATA_EXTENSIONS[extension] || 'shared library' });
+          continue;
+        }
+
+        const detected = detectFormat(readHeader(fullPath));
+        if (detected.error) {
+          skipped.push({ name, reason: detected.error });
+          continue;
+        }
+
+        const problem = launchProblem(fullPath, detected.format);
+        engines.push({
+          name,
+          path: fullPath,
+          size: stats.size,
+          format: detected.format,
+          ...(detected.interpreter && { interpreter: detected.interpreter }),
+          executable: problem === null,
+          ...(problem && { reason: problem }),
+          modified: stats.mtime
+        });
+      } catch (error) {
+        skipped.push({ name, reason: `could not read: ${error.message}` });
+      }
+    }
+  };
+
+  walk(dir, 0);
+  engines.sort((a, b) => a.name.localeCompare(b.name));
+
+  return { engines, skipped };
+}
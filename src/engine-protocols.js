@@ -0,0 +1,23 @@
+import { UCIEngine } from './uci-engine.js';
+import { XboardEngine } from './xboard-engine.js';
+
+// Engine classes by protocol name, as used in engine profiles and requests
+export const ENGINE_PROTOCOLS = {
+  uci: UCIEngine,
+  xboard: XboardEngine
+};
+
+/**
+ * Create an engine for the given protocol
+ * @param {string} protocol - 'uci' or 'xboard' (default 'uci')
+ * @param {string} enginePath - Path to the engine executable
+ * @param {object} options - UCIEngine options
+ * @returns {UCIEngine}
+ */
+export function createEngine(protocol, enginePath, options) {
+  const EngineClass = ENGINE_PROTOCOLS[protocol || 'uci'];
+  if (!EngineClass) {
+    throw new Error(`Unknown engine protocol "${protocol}". Use one of: ${Object.keys(ENGINE_PROTOCOLS).join(', ')}`);
+  }
+  return new EngineClass(enginePath, options);
+}
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+import net from 'net';
+import { spawn } from 'child_process';
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { DEFAULT_ENGINE_PORT, SERVER_GREETING, createChallenge, verifyChallenge } from './remote-engine.js';
+
+/**
+ * Engine server: exposes a local engine binary on a TCP port for a client on another machine
+ *
+ * Usage:
+ *   ENGINE_SERVER_SECRET=<secret> node src/engine-server.js <engine> [--port 9100] [--host 0.0.0.0]
+ *                                 [--max-sessions 2] [--secret <secret>] [-- engine args...]
+ *
+ * Each connection proves it knows the shared secret, then gets its own engine process
+ * wired to the socket. Closing the connection stops that engine.
+ */
+
+// A client must answer the challenge within this
+const AUTH_TIMEOUT = 5000;
+
+// How long an engine gets to exit after "quit" before it is killed
+const QUIT_GRACE_MS = 1000;
+
+function usage(message) {
+  if (message) console.error(`❌ ${message}\n`);
+  console.error('Usage: ENGINE_SERVER_SECRET=<secret> node src/engine-server.js <engine> [options] [-- engine args...]');
+  console.error('');
+  console.error('Options:');
+  console.error(`  --port <n>          Port to listen on (default ${DEFAULT_ENGINE_PORT})`);
+  console.error('  --host <address>    Address to listen on (default 0.0.0.0, all interfaces)');
+  console.error('  --max-sessions <n>  Engines that may run at once (default 2, enough for a match)');
+  console.error('  --secret <secret>   Shared secret, if ENGINE_SERVER_SECRET is not set');
+  process.exit(1);
+}
+
+function parseArguments(argv) {
+  const settings = {
+    enginePath: null,
+    engineArgs: [],
+    port: DEFAULT_ENGINE_PORT,
+    host: '0.0.0.0',
+    maxSessions: 2,
+    secret: process.env.ENGINE_SERVER_SECRET || null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) usage(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    if (arg === '--') {
+      settings.engineArgs = argv.slice(i + 1);
+      break;
+    } else if (arg === '--port') {
+      settings.port = parseInt(value(), 10);
+    } else if (arg === '--host') {
+      settings.host = value();
+    } else if (arg === '--max-sessions') {
+      settings.maxSessions = parseInt(value(), 10);
+    } else if (arg === '--secret') {
+      settings.secret = value();
+    } else if (arg.startsWith('--')) {
+      usage(`Unknown option ${arg}`);
+    } else if (!settings.enginePath) {
+      settings.enginePath = arg;
+    } else {
+      usage(`Unexpected argument ${arg}`);
+    }
+  }
+
+  if (!settings.enginePath) usage('Engine path required');
+  if (!existsSync(settings.enginePath)) usage(`Engine not found: ${settings.enginePath}`);
+  if (!settings.secret) usage('Shared secret required: set ENGINE_SERVER_SECRET or pass --secret');
+  if (!(settings.port > 0 && settings.port < 65536)) usage('--port must be between 1 and 65535');
+  if (!(settings.maxSessions > 0)) usage('--max-sessions must be a positive number');
+
+  settings.enginePath = resolve(settings.enginePath);
+  return settings;
+}
+
+const settings = parseArguments(process.argv.slice(2));
+const sessions = new Set();
+let nextSessionId = 1;
+
+/**
+ * Challenge a new connection; the engine starts only once it answers correctly
+ */
+function handleConnection(socket) {
+  const id = nextSessionId++;
+  const peer = `${socket.remoteAddress}:${socket.remotePort}`;
+  const nonce = createChallenge();
+  let buffer = Buffer.alloc(0);
+
+  socket.setNoDelay(true);
+  socket.on('error', (error) => console.warn(`⚠️  [${id}] ${peer}: ${error.message}`));
+
+  const refuse = (reason, logMessage) => {
+    console.warn(`✗ [${id}] ${peer} refused: ${logMessage || reason}`);
+    socket.end(`${reason}\n`);
+  };
+
+  const timer = setTimeout(() => {
+    // A late but correct answer must not start an engine on the closing socket
+    socket.off('data', onData);
+    refuse('timeout', `no answer within ${AUTH_TIMEOUT}ms`);
+  }, AUTH_TIMEOUT);
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    const newline = buffer.indexOf(0x0a);
+    if (newline === -1) {
+      // Nothing legitimate is this long before the handshake ends
+      if (buffer.length > 1024) {
+        clearTimeout(timer);
+        socket.off('data', onData);
+        refuse('denied', 'oversized handshake line');
+      }
+      return;
+    }
+
+    clearTimeout(timer);
+    socket.off('data', onData);
+
+    const line = buffer.subarray(0, newline).toString().trim();
+    const leftover = buffer.subarray(newline + 1);
+
+    if (!line.startsWith('auth ') || !verifyChallenge(settings.secret, nonce, line.substring(5))) {
+      return refuse('denied', 'wrong secret');
+    }
+    if (sessions.size >= settings.maxSessions) {
+      return refuse(`busy: ${sessions.size} engine(s) already running`);
+    }
+
+    startSession(id, peer, socket, leftover);
+  };
+
+  socket.on('data', onData);
+  socket.write(`${SERVER_GREETING} ${nonce}\n`);
+}
+
+/**
+ * Run an engine for an authenticated connection: socket in, engine stdout out
+ */
+function startSession(id, peer, socket, leftover) {
+  let engine;
+  try {
+    engine = spawn(settings.enginePath, settings.engineArgs, {
+      cwd: resolve(settings.enginePath, '..'),
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    console.error(`✗ [${id}] Could not start engine: ${error.message}`);
+    socket.end(`error: ${error.message}\n`);
+    return;
+  }
+
+  sessions.add(engine);
+  console.log(`✓ [${id}] ${peer} connected, engine pid ${engine.pid} (${sessions.size}/${settings.maxSessions} sessions)`);
+  socket.write('ok\n');
+
+  engine.stdin.on('error', () => {}); // EPIPE once the engine has exited
+  if (leftover.length > 0) engine.stdin.write(leftover);
+  socket.pipe(engine.stdin);
+  engine.stdout.pipe(socket);
+
+  // The client can't see stderr; keep it here for whoever runs the server
+  engine.stderr.on('data', (data) => {
+    for (const line of data.toString().split('\n')) {
+      if (line.trim()) console.error(`   [${id}] stderr: ${line.trim()}`);
+    }
+  });
+
+  engine.on('error', (error) => {
+    sessions.delete(engine);
+    console.error(`✗ [${id}] Engine error: ${error.message}`);
+    socket.destroy();
+  });
+
+  engine.on('exit', (code, signal) => {
+    sessions.delete(engine);
+    console.log(`■ [${id}] Engine exited (code ${code}${signal ? `, signal ${signal}` : ''})`);
+    socket.end();
+  });
+
+  // Client gone: ask the engine to quit, then make sure it does
+  socket.on('close', () => {
+    if (engine.exitCode !== null || engine.signalCode !== null) return;
+    console.log(`■ [${id}] ${peer} disconnected, stopping engine`);
+    socket.unpipe(engine.stdin);
+    engine.stdin.write('quit\n');
+    setTimeout(() => {
+      if (engine.exitCode === null && engine.signalCode === null) engine.kill();
+    }, QUIT_GRACE_MS);
+  });
+}
+
+const server = net.createServer(handleConnection);
+
+server.on('error', (error) => {
+  console.error(`❌ Engine server error: ${error.message}`);
+  process.exit(1);
+});
+
+server.listen(settings.port, settings.host, () => {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🖧  Engine server listening');
+  console.log(`   Engine: ${settings.enginePath}${settings.engineArgs.length ? ` ${settings.engineArgs.join(' ')}` : ''}`);
+  console.log(`   Address: tcp://${settings.host}:${settings.port}`);
+  console.log(`   Max sessions: ${settings.maxSessions}`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+});
+
+// Stop running engines with the server
+const shutdown = () => {
+  console.log('\nShutting down engine server...');
+  for (const engine of sessions) engine.kill();
+  server.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,376 @@
+import { EventEmitter } from 'events';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { Chess } from 'chess.js';
+import { createEngine } from './engine-protocols.js';
+
+const STANDARD_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+/**
+ * Parse a UCI move string into a chess.js move object
+ */
+function uciToMove(uci) {
+  return {
+    from: uci.substring(0, 2),
+    to: uci.substring(2, 4),
+    promotion: uci.length > 4 ? uci[4] : undefined
+  };
+}
+
+/**
+ * Load an openings file
+ * EPD: one position per line (the first four FEN fields, optional operations are ignored).
+ * PGN: every game's moves (and [FEN] header, if any) become one opening.
+ * @param {string} filePath - Path to a .epd or .pgn file
+ * @returns {Array<{fen: string, moves: string[], name: string}>}
+ */
+export function loadOpenings(filePath) {
+  const text = readFileSync(filePath, 'utf8');
+  const openings = filePath.toLowerCase().endsWith('.pgn') ? parsePgnOpenings(text) : parseEpdOpenings(text);
+
+  if (openings.length === 0) {
+    throw new Error(`No openings found in ${filePath}`);
+  }
+
+  return openings;
+}
+
+/**
+ * EPD lines -> openings (validated with chess.js)
+ */
+function parseEpdOpenings(text) {
+  const openings = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const fields = line.split(/\s+/);
+    if (fields.length < 4) {
+      throw new Error(`EPD line ${index + 1} has fewer than 4 FEN fields`);
+    }
+
+    // Keep move counters if the line is a full FEN, otherwise start them fresh
+    const hasCounters = /^\d+$/.test(fields[4] || '') && /^\d+$/.test(fields[5] || '');
+    const fen = hasCounters ? fields.slice(0, 6).join(' ') : `${fields.slice(0, 4).join(' ')} 0 1`;
+
+    try {
+      new Chess(fen);
+    } catch (error) {
+      throw new Error(`EPD line ${index + 1} is not a valid position: ${error.message}`);
+    }
+
+    const idMatch = line.match(/\bid\s+"([^"]*)"/);
+    openings.push({ fen, moves: [], name: idMatch ? idMatch[1] : `epd ${index + 1}` });
+  });
+
+  return openings;
+}
+
+/**
+ * PGN games -> openings (moves converted to UCI)
+ */
+function parsePgnOpenings(text) {
+  // A new game starts at a header block that follows movetext
+  const chunks = text.replace(/\r\n/g, '\n').split(/\n\s*\n(?=\s*\[)/);
+  const openings = [];
+
+  chunks.forEach((chunk, index) => {
+    if (!chunk.trim()) return;
+
+    const game = new Chess();
+    try {
+      game.loadPgn(chunk);
+    } catch (error) {
+      throw new Error(`PGN game ${index + 1} could not be parsed: ${error.message}`);
+    }
+
+    const headers = game.getHeaders();
+    const moves = game.history({ verbose: true }).map(m => m.from + m.to + (m.promotion || ''));
+    const name = headers.Opening || headers.ECO || headers.Event || `pgn ${index + 1}`;
+
+    openings.push({ fen: headers.FEN || STANDARD_FEN, moves, name });
+  });
+
+  return openings;
+}
+
+/**
+ * Match score -> Elo difference (null when one side scored everything)
+ */
+export function eloFromScore(score) {
+  if (score <= 0 || score >= 1) return null;
+  return -400 * Math.log10(1 / score - 1);
+}
+
+/**
+ * MatchRunner plays two engines (UCI or xboard) against each other locally, with chess.js as arbiter
+ *
+ * Games are played in pairs: each opening is played once with each colour.
+ * Events: 'game' (finished game record), 'pair' (both games of an opening), 'done' (summary).
+ */
+export class MatchRunner extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {Array<{name: string, path: string, protocol?: string, args?: string[], cwd?: string, env?: object, secret?: string, uciOptions?: object}>} options.engines - The two engines (launch settings and options from their profiles); results are from the first one's point of view
+   * @param {number} [options.games=10] - Number of games (rounded up to an even number)
+   * @param {object} options.limits - { nodes } | { depth } | { movetime } | { timeControl: { base, increment } }
+   * @param {Array<{fen: string, moves: string[], name: string}>} [options.openings] - Openings, cycled through
+   * @param {number} [options.threads=1] - Threads per engine
+   * @param {number} [options.hash=16] - Hash per engine (MB)
+   * @param {number} [options.maxPlies=400] - Adjudicate a draw after this many plies
+   * @param {string} [options.syzygyPath] - Passed to both engines as SyzygyPath
+   * @param {SyzygyTablebase} [options.tablebase] - Adjudicate positions the tablebases cover
+   */
+  constructor(options) {
+    super();
+    this.engineSpecs = options.engines;
+    this.games = Math.max(2, Math.ceil((options.games || 10) / 2) * 2);
+    this.limits = options.limits;
+    this.openings = options.openings && options.openings.length > 0
+      ? options.openings
+      : [{ fen: STANDARD_FEN, moves: [], name: 'startpos' }];
+    this.threads = options.threads || 1;
+    this.hash = options.hash || 16;
+    this.maxPlies = options.maxPlies || 400;
+    this.syzygyPath = options.syzygyPath || null;
+    this.tablebase = options.tablebase || null;
+
+    this.engines = [];
+    this.results = [];
+    this.status = 'idle';
+    this.stopRequested = false;
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.error = null;
+  }
+
+  /**
+   * Start both engines, play every game pair, then shut the engines down
+   * @returns {Promise<object>} Final summary (see getSummary())
+   */
+  async run() {
+    this.status = 'running';
+    this.startedAt = new Date().toISOString();
+
+    try {
+      this.engines = this.engineSpecs.map((spec, index) => createEngine(spec.protocol, spec.path, {
+        threads: this.threads,
+        hash: this.hash,
+        syzygyPath: this.syzygyPath,
+        args: spec.args,
+        cwd: spec.cwd,
+        env: spec.env,
+        secret: spec.secret,
+        uciOptions: spec.uciOptions,
+        // Keep the main engine's debug log intact
+        debugLogPath: join(process.cwd(), `match-engine-${index + 1}.log`)
+      }));
+
+      for (const engine of this.engines) {
+        await engine.start();
+      }
+
+      const pairs = this.games / 2;
+      for (let pair = 0; pair < pairs && !this.stopRequested; pair++) {
+        const opening = this.openings[pair % this.openings.length];
+        const pairGames = [];
+
+        // Engine 1 takes white first, then the colours swap on the same opening
+        for (const firstIsWhite of [true, false]) {
+          if (this.stopRequested) break;
+
+          const game = await this.playGame(opening, firstIsWhite, pair);
+          this.results.push(game);
+          pairGames.push(game);
+          this.emit('game', game);
+        }
+
+        if (pairGames.length === 2) {
+          this.emit('pair', pairGames);
+        }
+      }
+
+      this.status = this.stopRequested ? 'stopped' : 'finished';
+    } catch (error) {
+      this.status = 'failed';
+      this.error = error.message;
+    } finally {
+      for (const engine of this.engines) {
+        await engine.quit().catch(() => {});
+      }
+      this.finishedAt = new Date().toISOString();
+    }
+
+    const summary = this.getSummary();
+    this.emit('done', summary);
+    return summary;
+  }
+
+  /**
+   * Stop after the game in progress
+   */
+  stop() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * Play one game and adjudicate it
+   * @returns {object} Game record; result and score are from engine 1's point of view
+   */
+  async playGame(opening, firstIsWhite, pair) {
+    const [first, second] = this.engines;
+    const white = firstIsWhite ? first : second;
+    const black = firstIsWhite ? second : first;
+    const names = this.engineSpecs.map(spec => spec.name);
+    const whiteName = firstIsWhite ? names[0] : names[1];
+    const blackName = firstIsWhite ? names[1] : names[0];
+
+    const board = new Chess(opening.fen);
+    const moves = [];
+    for (const uci of opening.moves) {
+      board.move(uciToMove(uci));
+      moves.push(uci);
+    }
+
+    await white.newGame();
+    await black.newGame();
+
+    const timeControl = this.limits.timeControl;
+    const clock = timeControl ? { w: timeControl.base, b: timeControl.base } : null;
+
+    let outcome = null;
+    while (!outcome) {
+      outcome = this.adjudicate(board, moves.length - opening.moves.length);
+      if (outcome) break;
+
+      const side = board.turn();
+      const mover = side === 'w' ? white : black;
+      const limits = clock
+        ? { wtime: clock.w, btime: clock.b, winc: timeControl.increment, binc: timeControl.increment }
+        : this.limits;
+
+      let result;
+      try {
+        result = await mover.search(limits, { fen: opening.fen, moves });
+      } catch (error) {
+        // A crashed or hung engine loses; get it back for the next game
+        outcome = { winner: side === 'w' ? 'b' : 'w', reason: `${side === 'w' ? 'white' : 'black'} engine failed: ${error.message}` };
+        await mover.restart().catch((restartError) => {
+          throw new Error(`Could not restart ${side === 'w' ? whiteName : blackName}: ${restartError.message}`);
+        });
+        break;
+      }
+
+      if (clock) {
+        clock[side] -= result.timeUsed;
+        if (clock[side] < 0) {
+          outcome = { winner: side === 'w' ? 'b' : 'w', reason: 'time forfeit' };
+          break;
+        }
+        clock[side] += timeControl.increment;
+      }
+
+      // No move in a position that isn't over: the engine resigned (xboard "resign")
+      if (!result.move || result.move === '(none)') {
+        outcome = { winner: side === 'w' ? 'b' : 'w', reason: `${side === 'w' ? 'white' : 'black'} resigns` };
+        break;
+      }
+
+      try {
+        board.move(uciToMove(result.move));
+        moves.push(result.move);
+      } catch (error) {
+        outcome = { winner: side === 'w' ? 'b' : 'w', reason: `illegal move ${result.move}` };
+      }
+    }
+
+    const result = outcome.winner === 'w' ? '1-0' : outcome.winner === 'b' ? '0-1' : '1/2-1/2';
+    const firstWon = (outcome.winner === 'w' && firstIsWhite) || (outcome.winner === 'b' && !firstIsWhite);
+    const score = outcome.winner === null ? 0.5 : firstWon ? 1 : 0;
+
+    board.setHeader('Event', 'Local engine match');
+    board.setHeader('Round', `${this.results.length + 1}`);
+    board.setHeader('White', whiteName);
+    board.setHeader('Black', blackName);
+    board.setHeader('Result', result);
+    board.setHeader('Termination', outcome.reason);
+    if (opening.fen !== STANDARD_FEN) {
+      board.setHeader('SetUp', '1');
+      board.setHeader('FEN', opening.fen);
+    }
+
+    return {
+      round: this.results.length + 1,
+      pair: pair + 1,
+      opening: opening.name,
+      white: whiteName,
+      black: blackName,
+      result,
+      reason: outcome.reason,
+      score,
+      plies: moves.length,
+      pgn: board.pgn()
+    };
+  }
+
+  /**
+   * Decide whether the game is over
+   * @param {Chess} board - Current position (with history, for repetition)
+   * @param {number} playedPlies - Plies played by the engines (excludes opening moves)
+   * @returns {{winner: 'w'|'b'|null, reason: string}|null}
+   */
+  adjudicate(board, playedPlies) {
+    if (board.isCheckmate()) {
+      return { winner: board.turn() === 'w' ? 'b' : 'w', reason: 'checkmate' };
+    }
+    if (board.isStalemate()) return { winner: null, reason: 'stalemate' };
+    if (board.isInsufficientMaterial()) return { winner: null, reason: 'insufficient material' };
+    if (board.isThreefoldRepetition()) return { winner: null, reason: 'threefold repetition' };
+    if (board.isDrawByFiftyMoves()) return { winner: null, reason: '50-move rule' };
+    if (playedPlies >= this.maxPlies) return { winner: null, reason: `move limit (${this.maxPlies} plies)` };
+
+    // Probe a copy: the prober plays moves on the board it is given, and a failed probe
+    // must not leave the game's board and repetition history half-unwound
+    const verdict = this.tablebase ? this.tablebase.probe(new Chess(board.fen())) : null;
+    if (verdict) {
+      const side = board.turn();
+      const winner = verdict.outcome === 'win' ? side : verdict.outcome === 'loss' ? (side === 'w' ? 'b' : 'w') : null;
+      const detail = verdict.wdl === verdict.outcome ? '' : ` (${verdict.wdl})`;
+      return { winner, reason: `tablebase ${winner ? 'win' : 'draw'}${detail}` };
+    }
+    return null;
+  }
+
+  /**
+   * W/D/L from engine 1's point of view, with score and Elo estimate
+   * @param {boolean} [includePgn=false] - Include each game's PGN
+   */
+  getSummary(includePgn = false) {
+    const wins = this.results.filter(g => g.score === 1).length;
+    const draws = this.results.filter(g => g.score === 0.5).length;
+    const losses = this.results.filter(g => g.score === 0).length;
+    const played = this.results.length;
+    const score = played > 0 ? (wins + draws / 2) / played : null;
+    const elo = score === null ? null : eloFromScore(score);
+
+    return {
+      status: this.status,
+      engines: this.engineSpecs.map(spec => spec.name),
+      limits: this.limits,
+      openings: this.openings.length,
+      progress: { played, total: this.games },
+      results: {
+        wins,
+        draws,
+        losses,
+        score: score === null ? null : Math.round(score * 1000) / 1000,
+        elo: elo === null ? null : Math.round(elo)
+      },
+      games: this.results.map(({ pgn, ...game }) => includePgn ? { ...game, pgn } : game),
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      error: this.error
+    };
+  }
+}
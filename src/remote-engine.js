@@ -0,0 +1,232 @@
+import net from 'net';
+import { EventEmitter } from 'events';
+import { PassThrough } from 'stream';
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// Port engine-server.js listens on unless told otherwise
+export const DEFAULT_ENGINE_PORT = 9100;
+
+// First line the server sends, followed by the challenge nonce
+export const SERVER_GREETING = 'wilted-engine-server 1';
+
+// Connecting and authenticating must finish within this, well inside the 5s wait for uciok
+const HANDSHAKE_TIMEOUT = 4000;
+
+// TCP keepalive probes notice a machine that vanished without closing the connection
+const KEEPALIVE_DELAY = 10000;
+
+/**
+ * Whether an engine location names a remote engine (tcp://host:port) rather than a file
+ */
+export function isRemoteLocation(location) {
+  return typeof location === 'string' && location.startsWith('tcp://');
+}
+
+/**
+ * Split a tcp://host:port location; IPv6 hosts go in brackets (tcp://[::1]:9100)
+ * @returns {{host: string, port: number}}
+ */
+export function parseRemoteLocation(location) {
+  const match = /^tcp:\/\/(\[[^\]]+\]|[^:/[\]]+):(\d+)\/?$/.exec(location);
+  const port = match ? parseInt(match[2], 10) : 0;
+
+  if (!match || port < 1 || port > 65535) {
+    throw new Error(`Invalid engine location "${location}". Use tcp://host:port`);
+  }
+
+  return { host: match[1].replace(/^\[|\]$/g, ''), port };
+}
+
+/**
+ * Fresh challenge for a connecting client
+ */
+export function createChallenge() {
+  return randomBytes(16).toString('hex');
+}
+
+/**
+ * Answer to a challenge: HMAC-SHA256 of the nonce keyed with the shared secret
+ * The secret itself never crosses the network.
+ */
+export function signChallenge(secret, nonce) {
+  return createHmac('sha256', secret).update(nonce).digest('hex');
+}
+
+/**
+ * Check a client's answer in constant time
+ */
+export function verifyChallenge(secret, nonce, answer) {
+  const expected = Buffer.from(signChallenge(secret, nonce));
+  const received = Buffer.from(String(answer));
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * A UCI/xboard engine on another machine, reached through engine-server.js
+ *
+ * Looks like the ChildProcess that spawn() returns (stdin, stdout, stderr, kill(),
+ * exitCode, 'error' and 'exit' events), so the engine classes drive it unchanged.
+ * Commands written before the handshake finishes are held and sent once it does.
+ * A failed connection or handshake emits 'error'; a connection lost after that emits 'exit'.
+ */
+export class RemoteEngineProcess extends EventEmitter {
+  /**
+   * @param {string} location - tcp://host:port of the engine server
+   * @param {{secret?: string, timeout?: number}} options - Shared secret and handshake timeout
+   */
+  constructor(location, options = {}) {
+    super();
+    this.location = location;
+    this.stdin = new PassThrough();
+    this.stdout = new PassThrough();
+    this.stderr = new PassThrough();
+    this.exitCode = null;
+    this.signalCode = null;
+    this.killed = false;
+    this.socket = null;
+    this.open = false;
+    this.failed = false;
+
+    // Connect on the next tick so callers can attach listeners first, as with spawn()
+    process.nextTick(() => this.connect(options.secret, options.timeout || HANDSHAKE_TIMEOUT));
+  }
+
+  connect(secret, timeout) {
+    if (this.killed) return;
+
+    if (!secret) {
+      return this.fail(new Error(`No secret for ${this.location}. Set "secret" in the engine's profile`));
+    }
+
+    let target;
+    try {
+      target = parseRemoteLocation(this.location);
+    } catch (error) {
+      return this.fail(error);
+    }
+
+    const socket = net.connect(target.port, target.host);
+    this.socket = socket;
+    socket.setNoDelay(true);
+    socket.setKeepAlive(true, KEEPALIVE_DELAY);
+
+    const timer = setTimeout(() => {
+      this.fail(new Error(`No handshake from ${this.location} within ${timeout}ms`));
+    }, timeout);
+
+    let pending = Buffer.alloc(0);
+    let stage = 'greeting';
+
+    const onData = (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+
+      let newline;
+      while (stage !== 'open' && (newline = pending.indexOf(0x0a)) !== -1) {
+        const line = pending.subarray(0, newline).toString().trim();
+        pending = pending.subarray(newline + 1);
+
+        if (stage === 'greeting') {
+          if (!line.startsWith(SERVER_GREETING + ' ')) {
+            clearTimeout(timer);
+            return this.fail(new Error(`${this.location} is not an engine server (got "${line.substring(0, 60)}")`));
+          }
+          socket.write(`auth ${signChallenge(secret, line.substring(SERVER_GREETING.length + 1))}\n`);
+          stage = 'auth';
+        } else if (line === 'ok') {
+          stage = 'open';
+        } else {
+          clearTimeout(timer);
+          return this.fail(new Error(`Engine server ${this.location} refused the connection: ${line || 'no reason given'}`));
+        }
+      }
+
+      if (stage === 'open') {
+        clearTimeout(timer);
+        socket.off('data', onData);
+        this.attach(socket, pending);
+      }
+    };
+
+    socket.on('data', onData);
+
+    socket.on('error', (error) => {
+      clearTimeout(timer);
+      if (this.open) {
+        // 'close' follows and reports the exit
+        this.lastError = error.message;
+      } else {
+        this.fail(new Error(`Could not reach engine server ${this.location}: ${error.message}`));
+      }
+    });
+
+    socket.on('close', () => {
+      clearTimeout(timer);
+      if (this.open) {
+        this.exited();
+      } else if (!this.failed && !this.killed) {
+        this.fail(new Error(`Engine server ${this.location} closed the connection during the handshake`));
+      }
+    });
+  }
+
+  /**
+   * Handshake done: the socket now carries the engine's stdin and stdout
+   */
+  attach(socket, leftover) {
+    this.open = true;
+    console.log(`✓ Connected to engine server ${this.location}`);
+
+    if (leftover.length > 0) {
+      this.stdout.write(leftover);
+    }
+    socket.pipe(this.stdout);
+    this.stdin.pipe(socket);
+  }
+
+  fail(error) {
+    if (this.failed || this.open) return;
+    this.failed = true;
+
+    if (this.socket) {
+      this.socket.destroy();
+    }
+    this.emit('error', error);
+  }
+
+  exited() {
+    this.open = false;
+    this.stdin.unpipe();
+
+    if (this.killed) {
+      this.signalCode = 'SIGTERM';
+    } else {
+      // The engine quit, or the connection dropped - either way it's gone
+      this.exitCode = 0;
+      if (this.lastError) {
+        console.error(`✗ Lost connection to engine server ${this.location}: ${this.lastError}`);
+      }
+    }
+
+    if (!this.stdout.writableEnded) this.stdout.end();
+    this.stderr.end();
+    this.emit('exit', this.exitCode, this.signalCode);
+  }
+
+  /**
+   * Close the connection; the server stops the engine when it sees the socket go
+   */
+  kill() {
+    if (this.killed || this.failed || this.exitCode !== null) return false;
+    this.killed = true;
+
+    if (this.open) {
+      this.socket.destroy();
+    } else {
+      // Still connecting: give up quietly, like killing a process that never started
+      if (this.socket) this.socket.destroy();
+      this.signalCode = 'SIGTERM';
+      this.emit('exit', null, 'SIGTERM');
+    }
+    return true;
+  }
+}
@@ -0,0 +1,156 @@
+import { MatchRunner, eloFromScore } from './match-runner.js';
+
+// Pair scores for the pentanomial buckets: LL, LD, DD/WL, WD, WW (out of 2 games)
+const PAIR_SCORES = [0, 0.5, 1, 1.5, 2];
+
+/**
+ * Logistic Elo -> expected score
+ */
+function scoreFromElo(elo) {
+  return 1 / (1 + Math.pow(10, -elo / 400));
+}
+
+/**
+ * Mean and variance of the per-game score from pentanomial pair counts
+ * @param {number[]} pentanomial - Counts of pairs scoring 0, 0.5, 1, 1.5 and 2
+ * @returns {{pairs: number, mean: number, variance: number}|null}
+ */
+function pairStatistics(pentanomial) {
+  const pairs = pentanomial.reduce((sum, n) => sum + n, 0);
+  if (pairs === 0) return null;
+
+  // Per-game score of each bucket (pair score / 2)
+  const mean = pentanomial.reduce((sum, n, i) => sum + n * PAIR_SCORES[i] / 2, 0) / pairs;
+  const variance = pentanomial.reduce((sum, n, i) => sum + n * Math.pow(PAIR_SCORES[i] / 2 - mean, 2), 0) / pairs;
+
+  return { pairs, mean, variance };
+}
+
+/**
+ * Log-likelihood ratio of H1 (elo1) against H0 (elo0) for pentanomial results
+ * Uses the normal approximation of the generalized SPRT, with pairs as the sample unit.
+ * @param {number[]} pentanomial - Counts of pairs scoring 0, 0.5, 1, 1.5 and 2
+ * @param {number} elo0 - Elo difference under H0
+ * @param {number} elo1 - Elo difference under H1
+ * @returns {number}
+ */
+export function pentanomialLLR(pentanomial, elo0, elo1) {
+  const stats = pairStatistics(pentanomial);
+
+  // Not enough spread yet (e.g. only identical pairs) - no evidence either way
+  if (!stats || stats.variance === 0) return 0;
+
+  const s0 = scoreFromElo(elo0);
+  const s1 = scoreFromElo(elo1);
+  const varianceOfMean = stats.variance / stats.pairs;
+
+  return (s1 - s0) * (2 * stats.mean - s0 - s1) / (2 * varianceOfMean);
+}
+
+/**
+ * SPRT decision bounds for the LLR
+ * @returns {{lower: number, upper: number}} Accept H0 at or below lower, H1 at or above upper
+ */
+export function sprtBounds(alpha, beta) {
+  return {
+    lower: Math.log(beta / (1 - alpha)),
+    upper: Math.log((1 - beta) / alpha)
+  };
+}
+
+/**
+ * Elo estimate with a 95% confidence interval from pentanomial results
+ * @returns {{elo: number|null, errorMargin: number|null}}
+ */
+export function pentanomialElo(pentanomial) {
+  const stats = pairStatistics(pentanomial);
+  if (!stats) return { elo: null, errorMargin: null };
+
+  const elo = eloFromScore(stats.mean);
+  const spread = 1.959964 * Math.sqrt(stats.variance / stats.pairs);
+  const low = eloFromScore(stats.mean - spread);
+  const high = eloFromScore(stats.mean + spread);
+
+  return {
+    elo,
+    errorMargin: elo === null || low === null || high === null ? null : (high - low) / 2
+  };
+}
+
+/**
+ * SprtRunner plays game pairs like MatchRunner and stops once H0 or H1 is accepted
+ *
+ * The first engine is the candidate build, the second the baseline.
+ */
+export class SprtRunner extends MatchRunner {
+  /**
+   * @param {object} options - MatchRunner options, plus:
+   * @param {number} [options.elo0=0] - Elo difference under H0
+   * @param {number} [options.elo1=5] - Elo difference under H1
+   * @param {number} [options.alpha=0.05] - False positive rate
+   * @param {number} [options.beta=0.05] - False negative rate
+   * @param {number} [options.maxGames=20000] - Stop without a decision after this many games
+   */
+  constructor(options) {
+    super({ ...options, games: options.maxGames || 20000 });
+
+    this.elo0 = options.elo0 ?? 0;
+    this.elo1 = options.elo1 ?? 5;
+    this.alpha = options.alpha ?? 0.05;
+    this.beta = options.beta ?? 0.05;
+    this.bounds = sprtBounds(this.alpha, this.beta);
+
+    this.pentanomial = [0, 0, 0, 0, 0];
+    this.llr = 0;
+    this.decision = null;
+
+    this.on('pair', (games) => this.recordPair(games));
+  }
+
+  /**
+   * Add a finished game pair and stop if the test has a decision
+   */
+  recordPair(games) {
+    const pairScore = games[0].score + games[1].score;
+    this.pentanomial[pairScore * 2]++;
+    this.llr = pentanomialLLR(this.pentanomial, this.elo0, this.elo1);
+
+    if (this.llr >= this.bounds.upper) {
+      this.decision = 'H1';
+      this.stop();
+    } else if (this.llr <= this.bounds.lower) {
+      this.decision = 'H0';
+      this.stop();
+    }
+  }
+
+  /**
+   * Match summary plus the SPRT state
+   */
+  getSummary(includePgn = false) {
+    const summary = super.getSummary(includePgn);
+    const { elo, errorMargin } = pentanomialElo(this.pentanomial);
+
+    // Stopping because of a decision is the normal way to finish
+    if (summary.status === 'stopped' && this.decision) {
+      summary.status = 'finished';
+    }
+
+    summary.sprt = {
+      elo0: this.elo0,
+      elo1: this.elo1,
+      alpha: this.alpha,
+      beta: this.beta,
+      llr: Math.round(this.llr * 100) / 100,
+      lowerBound: Math.round(this.bounds.lower * 100) / 100,
+      upperBound: Math.round(this.bounds.upper * 100) / 100,
+      decision: this.decision,
+      pentanomial: this.pentanomial,
+      pairs: this.pentanomial.reduce((sum, n) => sum + n, 0),
+      elo: elo === null ? null : Math.round(elo * 10) / 10,
+      errorMargin: errorMargin === null ? null : Math.round(errorMargin * 10) / 10
+    };
+
+    return summary;
+  }
+}
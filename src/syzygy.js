@@ -0,0 +1,992 @@
+import { openSync, readSync, closeSync, fstatSync, existsSync, readdirSync } from 'fs';
+import { join, delimiter } from 'path';
+
+/**
+ * Syzygy tablebase prober (WDL and DTZ)
+ * Reads .rtbw/.rtbz files directly and probes chess.js positions.
+ * Index encoding and decompression follow the reference prober in Stockfish (tbprobe.cpp).
+ */
+
+const WDL_MAGIC = [0x71, 0xE8, 0x23, 0x5D];
+const DTZ_MAGIC = [0xD7, 0x66, 0x0C, 0xA5];
+
+// WDL scores from the side to move's point of view
+export const WDL_LOSS = -2;
+export const WDL_BLESSED_LOSS = -1; // Loss, but drawn by the 50-move rule
+export const WDL_DRAW = 0;
+export const WDL_CURSED_WIN = 1; // Win, but drawn by the 50-move rule
+export const WDL_WIN = 2;
+
+const WDL_NAMES = { '-2': 'loss', '-1': 'blessed-loss', 0: 'draw', 1: 'cursed-win', 2: 'win' };
+
+// Probe results
+const OK = 'ok';
+const FAIL = 'fail'; // A needed table is missing
+const ZEROING_BEST_MOVE = 'zeroing'; // Best move is a capture or pawn move, DTZ can't be probed
+const CHANGE_STM = 'change-stm'; // DTZ table stores the other side to move
+
+// Table flags
+const FLAG_STM = 1;
+const FLAG_MAPPED = 2;
+const FLAG_WIN_PLIES = 4;
+const FLAG_LOSS_PLIES = 8;
+const FLAG_WIDE = 16;
+const FLAG_SINGLE_VALUE = 128;
+
+const MASK64 = (1n << 64n) - 1n;
+
+// Piece codes used in the table files: white 1-6, black 9-14
+const PIECE_CODES = { p: 1, n: 2, b: 3, r: 4, q: 5, k: 6 };
+const PIECE_ORDER = 'KQRBNP';
+
+const offA1H8 = (sq) => (sq >> 3) - (sq & 7);
+const rankOf = (sq) => sq >> 3;
+const fileOf = (sq) => sq & 7;
+
+/*
+ * Encoding tables
+ */
+const MAP_PAWNS = new Array(64).fill(0);
+const MAP_B1H1H7 = new Array(64).fill(0);
+const MAP_A1D1D4 = new Array(64).fill(0);
+const MAP_KK = Array.from({ length: 10 }, () => new Array(64).fill(0));
+const BINOMIAL = Array.from({ length: 7 }, () => new Array(64).fill(0));
+const LEAD_PAWN_IDX = Array.from({ length: 6 }, () => new Array(64).fill(0));
+const LEAD_PAWNS_SIZE = Array.from({ length: 6 }, () => new Array(4).fill(0));
+
+(function initEncodingTables() {
+  // Squares below the a1-h8 diagonal -> 0..27
+  let code = 0;
+  for (let sq = 0; sq < 64; sq++) {
+    if (offA1H8(sq) < 0) MAP_B1H1H7[sq] = code++;
+  }
+
+  // The a1-d1-d4 triangle -> 0..9, diagonal squares last
+  const diagonal = [];
+  code = 0;
+  for (let sq = 0; sq <= 27; sq++) {
+    if (offA1H8(sq) < 0 && fileOf(sq) <= 3) {
+      MAP_A1D1D4[sq] = code++;
+    } else if (offA1H8(sq) === 0 && fileOf(sq) <= 3) {
+      diagonal.push(sq);
+    }
+  }
+  for (const sq of diagonal) MAP_A1D1D4[sq] = code++;
+
+  // The 462 legal placements of two kings with the first in the a1-d1-d4 triangle.
+  // If the first king is on the diagonal, the second may not be above it.
+  const bothOnDiagonal = [];
+  code = 0;
+  for (let idx = 0; idx < 10; idx++) {
+    for (let s1 = 0; s1 <= 27; s1++) {
+      if (MAP_A1D1D4[s1] !== idx || (idx === 0 && s1 !== 1)) continue;
+
+      for (let s2 = 0; s2 < 64; s2++) {
+        const touching = Math.abs(fileOf(s1) - fileOf(s2)) <= 1 && Math.abs(rankOf(s1) - rankOf(s2)) <= 1;
+        if (touching) continue;
+        if (offA1H8(s1) === 0 && offA1H8(s2) > 0) continue;
+
+        if (offA1H8(s1) === 0 && offA1H8(s2) === 0) {
+          bothOnDiagonal.push([idx, s2]);
+        } else {
+          MAP_KK[idx][s2] = code++;
+        }
+      }
+    }
+  }
+  for (const [idx, s2] of bothOnDiagonal) MAP_KK[idx][s2] = code++;
+
+  // Binomial coefficients: BINOMIAL[k][n] ways to choose k of n
+  BINOMIAL[0][0] = 1;
+  for (let n = 1; n < 64; n++) {
+    for (let k = 0; k < 7 && k <= n; k++) {
+      BINOMIAL[k][n] = (k > 0 ? BINOMIAL[k - 1][n - 1] : 0) + (k < n ? BINOMIAL[k][n - 1] : 0);
+    }
+  }
+
+  // MAP_PAWNS encodes a2-h7 to 0..47; the pawn with the highest value is the leading pawn
+  let availableSquares = 47;
+  for (let leadPawnsCnt = 1; leadPawnsCnt <= 5; leadPawnsCnt++) {
+    for (let file = 0; file <= 3; file++) {
+      let idx = 0;
+      for (let rank = 1; rank <= 6; rank++) {
+        const sq = rank * 8 + file;
+        if (leadPawnsCnt === 1) {
+          MAP_PAWNS[sq] = availableSquares--;
+          MAP_PAWNS[sq ^ 7] = availableSquares--;
+        }
+        LEAD_PAWN_IDX[leadPawnsCnt][sq] = idx;
+        idx += BINOMIAL[leadPawnsCnt - 1][MAP_PAWNS[sq]];
+      }
+      LEAD_PAWNS_SIZE[leadPawnsCnt][file] = idx;
+    }
+  }
+})();
+
+/**
+ * Random access to a (possibly multi-GB) table file through a small page cache
+ */
+class TableFile {
+  static PAGE_SIZE = 65536;
+  static MAX_PAGES = 64;
+
+  constructor(filePath) {
+    this.path = filePath;
+    this.fd = openSync(filePath, 'r');
+    this.size = fstatSync(this.fd).size;
+    this.pages = new Map();
+  }
+
+  page(index) {
+    let page = this.pages.get(index);
+    if (page) {
+      // Move to the back so the least recently used page is evicted first
+      this.pages.delete(index);
+      this.pages.set(index, page);
+      return page;
+    }
+
+    page = Buffer.alloc(TableFile.PAGE_SIZE);
+    readSync(this.fd, page, 0, TableFile.PAGE_SIZE, index * TableFile.PAGE_SIZE);
+    this.pages.set(index, page);
+    if (this.pages.size > TableFile.MAX_PAGES) {
+      this.pages.delete(this.pages.keys().next().value);
+    }
+    return page;
+  }
+
+  u8(offset) {
+    if (offset >= this.size) throw new Error(`Read past the end of ${this.path}`);
+    return this.page(Math.floor(offset / TableFile.PAGE_SIZE))[offset % TableFile.PAGE_SIZE];
+  }
+
+  u16le(offset) {
+    return this.u8(offset) | (this.u8(offset + 1) << 8);
+  }
+
+  u32le(offset) {
+    return (this.u16le(offset) + this.u16le(offset + 2) * 0x10000) >>> 0;
+  }
+
+  u32be(offset) {
+    return ((this.u8(offset) << 24) | (this.u8(offset + 1) << 16) | (this.u8(offset + 2) << 8) | this.u8(offset + 3)) >>> 0;
+  }
+
+  u64be(offset) {
+    return (BigInt(this.u32be(offset)) << 32n) | BigInt(this.u32be(offset + 4));
+  }
+
+  close() {
+    closeSync(this.fd);
+    this.pages.clear();
+  }
+}
+
+/**
+ * Per-table (and per-file for pawn tables) compression data
+ */
+function createPairsData() {
+  return {
+    flags: 0,
+    maxSymLen: 0,
+    minSymLen: 0,
+    numBlocks: 0,
+    sizeofBlock: 0,
+    span: 0,
+    lowestSym: 0, // File offsets from here on
+    btree: 0,
+    blockLength: 0,
+    blockLengthSize: 0,
+    sparseIndex: 0,
+    sparseIndexSize: 0,
+    data: 0,
+    base64: [],
+    symlen: null,
+    pieces: new Array(8).fill(0),
+    groupIdx: new Array(8).fill(0),
+    groupLen: new Array(8).fill(0),
+    mapIdx: [0, 0, 0, 0] // DTZ only: WDL win, loss, cursed win, blessed loss
+  };
+}
+
+/**
+ * Material signature such as "KRvK" (white pieces, then black)
+ */
+function materialSignature(pieces) {
+  const side = (color) => pieces
+    .filter(p => p.color === color)
+    .map(p => p.type.toUpperCase())
+    .sort((a, b) => PIECE_ORDER.indexOf(a) - PIECE_ORDER.indexOf(b))
+    .join('');
+  return `${side('w')}v${side('b')}`;
+}
+
+/**
+ * One WDL or DTZ table, e.g. KRvK.rtbw; parsed on first use
+ */
+class Table {
+  /**
+   * @param {'wdl'|'dtz'} type
+   * @param {string} code - Material as in the file name, e.g. "KRPvKR"
+   * @param {string} filePath
+   */
+  constructor(type, code, filePath) {
+    this.type = type;
+    this.path = filePath;
+    this.file = null;
+
+    const [white, black] = code.split('v');
+    this.key = `${white}v${black}`;
+    this.key2 = `${black}v${white}`;
+    this.pieceCount = white.length + black.length;
+    this.hasPawns = code.includes('P');
+
+    this.hasUniquePieces = [white, black].some(side =>
+      [...'PNBRQ'].some(piece => side.split(piece).length - 1 === 1));
+
+    // The leading side is the one with fewer pawns (better compression)
+    const whitePawns = white.split('P').length - 1;
+    const blackPawns = black.split('P').length - 1;
+    const whiteLeads = !blackPawns || (whitePawns && blackPawns >= whitePawns);
+    this.pawnCount = whiteLeads ? [whitePawns, blackPawns] : [blackPawns, whitePawns];
+
+    this.items = [[], []];
+    this.map = 0;
+  }
+
+  get(stm, file) {
+    return this.items[stm % (this.type === 'wdl' ? 2 : 1)][this.hasPawns ? file : 0];
+  }
+
+  /**
+   * Open the file and read the table headers
+   */
+  init() {
+    if (this.file) return;
+
+    const file = new TableFile(this.path);
+    const magic = this.type === 'wdl' ? WDL_MAGIC : DTZ_MAGIC;
+    if (file.size < 5 || magic.some((byte, i) => file.u8(i) !== byte)) {
+      file.close();
+      throw new Error(`${this.path} is not a Syzygy ${this.type.toUpperCase()} table`);
+    }
+
+    let offset = 4;
+    offset++; // Flags byte: split (two sides stored) and has-pawns
+
+    const sides = this.type === 'wdl' && this.key !== this.key2 ? 2 : 1;
+    const maxFile = this.hasPawns ? 3 : 0;
+    const pp = this.hasPawns && this.pawnCount[1] > 0; // Pawns on both sides
+
+    for (let f = 0; f <= maxFile; f++) {
+      for (let i = 0; i < sides; i++) this.items[i][f] = createPairsData();
+
+      const first = file.u8(offset);
+      const second = pp ? file.u8(offset + 1) : 0;
+      const order = [
+        [first & 0xF, pp ? second & 0xF : 0xF],
+        [first >> 4, pp ? second >> 4 : 0xF]
+      ];
+      offset += pp ? 2 : 1;
+
+      for (let k = 0; k < this.pieceCount; k++, offset++) {
+        const byte = file.u8(offset);
+        for (let i = 0; i < sides; i++) {
+          this.items[i][f].pieces[k] = i ? byte >> 4 : byte & 0xF;
+        }
+      }
+
+      for (let i = 0; i < sides; i++) this.setGroups(this.items[i][f], order[i], f);
+    }
+
+    offset += offset % 2; // Word alignment
+
+    for (let f = 0; f <= maxFile; f++) {
+      for (let i = 0; i < sides; i++) offset = this.setSizes(file, this.items[i][f], offset);
+    }
+
+    if (this.type === 'dtz') offset = this.setDtzMap(file, offset, maxFile);
+
+    for (let f = 0; f <= maxFile; f++) {
+      for (let i = 0; i < sides; i++) {
+        const d = this.items[i][f];
+        d.sparseIndex = offset;
+        offset += d.sparseIndexSize * 6;
+      }
+    }
+
+    for (let f = 0; f <= maxFile; f++) {
+      for (let i = 0; i < sides; i++) {
+        const d = this.items[i][f];
+        d.blockLength = offset;
+        offset += d.blockLengthSize * 2;
+      }
+    }
+
+    for (let f = 0; f <= maxFile; f++) {
+      for (let i = 0; i < sides; i++) {
+        const d = this.items[i][f];
+        offset = Math.ceil(offset / 64) * 64; // 64 byte alignment
+        d.data = offset;
+        offset += d.numBlocks * d.sizeofBlock;
+      }
+    }
+
+    this.file = file;
+  }
+
+  /**
+   * Split the piece sequence into groups and compute each group's index multiplier
+   */
+  setGroups(d, order, f) {
+    let n = 0;
+    let firstLen = this.hasPawns ? 0 : this.hasUniquePieces ? 3 : 2;
+    d.groupLen[n] = 1;
+
+    // e.g. KRvKN defaults to one group of three unique pieces plus one: (3, 1)
+    for (let i = 1; i < this.pieceCount; i++) {
+      if (--firstLen > 0 || d.pieces[i] === d.pieces[i - 1]) {
+        d.groupLen[n]++;
+      } else {
+        d.groupLen[++n] = 1;
+      }
+    }
+    d.groupLen[++n] = 0;
+
+    const pp = this.hasPawns && this.pawnCount[1] > 0;
+    let next = pp ? 2 : 1;
+    let freeSquares = 64 - d.groupLen[0] - (pp ? d.groupLen[1] : 0);
+    let idx = 1;
+
+    for (let k = 0; next < n || k === order[0] || k === order[1]; k++) {
+      if (k === order[0]) {
+        // Leading pawns or pieces
+        d.groupIdx[0] = idx;
+        idx *= this.hasPawns ? LEAD_PAWNS_SIZE[d.groupLen[0]][f] : this.hasUniquePieces ? 31332 : 462;
+      } else if (k === order[1]) {
+        // Remaining pawns
+        d.groupIdx[1] = idx;
+        idx *= BINOMIAL[d.groupLen[1]][48 - d.groupLen[0]];
+      } else {
+        // Remaining pieces
+        d.groupIdx[next] = idx;
+        idx *= BINOMIAL[d.groupLen[next]][freeSquares];
+        freeSquares -= d.groupLen[next++];
+      }
+    }
+
+    d.groupIdx[n] = idx;
+  }
+
+  /**
+   * Read the block sizes and the canonical Huffman code of one PairsData
+   */
+  setSizes(file, d, offset) {
+    d.flags = file.u8(offset++);
+
+    if (d.flags & FLAG_SINGLE_VALUE) {
+      d.minSymLen = file.u8(offset++); // The single value
+      return offset;
+    }
+
+    const tbSize = d.groupIdx[d.groupLen.indexOf(0)];
+
+    d.sizeofBlock = 2 ** file.u8(offset++);
+    d.span = 2 ** file.u8(offset++);
+    d.sparseIndexSize = Math.ceil(tbSize / d.span);
+    const padding = file.u8(offset++);
+    d.numBlocks = file.u32le(offset);
+    offset += 4;
+    d.blockLengthSize = d.numBlocks + padding;
+    d.maxSymLen = file.u8(offset++);
+    d.minSymLen = file.u8(offset++);
+    d.lowestSym = offset;
+
+    // base64[i] is the lowest symbol of length i + minSymLen, left-aligned in 64 bits
+    const lengths = d.maxSymLen - d.minSymLen + 1;
+    d.base64 = new Array(lengths).fill(0n);
+    for (let i = lengths - 2; i >= 0; i--) {
+      d.base64[i] = (d.base64[i + 1] + BigInt(file.u16le(d.lowestSym + 2 * i)) - BigInt(file.u16le(d.lowestSym + 2 * (i + 1)))) / 2n;
+    }
+    for (let i = 0; i < lengths; i++) {
+      d.base64[i] = (d.base64[i] << BigInt(64 - i - d.minSymLen)) & MASK64;
+    }
+    offset += lengths * 2;
+
+    const symbols = file.u16le(offset);
+    offset += 2;
+    d.btree = offset;
+
+    // Number of values (minus one) each symbol expands to under Recursive Pairing
+    d.symlen = new Uint8Array(symbols);
+    const visited = new Uint8Array(symbols);
+    for (let sym = 0; sym < symbols; sym++) {
+      if (!visited[sym]) d.symlen[sym] = this.setSymlen(file, d, sym, visited);
+    }
+
+    return offset + symbols * 3 + (symbols & 1);
+  }
+
+  setSymlen(file, d, sym, visited) {
+    visited[sym] = 1;
+    const right = btreeRight(file, d, sym);
+    if (right === 0xFFF) return 0;
+
+    const left = btreeLeft(file, d, sym);
+    if (!visited[left]) d.symlen[left] = this.setSymlen(file, d, left, visited);
+    if (!visited[right]) d.symlen[right] = this.setSymlen(file, d, right, visited);
+
+    return (d.symlen[left] + d.symlen[right] + 1) & 0xFF;
+  }
+
+  /**
+   * DTZ value maps (per WDL outcome) used when the table is "mapped"
+   */
+  setDtzMap(file, offset, maxFile) {
+    this.map = offset;
+
+    for (let f = 0; f <= maxFile; f++) {
+      const d = this.get(0, f);
+      if (!(d.flags & FLAG_MAPPED)) continue;
+
+      if (d.flags & FLAG_WIDE) {
+        offset += offset % 2;
+        for (let i = 0; i < 4; i++) {
+          d.mapIdx[i] = Math.floor((offset - this.map) / 2) + 1;
+          offset += 2 * file.u16le(offset) + 2;
+        }
+      } else {
+        for (let i = 0; i < 4; i++) {
+          d.mapIdx[i] = offset - this.map + 1;
+          offset += file.u8(offset) + 1;
+        }
+      }
+    }
+
+    return offset + (offset % 2);
+  }
+
+  close() {
+    if (this.file) {
+      this.file.close();
+      this.file = null;
+    }
+  }
+}
+
+function btreeLeft(file, d, sym) {
+  const at = d.btree + 3 * sym;
+  return ((file.u8(at + 1) & 0xF) << 8) | file.u8(at);
+}
+
+function btreeRight(file, d, sym) {
+  const at = d.btree + 3 * sym;
+  return (file.u8(at + 2) << 4) | (file.u8(at + 1) >> 4);
+}
+
+/**
+ * Value stored at a position index
+ */
+function decompressPairs(file, d, idx) {
+  if (d.flags & FLAG_SINGLE_VALUE) return d.minSymLen;
+
+  // Find the block holding idx, starting from the nearest sparse index entry
+  const k = Math.floor(idx / d.span);
+  let block = file.u32le(d.sparseIndex + 6 * k);
+  let offset = file.u16le(d.sparseIndex + 6 * k + 4);
+
+  offset += (idx % d.span) - d.span / 2;
+
+  while (offset < 0) {
+    offset += file.u16le(d.blockLength + 2 * --block) + 1;
+  }
+  while (offset > file.u16le(d.blockLength + 2 * block)) {
+    offset -= file.u16le(d.blockLength + 2 * block++) + 1;
+  }
+
+  // Walk the block's Huffman symbols until the one covering our offset
+  let ptr = d.data + block * d.sizeofBlock;
+  let buf64 = file.u64be(ptr);
+  ptr += 8;
+  let buf64Size = 64;
+  let sym;
+
+  for (;;) {
+    let len = 0;
+    while (buf64 < d.base64[len]) len++;
+
+    sym = Number((buf64 - d.base64[len]) >> BigInt(64 - len - d.minSymLen));
+    sym = (sym + file.u16le(d.lowestSym + 2 * len)) & 0xFFFF;
+
+    if (offset < d.symlen[sym] + 1) break;
+
+    offset -= d.symlen[sym] + 1;
+    len += d.minSymLen;
+    buf64 = (buf64 << BigInt(len)) & MASK64;
+    buf64Size -= len;
+
+    if (buf64Size <= 32) {
+      buf64Size += 32;
+      buf64 |= BigInt(file.u32be(ptr)) << BigInt(64 - buf64Size);
+      ptr += 4;
+    }
+  }
+
+  // Expand the pair tree down to the single value at our offset
+  while (d.symlen[sym]) {
+    const left = btreeLeft(file, d, sym);
+    if (offset < d.symlen[left] + 1) {
+      sym = left;
+    } else {
+      offset -= d.symlen[left] + 1;
+      sym = btreeRight(file, d, sym);
+    }
+  }
+
+  return btreeLeft(file, d, sym);
+}
+
+/**
+ * Stored value -> WDL score, or DTZ in plies
+ */
+function mapScore(table, f, value, wdl) {
+  if (table.type === 'wdl') return value - 2;
+
+  const d = table.get(0, f);
+  const wdlMap = [1, 3, 0, 2, 0];
+
+  if (d.flags & FLAG_MAPPED) {
+    const index = d.mapIdx[wdlMap[wdl + 2]] + value;
+    value = d.flags & FLAG_WIDE ? table.file.u16le(table.map + 2 * index) : table.file.u8(table.map + index);
+  }
+
+  // Tables store moves unless flagged as plies; cursed results are always in moves
+  if ((wdl === WDL_WIN && !(d.flags & FLAG_WIN_PLIES))
+    || (wdl === WDL_LOSS && !(d.flags & FLAG_LOSS_PLIES))
+    || wdl === WDL_CURSED_WIN
+    || wdl === WDL_BLESSED_LOSS) {
+    value *= 2;
+  }
+
+  return value + 1;
+}
+
+/**
+ * DTZ of the move before a zeroing move with this result
+ */
+function dtzBeforeZeroing(wdl) {
+  return wdl === WDL_WIN ? 1
+    : wdl === WDL_CURSED_WIN ? 101
+      : wdl === WDL_BLESSED_LOSS ? -101
+        : wdl === WDL_LOSS ? -1 : 0;
+}
+
+/**
+ * Pieces of a chess.js position as { square (a1 = 0), code, color, type }, in square order
+ */
+function listPieces(chess) {
+  const pieces = [];
+  chess.board().forEach((rank, rowFromTop) => {
+    rank.forEach((piece, file) => {
+      if (!piece) return;
+      pieces.push({
+        square: (7 - rowFromTop) * 8 + file,
+        code: PIECE_CODES[piece.type] + (piece.color === 'b' ? 8 : 0),
+        color: piece.color,
+        type: piece.type
+      });
+    });
+  });
+  return pieces.sort((a, b) => a.square - b.square);
+}
+
+/**
+ * SyzygyTablebase finds tables in one or more directories and probes positions
+ */
+export class SyzygyTablebase {
+  /**
+   * @param {string} paths - Directories separated by the platform path delimiter (like the UCI SyzygyPath option)
+   */
+  constructor(paths) {
+    this.paths = paths;
+    this.files = new Map(); // "KRvK.rtbw" -> full path
+    this.tables = new Map(); // "wdl:KRvK" -> Table (null if the file is missing)
+    this.maxPieces = 0;
+
+    for (const dir of paths.split(delimiter).filter(Boolean)) {
+      if (!existsSync(dir)) {
+        throw new Error(`Tablebase directory not found: ${dir}`);
+      }
+      for (const name of readdirSync(dir)) {
+        const match = name.match(/^([KQRBNP]+)v([KQRBNP]+)\.(rtbw|rtbz)$/i);
+        if (!match || this.files.has(name)) continue;
+        this.files.set(name, join(dir, name));
+        if (match[3].toLowerCase() === 'rtbw') {
+          this.maxPieces = Math.max(this.maxPieces, match[1].length + match[2].length);
+        }
+      }
+    }
+  }
+
+  /**
+   * Number of WDL and DTZ tables found
+   */
+  get counts() {
+    const names = [...this.files.keys()];
+    return {
+      wdl: names.filter(n => n.toLowerCase().endsWith('.rtbw')).length,
+      dtz: names.filter(n => n.toLowerCase().endsWith('.rtbz')).length
+    };
+  }
+
+  /**
+   * Whether tables for this many pieces could be present (no castling rights allowed)
+   */
+  covers(chess) {
+    const castling = chess.fen().split(' ')[2];
+    return castling === '-' && listPieces(chess).length <= this.maxPieces;
+  }
+
+  /**
+   * Probe a position
+   * @param {Chess} chess - Position to probe (temporarily modified during the probe, restored afterwards)
+   * @returns {{wdl: string, wdlScore: number, dtz: number|null, outcome: 'win'|'draw'|'loss'}|null} null if not covered
+   */
+  probe(chess) {
+    if (!this.covers(chess)) return null;
+
+    const state = { result: OK };
+    const wdlScore = this.search(chess, state, false);
+    if (state.result === FAIL) return null;
+
+    const dtzState = { result: OK };
+    const dtz = this.probeDtz(chess, dtzState);
+
+    // With the 50-move counter, a win that needs more plies than are left is only a draw
+    const halfmoves = parseInt(chess.fen().split(' ')[4]) || 0;
+    let outcome = wdlScore === WDL_WIN ? 'win' : wdlScore === WDL_LOSS ? 'loss' : 'draw';
+    if (outcome !== 'draw' && dtzState.result !== FAIL && Math.abs(dtz) + halfmoves > 100) {
+      outcome = 'draw';
+    }
+
+    return {
+      wdl: WDL_NAMES[wdlScore],
+      wdlScore: wdlScore || 0,
+      dtz: dtzState.result === FAIL ? null : dtz || 0,
+      outcome
+    };
+  }
+
+  /**
+   * WDL with captures (and, for DTZ, pawn moves) searched first, since tables may store
+   * "don't care" values where such a move is best
+   */
+  search(chess, state, checkZeroingMoves) {
+    let bestValue = WDL_LOSS;
+    const moves = chess.moves({ verbose: true });
+    let moveCount = 0;
+
+    for (const move of moves) {
+      if (move.captured === undefined && (!checkZeroingMoves || move.piece !== 'p')) continue;
+
+      moveCount++;
+      chess.move({ from: move.from, to: move.to, promotion: move.promotion });
+      const value = -this.search(chess, state, false);
+      chess.undo();
+
+      if (state.result === FAIL) return WDL_DRAW;
+
+      if (value > bestValue) {
+        bestValue = value;
+        if (value >= WDL_WIN) {
+          state.result = ZEROING_BEST_MOVE; // Winning zeroing move
+          return value;
+        }
+      }
+    }
+
+    // If every legal move was searched the stored value isn't needed (and may be wrong)
+    const noMoreMoves = moveCount > 0 && moveCount === moves.length;
+
+    let value;
+    if (noMoreMoves) {
+      value = bestValue;
+    } else {
+      value = this.probeTable('wdl', chess, state);
+      if (state.result === FAIL) return WDL_DRAW;
+    }
+
+    if (bestValue >= value) {
+      state.result = bestValue > WDL_DRAW || noMoreMoves ? ZEROING_BEST_MOVE : OK;
+      return bestValue;
+    }
+
+    state.result = OK;
+    return value;
+  }
+
+  /**
+   * Distance to zeroing (capture or pawn move) in plies, signed like the WDL score
+   */
+  probeDtz(chess, state) {
+    state.result = OK;
+    const wdl = this.search(chess, state, true);
+
+    if (state.result === FAIL || wdl === WDL_DRAW) return 0;
+    if (state.result === ZEROING_BEST_MOVE) return dtzBeforeZeroing(wdl);
+
+    let dtz = this.probeTable('dtz', chess, state, wdl);
+    if (state.result === FAIL) return 0;
+
+    if (state.result !== CHANGE_STM) {
+      return (dtz + 100 * (wdl === WDL_BLESSED_LOSS || wdl === WDL_CURSED_WIN ? 1 : 0)) * Math.sign(wdl);
+    }
+
+    // The table stores the other side to move: search one ply for the best winning move
+    let minDtz = 0xFFFF;
+
+    for (const move of chess.moves({ verbose: true })) {
+      const zeroing = move.captured !== undefined || move.piece === 'p';
+
+      chess.move({ from: move.from, to: move.to, promotion: move.promotion });
+      dtz = zeroing
+        ? -dtzBeforeZeroing(this.search(chess, state, false))
+        : -this.probeDtz(chess, state);
+
+      // A mating move is always the fastest
+      if (dtz === 1 && chess.isCheckmate()) minDtz = 1;
+
+      if (!zeroing) dtz += Math.sign(dtz);
+
+      if (dtz < minDtz && Math.sign(dtz) === Math.sign(wdl)) minDtz = dtz;
+
+      chess.undo();
+
+      if (state.result === FAIL) return 0;
+    }
+
+    // No legal moves: mated
+    return minDtz === 0xFFFF ? -1 : minDtz;
+  }
+
+  /**
+   * Look a position up in its WDL or DTZ table
+   */
+  probeTable(type, chess, state, wdl = WDL_DRAW) {
+    const pieces = listPieces(chess);
+    if (pieces.length === 2) return WDL_DRAW; // KvK
+
+    const table = this.getTable(type, materialSignature(pieces));
+    if (!table) {
+      state.result = FAIL;
+      return 0;
+    }
+
+    try {
+      table.init();
+    } catch (error) {
+      console.warn(`Tablebase: ${error.message}`);
+      this.tables.set(`${type}:${table.key}`, null);
+      this.tables.set(`${type}:${table.key2}`, null);
+      state.result = FAIL;
+      return 0;
+    }
+
+    return this.probeTableIndex(table, chess, pieces, state, wdl);
+  }
+
+  /**
+   * Table for a material signature (either colour order), or null if no file covers it
+   */
+  getTable(type, signature) {
+    const cacheKey = `${type}:${signature}`;
+    if (this.tables.has(cacheKey)) return this.tables.get(cacheKey);
+
+    const [white, black] = signature.split('v');
+    const extension = type === 'wdl' ? 'rtbw' : 'rtbz';
+    let table = null;
+
+    for (const code of [`${white}v${black}`, `${black}v${white}`]) {
+      const name = [...this.files.keys()].find(n => n.toLowerCase() === `${code}.${extension}`.toLowerCase());
+      if (name) {
+        table = new Table(type, code, this.files.get(name));
+        break;
+      }
+    }
+
+    if (table) {
+      this.tables.set(`${type}:${table.key}`, table);
+      this.tables.set(`${type}:${table.key2}`, table);
+    } else {
+      this.tables.set(cacheKey, null);
+    }
+    return table;
+  }
+
+  /**
+   * Compute the position's index in the table and read its value
+   */
+  probeTableIndex(table, chess, pieces, state, wdl) {
+    const squares = [];
+    const codes = [];
+    const stmColor = chess.turn() === 'w' ? 0 : 1;
+
+    // Symmetric tables only store white to move; tables always have the stronger side as white
+    const blackSymmetric = stmColor === 1 && table.key === table.key2;
+    const blackStronger = materialSignature(pieces) !== table.key;
+    const flip = blackSymmetric || blackStronger;
+    const flipColor = flip ? 8 : 0;
+    const flipSquares = flip ? 56 : 0;
+    const stm = (flip ? 1 : 0) ^ stmColor;
+
+    let leadPawnsCnt = 0;
+    let tbFile = 0;
+    const leadPawns = new Set();
+
+    // Pawn tables are split by the file of the leading pawn (the most edgeward, lowest one)
+    if (table.hasPawns) {
+      const leadCode = table.get(0, 0).pieces[0] ^ flipColor;
+      for (const piece of pieces) {
+        if (piece.code === leadCode) {
+          squares.push(piece.square ^ flipSquares);
+          leadPawns.add(piece.square);
+        }
+      }
+      leadPawnsCnt = squares.length;
+
+      let best = 0;
+      for (let i = 1; i < leadPawnsCnt; i++) {
+        if (MAP_PAWNS[squares[i]] > MAP_PAWNS[squares[best]]) best = i;
+      }
+      [squares[0], squares[best]] = [squares[best], squares[0]];
+
+      tbFile = Math.min(fileOf(squares[0]), 7 - fileOf(squares[0]));
+    }
+
+    // DTZ tables are one-sided
+    if (table.type === 'dtz') {
+      const flags = table.get(stm, tbFile).flags;
+      if ((flags & FLAG_STM) !== stm && !(table.key === table.key2 && !table.hasPawns)) {
+        state.result = CHANGE_STM;
+        return 0;
+      }
+    }
+
+    for (const piece of pieces) {
+      if (leadPawns.has(piece.square)) continue;
+      codes[squares.length] = piece.code ^ flipColor;
+      squares.push(piece.square ^ flipSquares);
+    }
+
+    const size = squares.length;
+    const d = table.get(stm, tbFile);
+
+    // Reorder the pieces to the sequence stored in the table
+    for (let i = leadPawnsCnt; i < size - 1; i++) {
+      for (let j = i + 1; j < size; j++) {
+        if (d.pieces[i] === codes[j]) {
+          [codes[i], codes[j]] = [codes[j], codes[i]];
+          [squares[i], squares[j]] = [squares[j], squares[i]];
+          break;
+        }
+      }
+    }
+
+    // Mirror so the leading piece is on files a-d
+    if (fileOf(squares[0]) > 3) {
+      for (let i = 0; i < size; i++) squares[i] ^= 7;
+    }
+
+    let idx;
+
+    if (table.hasPawns) {
+      idx = LEAD_PAWN_IDX[leadPawnsCnt][squares[0]];
+
+      const rest = squares.slice(1, leadPawnsCnt).sort((a, b) => MAP_PAWNS[a] - MAP_PAWNS[b]);
+      squares.splice(1, rest.length, ...rest);
+
+      for (let i = 1; i < leadPawnsCnt; i++) {
+        idx += BINOMIAL[i][MAP_PAWNS[squares[i]]];
+      }
+    } else {
+      // Mirror so the leading piece is on ranks 1-4
+      if (rankOf(squares[0]) > 3) {
+        for (let i = 0; i < size; i++) squares[i] ^= 56;
+      }
+
+      // The first leading piece off the a1-h8 diagonal must be below it
+      for (let i = 0; i < d.groupLen[0]; i++) {
+        if (!offA1H8(squares[i])) continue;
+
+        if (offA1H8(squares[i]) > 0) {
+          for (let j = i; j < size; j++) {
+            squares[j] = ((squares[j] >> 3) | (squares[j] << 3)) & 63;
+          }
+        }
+        break;
+      }
+
+      if (table.hasUniquePieces) {
+        // Three unique pieces (kings included) are encoded together
+        const adjust1 = squares[1] > squares[0] ? 1 : 0;
+        const adjust2 = (squares[2] > squares[0] ? 1 : 0) + (squares[2] > squares[1] ? 1 : 0);
+
+        if (offA1H8(squares[0])) {
+          idx = (MAP_A1D1D4[squares[0]] * 63 + (squares[1] - adjust1)) * 62 + squares[2] - adjust2;
+        } else if (offA1H8(squares[1])) {
+          idx = (6 * 63 + rankOf(squares[0]) * 28 + MAP_B1H1H7[squares[1]]) * 62 + squares[2] - adjust2;
+        } else if (offA1H8(squares[2])) {
+          idx = 6 * 63 * 62 + 4 * 28 * 62
+            + rankOf(squares[0]) * 7 * 28
+            + (rankOf(squares[1]) - adjust1) * 28
+            + MAP_B1H1H7[squares[2]];
+        } else {
+          idx = 6 * 63 * 62 + 4 * 28 * 62 + 4 * 7 * 28
+            + rankOf(squares[0]) * 7 * 6
+            + (rankOf(squares[1]) - adjust1) * 6
+            + (rankOf(squares[2]) - adjust2);
+        }
+      } else {
+        // Only the kings
+        idx = MAP_KK[MAP_A1D1D4[squares[0]]][squares[1]];
+      }
+    }
+
+    // Remaining groups: each one's squares in ascending order, skipping squares of earlier groups
+    idx *= d.groupIdx[0];
+    let groupStart = d.groupLen[0];
+    let remainingPawns = table.hasPawns && table.pawnCount[1] > 0;
+
+    for (let next = 1; d.groupLen[next]; next++) {
+      const len = d.groupLen[next];
+      const group = squares.slice(groupStart, groupStart + len).sort((a, b) => a - b);
+      let n = 0;
+
+      group.forEach((sq, i) => {
+        let adjust = 0;
+        for (let j = 0; j < groupStart; j++) {
+          if (sq > squares[j]) adjust++;
+        }
+        n += BINOMIAL[i + 1][sq - adjust - (remainingPawns ? 8 : 0)];
+      });
+
+      squares.splice(groupStart, len, ...group);
+      remainingPawns = false;
+      idx += n * d.groupIdx[next];
+      groupStart += len;
+    }
+
+    state.result = OK;
+    return mapScore(table, tbFile, decompressPairs(table.file, d, idx), wdl);
+  }
+
+  /**
+   * Close every open table file
+   */
+  close() {
+    for (const table of new Set(this.tables.values())) {
+      if (table) table.close();
+    }
+    this.tables.clear();
+  }
+}
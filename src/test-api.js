@@ -50,9 +50,34 @@ async function getBoard() {
   }
 }
 
-async function listEngines() {
+async function getGameResult() {
   try {
-    const result = await apiRequest('GET', '/engine/list');
+    const result = await apiRequest('GET', '/game/result');
+    if (result.error) {
+      console.log('❌ Error:', result.error);
+      return;
+    }
+
+    console.log('\n🏁 Game Result:');
+    if (!result.over) {
+      console.log('   Game in progress');
+      return;
+    }
+
+    console.log(`   Result: ${result.result}${result.termination ? ` by ${result.termination}` : ''}`);
+    console.log(`   Source: ${result.source}${result.headline ? ` ("${result.headline}")` : ''}`);
+    console.log(`   Board check: ${result.verified === true ? '✓ confirmed' : result.verified === false ? '⚠️  disagrees or not seen on the board' : 'n/a (not decided on the board)'}`);
+    if (result.page) {
+      console.log(`   Page said: ${result.page.result}${result.page.termination ? ` by ${result.page.termination}` : ''}`);
+    }
+  } catch (error) {
+    console.log('❌ Error:', error.message);
+  }
+}
+
+async function listEngines(probe = false) {
+  try {
+    const result = await apiRequest('GET', `/engine/list${probe ? '?probe=true' : ''}`);
     console.log('\n🎮 Available Engines:');
 
     if (result.engines.length === 0) {
@@ -60,25 +85,41 @@ async function listEngines() {
       console.log('   Add engines with: cp /path/to/engine engines/');
     } else {
       result.engines.forEach((eng, idx) => {
-        const status = eng.executable ? '✓' : '✗ (not executable)';
-        const size = (eng.size / 1024 / 1024).toFixed(2) + ' MB';
-        console.log(`   ${idx + 1}. ${eng.name} ${status} (${size})`);
+        const status = eng.executable ? '✓' : `✗ (${eng.reason})`;
+        // Remote engines show where they run instead of a file size
+        const size = eng.format === 'remote' ? eng.path : (eng.size / 1024 / 1024).toFixed(2) + ' MB';
+        const label = eng.displayName ? `${eng.name} "${eng.displayName}"` : eng.name;
+        console.log(`   ${idx + 1}. ${label} ${status} (${eng.format}, ${eng.protocol}, ${size})${eng.hasProfile ? ' [profile]' : ''}`);
+        if (eng.probe) {
+          const identity = eng.probe.ok
+            ? `${eng.probe.idName || 'unnamed'}${eng.probe.idAuthor ? ` by ${eng.probe.idAuthor}` : ''}, ${eng.probe.protocol}, ${eng.probe.optionCount} options`
+            : `handshake failed: ${eng.probe.error}`;
+          console.log(`      ${identity}`);
+          console.log(`      sha256 ${eng.probe.sha256 ? eng.probe.sha256.substring(0, 16) : 'unknown'}`);
+        }
       });
     }
     console.log(`   Total: ${result.count} engine(s)`);
+
+    if (result.skipped && result.skipped.length > 0) {
+      console.log(`   Skipped ${result.skipped.length} other file(s):`);
+      result.skipped.forEach(file => console.log(`     - ${file.name}: ${file.reason}`));
+    }
   } catch (error) {
     console.log('❌ Error:', error.message);
   }
 }
 
-async function enableEngine(engineName = null) {
+async function enableEngine(engineName = null, protocol = null) {
   try {
     const body = engineName ? { engine: engineName } : {};
+    if (protocol) body.protocol = protocol;
     console.log(engineName ? `\n🤖 Enabling engine: ${engineName}` : '\n🤖 Enabling engine (auto-select)...');
     const result = await apiRequest('POST', '/engine/enable', body);
 
     if (result.success) {
-      console.log(`✓ Engine enabled: ${result.selectedEngine}`);
+      console.log(`✓ Engine enabled: ${result.selectedEngine}${result.displayName ? ` (${result.displayName})` : ''}`);
+      console.log(`   Protocol: ${result.protocol}`);
       console.log(`   Nodes: ${result.config.nodes}`);
     } else {
       console.log('❌ Failed:', result.error);
@@ -106,15 +147,85 @@ async function disableEngine() {
   }
 }
 
-async function switchEngine(engineName) {
+async function switchEngine(engineName, protocol = null) {
   try {
     console.log(`\n🔄 Switching to engine: ${engineName}`);
-    const result = await apiRequest('POST', '/engine/switch', { engine: engineName });
+    const body = { engine: engineName };
+    if (protocol) body.protocol = protocol;
+    const result = await apiRequest('POST', '/engine/switch', body);
 
     if (result.success) {
       console.log('✓ Engine switched');
       console.log(`   From: ${result.previousEngine}`);
-      console.log(`   To: ${result.currentEngine}`);
+      console.log(`   To: ${result.currentEngine}${result.displayName ? ` (${result.displayName})` : ''}`);
+      console.log(`   Protocol: ${result.protocol}`);
+    } else {
+      console.log('❌ Failed:', result.error);
+    }
+  } catch (error) {
+    console.log('❌ Error:', error.message);
+  }
+}
+
+async function listProfiles() {
+  try {
+    const result = await apiRequest('GET', '/engine/profiles');
+    console.log(`\n🗂️  Engine Profiles (${result.file}):`);
+
+    if (result.count === 0) {
+      console.log('   No profiles yet. Create one with: profile <engine> <field> <value>');
+    }
+    for (const [name, profile] of Object.entries(result.profiles)) {
+      const orphaned = result.orphaned.includes(name) ? ' (engine not found)' : '';
+      console.log(`   ${name}${profile.displayName ? ` "${profile.displayName}"` : ''}${orphaned}`);
+      for (const [field, value] of Object.entries(profile)) {
+        if (field !== 'displayName') console.log(`      ${field}: ${JSON.stringify(value)}`);
+      }
+    }
+  } catch (error) {
+    console.log('❌ Error:', error.message);
+  }
+}
+
+/**
+ * profile <engine> <field> <value|off>, or profile <engine> delete
+ * args takes the rest of the line as separate arguments; env, uciOptions and limits take JSON.
+ * location (tcp://host:port) and secret make the profile a remote engine.
+ */
+async function editProfile(args) {
+  try {
+    const [engineName, field, ...rest] = args;
+
+    if (field === 'delete') {
+      const result = await apiRequest('POST', '/engine/profiles/delete', { engine: engineName });
+      console.log(result.success ? `✓ Profile deleted: ${engineName}` : `❌ Failed: ${result.error}`);
+      return;
+    }
+
+    const key = field === 'name' ? 'displayName' : field;
+    let value;
+    if (rest.length === 1 && rest[0] === 'off') {
+      value = null;
+    } else if (key === 'args') {
+      value = rest;
+    } else if (['displayName', 'cwd', 'location', 'secret'].includes(key)) {
+      value = rest.join(' ');
+    } else {
+      try {
+        value = JSON.parse(rest.join(' '));
+      } catch {
+        console.log(`❌ ${field} needs a JSON value, e.g. profile ${engineName} uciOptions {"Hash":256}`);
+        return;
+      }
+    }
+
+    const result = await apiRequest('POST', '/engine/profiles', { engine: engineName, [key]: value });
+
+    if (result.success) {
+      console.log(`✓ ${result.message}: ${engineName}`);
+      console.log(`   ${JSON.stringify(result.profile)}`);
+      if (!result.engineFound) console.log(`   ⚠ No engine named "${engineName}" in engines/ yet`);
+      if (result.appliesOnRestart) console.log('   Takes effect at the next enable or switch');
     } else {
       console.log('❌ Failed:', result.error);
     }
@@ -127,10 +238,17 @@ async function configEngine(args) {
   try {
     if (!args || args.length === 0) {
       console.log('❌ Usage:');
-      console.log('   config mode <nodes|time>');
+      console.log('   config mode <nodes|depth|time>');
       console.log('   config nodes <number>');
+      console.log('   config depth <number>');
+      console.log('   config movetime <ms|off>');
       console.log('   config time <base> <increment> [threads]');
-      console.log('   config uci <name> value <value>');
+      console.log('   config ponder <on|off>');
+      console.log('   config book <file.bin|off> [weighted|best] [maxDepth]');
+      console.log('   config resign <cp> <moves> | config resign off');
+      console.log('   config draw <cp> <moves> [afterMove] | config draw off');
+      console.log('   config chess960 <auto|on|off>');
+      console.log('   config uci <name> [value <value>]');
       return;
     }
 
@@ -139,8 +257,8 @@ async function configEngine(args) {
 
     if (subcommand === 'mode') {
       const mode = args[1];
-      if (!mode || (mode !== 'nodes' && mode !== 'time')) {
-        console.log('❌ Mode must be "nodes" or "time"');
+      if (!mode || (mode !== 'nodes' && mode !== 'depth' && mode !== 'time')) {
+        console.log('❌ Mode must be "nodes", "depth" or "time"');
         return;
       }
       body = { mode };
@@ -151,6 +269,24 @@ async function configEngine(args) {
         return;
       }
       body = { nodes };
+    } else if (subcommand === 'depth') {
+      const depth = parseInt(args[1]);
+      if (isNaN(depth)) {
+        console.log('❌ Invalid depth');
+        return;
+      }
+      body = { depth };
+    } else if (subcommand === 'movetime') {
+      if (args[1] === 'off') {
+        body = { movetime: null };
+      } else {
+        const movetime = parseInt(args[1]);
+        if (isNaN(movetime)) {
+          console.log('❌ Usage: config movetime <ms|off>');
+          return;
+        }
+        body = { movetime };
+      }
     } else if (subcommand === 'time') {
       const base = parseInt(args[1]);
       const increment = parseInt(args[2]);
@@ -165,20 +301,71 @@ async function configEngine(args) {
       if (threads !== undefined && !isNaN(threads)) {
         body.timeControl.threads = threads;
       }
+    } else if (subcommand === 'ponder') {
+      const value = args[1];
+      if (value !== 'on' && value !== 'off') {
+        console.log('❌ Usage: config ponder <on|off>');
+        return;
+      }
+      body = { ponder: value === 'on' };
+    } else if (subcommand === 'book') {
+      const file = args[1];
+      if (!file) {
+        console.log('❌ Usage: config book <file.bin|off> [weighted|best] [maxDepth]');
+        return;
+      }
+
+      if (file === 'off') {
+        body = { book: null };
+      } else {
+        body = { book: { file } };
+        if (args[2]) body.book.selection = args[2];
+        if (args[3]) body.book.maxDepth = parseInt(args[3]);
+      }
+    } else if (subcommand === 'chess960') {
+      const value = args[1];
+      if (value !== 'auto' && value !== 'on' && value !== 'off') {
+        console.log('❌ Usage: config chess960 <auto|on|off>');
+        return;
+      }
+      body = { chess960: value === 'auto' ? 'auto' : value === 'on' };
+    } else if (subcommand === 'resign' || subcommand === 'draw') {
+      if (args[1] === 'off') {
+        body = { adjudication: { [subcommand]: null } };
+      } else {
+        const score = parseInt(args[1]);
+        const moves = parseInt(args[2]);
+        if (isNaN(score) || isNaN(moves)) {
+          console.log(subcommand === 'resign'
+            ? '❌ Usage: config resign <cp> <moves> (resign after <moves> searches at or below -<cp>)'
+            : '❌ Usage: config draw <cp> <moves> [afterMove] (offer a draw after <moves> searches within ±<cp>)');
+          return;
+        }
+        const rule = { score, moves };
+        if (subcommand === 'draw' && args[3]) rule.afterMove = parseInt(args[3]);
+        body = { adjudication: { [subcommand]: rule } };
+      }
     } else if (subcommand === 'uci') {
-      const optionName = args[1];
       const valueIndex = args.indexOf('value');
 
-      if (!optionName || valueIndex === -1 || !args[valueIndex + 1]) {
-        console.log('❌ Usage: config uci <name> value <value>');
+      // Option names may contain spaces (e.g., "Clear Hash")
+      const optionName = args.slice(1, valueIndex === -1 ? undefined : valueIndex).join(' ');
+
+      if (!optionName || (valueIndex !== -1 && !args[valueIndex + 1])) {
+        console.log('❌ Usage: config uci <name> [value <value>]');
         return;
       }
 
-      // Combine all parts after 'value' in case value contains spaces
-      const value = args.slice(valueIndex + 1).join(' ');
-      body = { uciOption: { name: optionName, value } };
+      if (valueIndex === -1) {
+        // No value - button option such as "Clear Hash"
+        body = { uciOption: { name: optionName } };
+      } else {
+        // Combine all parts after 'value' in case value contains spaces
+        const value = args.slice(valueIndex + 1).join(' ');
+        body = { uciOption: { name: optionName, value } };
+      }
     } else {
-      console.log('❌ Unknown subcommand. Use: mode, nodes, time, or uci');
+      console.log('❌ Unknown subcommand. Use: mode, nodes, depth, movetime, time, ponder, book, resign, draw, chess960, or uci');
       return;
     }
 
@@ -191,9 +378,20 @@ async function configEngine(args) {
       console.log(`   Threads: ${result.config.threads}`);
       if (result.config.mode === 'nodes') {
         console.log(`   Nodes: ${result.config.nodes}`);
+      } else if (result.config.mode === 'depth') {
+        console.log(`   Depth: ${result.config.depth}`);
       } else {
         console.log(`   Time control: ${result.config.timeControl.base}ms + ${result.config.timeControl.increment}ms`);
       }
+      if (result.config.mode !== 'time' && result.config.movetime) {
+        console.log(`   Movetime cap: ${result.config.movetime}ms`);
+      }
+      console.log(`   Pondering: ${result.config.ponder ? 'on' : 'off'}`);
+      console.log(`   Book: ${result.config.book.file ? `${result.config.book.file} (${result.config.book.selection}, max ${result.config.book.maxDepth} plies)` : 'none'}`);
+      const { resign, draw } = result.config.adjudication;
+      console.log(`   Resign: ${resign ? `at -${resign.score}cp for ${resign.moves} move(s)` : 'off'}`);
+      console.log(`   Draw offer: ${draw ? `within ±${draw.score}cp for ${draw.moves} move(s), from move ${draw.afterMove || 0}` : 'off'}`);
+      console.log(`   Chess960: ${result.config.chess960 === 'auto' ? 'auto-detect' : result.config.chess960 ? 'on' : 'off'}`);
       console.log(`   Engine: ${result.config.selectedEngine || 'none'}`);
     } else {
       console.log('❌ Failed:', result.error);
@@ -211,12 +409,33 @@ async function engineStatus() {
     console.log(`   Ready: ${result.engineReady ? 'Yes' : 'No'}`);
     console.log(`   Thinking: ${result.thinking ? 'Yes' : 'No'}`);
     console.log(`   Selected: ${result.selectedEngine || 'none'}`);
+    if (result.protocol) console.log(`   Protocol: ${result.protocol}`);
+
+    if (result.supervisor && result.supervisor.crashes > 0) {
+      const { crashes, restarts, lastCrash, gaveUp, recentOutput } = result.supervisor;
+      console.log(`   Crashes: ${crashes} (restarted ${restarts}x${gaveUp ? ', gave up' : ''}, last exit code ${lastCrash.code})`);
+      console.log('   Last engine output:');
+      recentOutput.slice(-5).forEach(line => console.log(`     ${line}`));
+    }
+
     console.log(`\n   Configuration:`);
     console.log(`   Mode: ${result.config.mode}`);
     console.log(`   Threads: ${result.config.threads}`);
+    console.log(`   Pondering: ${result.config.ponder ? 'on' : 'off'}${result.pondering ? ` (on ${result.pondering.move}${result.pondering.hit ? ', hit' : ''})` : ''}`);
+    console.log(`   Chess960: ${result.chess960 ? 'on' : 'off'}${result.config.chess960 === 'auto' ? ' (auto-detect)' : ''}`);
+
+    if (result.tablebases) {
+      console.log(`   Tablebases: ${result.tablebases.wdl} WDL / ${result.tablebases.dtz} DTZ, up to ${result.tablebases.maxPieces} pieces`);
+    }
+
+    if (result.config.book.loaded) {
+      console.log(`   Book: ${result.config.book.file} (${result.config.book.entries} entries, ${result.config.book.selection}, max ${result.config.book.maxDepth} plies)`);
+    }
 
     if (result.config.mode === 'nodes') {
       console.log(`   Nodes: ${result.config.nodes}`);
+    } else if (result.config.mode === 'depth') {
+      console.log(`   Depth: ${result.config.depth}`);
     } else {
       console.log(`   Time control: ${result.config.timeControl.base}ms + ${result.config.timeControl.increment}ms`);
       if (result.timeTracking) {
@@ -230,7 +449,7 @@ async function engineStatus() {
     if (result.availableEngines && result.availableEngines.length > 0) {
       console.log('\n   Available Engines:');
       result.availableEngines.forEach((eng, idx) => {
-        const status = eng.executable ? '✓' : '✗';
+        const status = eng.executable ? '✓' : `✗ (${eng.reason})`;
         console.log(`     ${idx + 1}. ${eng.name} ${status}`);
       });
     }
@@ -239,19 +458,64 @@ async function engineStatus() {
   }
 }
 
+async function listOptions() {
+  try {
+    const result = await apiRequest('GET', '/engine/options');
+
+    if (!result.success) {
+      console.log('❌ Failed:', result.error);
+      return;
+    }
+
+    console.log(`\n⚙️  UCI Options (${result.selectedEngine}):`);
+    result.options.forEach(opt => {
+      let details = opt.type;
+      if (opt.type === 'spin') {
+        details += ` default ${opt.default} [${opt.min}..${opt.max}]`;
+      } else if (opt.type === 'combo') {
+        details += ` default ${opt.default} (${opt.vars.join(' / ')})`;
+      } else if (opt.type !== 'button') {
+        details += ` default ${opt.default === '' ? '<empty>' : opt.default}`;
+      }
+      const current = result.configured[opt.name];
+      console.log(`   ${opt.name}: ${details}${current !== undefined ? ` → ${current}` : ''}`);
+    });
+    console.log(`   Total: ${result.count} option(s)`);
+  } catch (error) {
+    console.log('❌ Error:', error.message);
+  }
+}
+
 async function getSuggestion() {
   try {
     console.log('\n🤖 Getting engine suggestion...');
     const result = await apiRequest('GET', '/engine/suggest');
 
-    if (result.success) {
+    if (result.success && result.source === 'book') {
+      console.log(`📖 Book move: ${result.move}`);
+      console.log(`   Weight: ${result.book.weight}/${result.book.totalWeight} (${result.book.candidates} candidate(s) in ${result.book.file})`);
+      console.log(`   Position: ${result.fen}`);
+    } else if (result.success) {
       console.log(`✓ Engine suggests: ${result.move}`);
       if (result.ponder) {
         console.log(`   Ponder: ${result.ponder}`);
       }
       console.log(`   Position: ${result.fen}`);
       console.log(`   Moves played: ${result.moveHistory?.join(' ') || 'none'}`);
-      console.log(`   Nodes searched: ${result.nodes}`);
+      console.log(`   Limits: ${Object.entries(result.limits || {}).map(([k, v]) => `${k} ${v}`).join(', ')}`);
+      if (result.timeUsed !== undefined) {
+        console.log(`   Time used: ${result.timeUsed}ms`);
+      }
+      if (result.stats) {
+        const { depth, seldepth, score, mate, nodes, nps, hashfull } = result.stats;
+        const scoreText = mate !== undefined ? `mate ${mate}` : `${score}cp`;
+        console.log(`   Search: depth ${depth}/${seldepth ?? '-'}, ${scoreText}, ${nodes} nodes, ${nps ?? '-'} nps, hash ${hashfull ?? '-'}‰`);
+        console.log(`   PV: ${result.stats.pvSan.join(' ')}`);
+      }
+      if (result.tablebase) {
+        const { wdl, dtz, outcome } = result.tablebase;
+        console.log(`   Tablebase: ${outcome} for the side to move (${wdl}${dtz !== null ? `, DTZ ${dtz}` : ''})`);
+      }
     } else {
       console.log('❌ Failed:', result.error);
     }
@@ -263,6 +527,118 @@ async function getSuggestion() {
   }
 }
 
+async function analyzePosition(args) {
+  try {
+    // analyze [multipv] [moves...]
+    const multipv = /^\d+$/.test(args[0] || '') ? parseInt(args[0]) : 3;
+    const moves = /^\d+$/.test(args[0] || '') ? args.slice(1) : args;
+
+    console.log(`\n🔬 Analyzing (${multipv} lines)...`);
+    const result = await apiRequest('POST', '/engine/analyze', { moves, multipv });
+
+    if (result.success) {
+      console.log(`   Position: ${result.fen}`);
+      console.log(`   Depth: ${result.depth}`);
+      result.lines.forEach(line => {
+        const score = line.mate !== undefined ? `mate ${line.mate}` : `${line.score}cp`;
+        console.log(`   ${line.rank}. ${line.san} (${score}) ${line.pvSan.join(' ')}`);
+      });
+    } else {
+      console.log('❌ Failed:', result.error);
+    }
+  } catch (error) {
+    console.log('❌ Error:', error.message);
+  }
+}
+
+async function startMatch(args) {
+  try {
+    if (args.length < 2) {
+      console.log('❌ Usage: match <engine1> <engine2> [games] [nodes]');
+      return;
+    }
+
+    const body = { engines: [args[0], args[1]] };
+    if (args[2]) body.games = parseInt(args[2]);
+    if (args[3]) body.nodes = parseInt(args[3]);
+
+    console.log(`\n⚔️  Starting match: ${args[0]} vs ${args[1]}...`);
+    const result = await apiRequest('POST', '/match', body);
+
+    if (result.success) {
+      console.log(`✓ Match started (${result.match.progress.total} games, ${Object.entries(result.match.limits).map(([k, v]) => `${k} ${JSON.stringify(v)}`).join(', ')})`);
+      console.log('   Check progress with: match status');
+    } else {
+      console.log('❌ Failed:', result.error);
+    }
+  } catch (error) {
+    console.log('❌ Error:', error.message);
+  }
+}
+
+async function startSprt(args) {
+  try {
+    if (args.length < 2) {
+      console.log('❌ Usage: sprt <candidate> <baseline> [elo0] [elo1] [nodes]');
+      return;
+    }
+
+    const body = { engines: [args[0], args[1]] };
+    if (args[2]) body.elo0 = parseFloat(args[2]);
+    if (args[3]) body.elo1 = parseFloat(args[3]);
+    if (args[4]) body.nodes = parseInt(args[4]);
+
+    console.log(`\n⚔️  Starting SPRT: ${args[0]} vs ${args[1]}...`);
+    const result = await apiRequest('POST', '/sprt', body);
+
+    if (result.success) {
+      const { sprt } = result.match;
+      console.log(`✓ SPRT started (elo0 ${sprt.elo0}, elo1 ${sprt.elo1}, alpha ${sprt.alpha}, beta ${sprt.beta})`);
+      console.log('   Check progress with: match status');
+    } else {
+      console.log('❌ Failed:', result.error);
+    }
+  } catch (error) {
+    console.log('❌ Error:', error.message);
+  }
+}
+
+async function matchStatus() {
+  try {
+    const result = await apiRequest('GET', '/match');
+
+    if (!result.success) {
+      console.log('❌', result.error);
+      return;
+    }
+
+    const { status, engines, progress, results, sprt, games, error } = result.match;
+    console.log(`\n⚔️  ${engines[0]} vs ${engines[1]}: ${status} (${progress.played}/${progress.total} games)`);
+    console.log(`   ${engines[0]}: +${results.wins} =${results.draws} -${results.losses}, score ${results.score ?? '-'}, Elo ${results.elo ?? '-'}`);
+    if (sprt) {
+      console.log(`   SPRT [${sprt.elo0}, ${sprt.elo1}]: LLR ${sprt.llr} (${sprt.lowerBound} .. ${sprt.upperBound}), ${sprt.decision ? `${sprt.decision} accepted` : 'no decision yet'}`);
+      console.log(`   Pentanomial ${sprt.pentanomial.join(' ')}, Elo ${sprt.elo ?? '-'} ± ${sprt.errorMargin ?? '-'}`);
+    }
+    games.slice(-5).forEach(game => {
+      console.log(`   ${game.round}. ${game.white} - ${game.black} ${game.result} (${game.reason})`);
+    });
+    if (error) {
+      console.log(`   ❌ ${error}`);
+    }
+  } catch (error) {
+    console.log('❌ Error:', error.message);
+  }
+}
+
+async function stopMatch() {
+  try {
+    const result = await apiRequest('POST', '/match/stop');
+    console.log(`✓ ${result.message}`);
+  } catch (error) {
+    console.log('❌ Error:', error.message);
+  }
+}
+
 async function playEngineMove() {
   try {
     console.log('\n🤖 Getting engine move and executing...');
@@ -290,6 +666,7 @@ async function playEngineMove() {
       console.log(`  Total moves: ${moveResult.moveHistory}`);
     } else {
       console.log('❌ Move execution failed:', moveResult.error);
+      if (moveResult.code) console.log(`   Code: ${moveResult.code}`);
     }
   } catch (error) {
     console.log('❌ Error:', error.message);
@@ -309,6 +686,7 @@ async function makeMove(move) {
       console.log(`  Total moves: ${result.moveHistory}`);
     } else {
       console.log('❌ Move failed:', result.error);
+      if (result.code) console.log(`   Code: ${result.code}`);
     }
   } catch (error) {
     console.log('❌ Error:', error.message);
@@ -374,6 +752,19 @@ async function getAutoplayStatus() {
       console.log(`  Our turn: ${result.ourTurn ? '✓ Yes' : '✗ No'}`);
       console.log(`  Busy: ${result.busy ? 'Yes (processing)' : 'No'}`);
       console.log(`  Game active: ${result.gameActive ? '✓ Yes' : '✗ No'}`);
+      if (result.chess960) console.log('  Variant: Chess960');
+      if (result.lastGameStart) {
+        const { reason, color, opponent, time } = result.lastGameStart;
+        console.log(`  Game started: ${color || '?'}${opponent ? ` vs ${opponent}` : ''} - ${reason} (${time})`);
+      }
+      if (result.adjudication?.last) {
+        const { action, clicked, gameEnded, moveNumber, time } = result.adjudication.last;
+        console.log(`  Last adjudication: ${action} at move ${moveNumber}${clicked ? '' : ' (control not found)'}${gameEnded ? ', game ended' : ''} (${time})`);
+      }
+      if (result.clocks) {
+        const { white, black, increment, incrementSource, readAt } = result.clocks;
+        console.log(`  Clocks: white ${(white / 1000).toFixed(1)}s, black ${(black / 1000).toFixed(1)}s + ${increment / 1000}s${incrementSource === 'config' ? ' (configured)' : ''} (read ${readAt})`);
+      }
     }
   } catch (error) {
     console.log('❌ Error:', error.message);
@@ -385,16 +776,30 @@ async function syncPosition() {
     console.log('\n🔄 Syncing position...');
     const result = await apiRequest('POST', '/sync');
 
+    if (result.newGame) {
+      console.log(`🆕 New game detected (${result.newGame.reason}): playing ${result.newGame.color || '?'}${result.newGame.opponent ? ` vs ${result.newGame.opponent}` : ''}`);
+    }
+
     if (result.success) {
       if (result.positionsMatch) {
         console.log('✓ Position in sync');
       } else {
-        console.log(`✓ Detected opponent move: ${result.detectedMove}`);
+        if (result.detectedMove) {
+          console.log(`✓ Detected opponent move: ${result.detectedMove}`);
+        } else if (result.addedPlies) {
+          if (result.removedPlies.length) console.log(`✓ Taken back: ${result.removedPlies.join(' ')}`);
+          if (result.addedPlies.length) console.log(`✓ Caught up: ${result.addedPlies.join(' ')}`);
+        } else {
+          console.log('✓ Re-synced from chess.com');
+        }
         console.log(`  Move history: ${result.moveHistory.join(' ')}`);
       }
       console.log(`  Total moves: ${result.moveCount}`);
     } else {
       console.log('⚠️  Position out of sync:', result.error);
+      if (result.diff?.length) {
+        console.log(`  Differs on: ${result.diff.map(d => `${d.square} ${d.expected || '·'}→${d.actual || '·'}`).join(', ')}`);
+      }
       if (result.suggestion) {
         console.log(`\n💡 ${result.suggestion}`);
       }
@@ -485,24 +890,44 @@ async function main() {
   console.log('    <move>         - Send UCI move (e.g., e2e4, g1f3)');
   console.log('    board          - Show current board state');
   console.log('    status         - Check connection status');
+  console.log('    result         - Show how the game ended (result and termination)');
   console.log('    sync           - Detect opponent moves and sync position');
   console.log('    extract        - Extract move history from chess.com (debug)');
   console.log('    reset          - Reset move history (new game)');
   console.log('    position <moves> - Set position (e.g., position e2e4 e7e5)');
   console.log('');
   console.log('  ENGINE:');
-  console.log('    engines        - List available engines');
-  console.log('    enable [name]  - Enable engine (auto-select if no name)');
+  console.log('    engines [probe] - List available engines (probe: show UCI id and SHA-256)');
+  console.log('    enable [name] [uci|xboard] - Enable engine (auto-select if no name)');
   console.log('    disable        - Disable engine');
-  console.log('    switch <name>  - Switch to different engine');
-  console.log('    config mode <nodes|time>        - Switch engine mode');
+  console.log('    switch <name> [uci|xboard] - Switch to different engine');
+  console.log('    profiles       - List engine profiles (engines.json)');
+  console.log('    profile <engine> <field> <value|off> - Edit a profile (name, location, secret, args, cwd, env, uciOptions, limits)');
+  console.log('    profile <engine> delete          - Remove a profile');
+  console.log('    config mode <nodes|depth|time>  - Switch engine mode');
   console.log('    config nodes <number>           - Set node limit');
+  console.log('    config depth <number>           - Set depth limit');
+  console.log('    config movetime <ms|off>        - Cap nodes/depth searches by time');
   console.log('    config time <base> <inc> [thr]  - Set time control');
+  console.log('    config ponder <on|off>          - Think on opponent\'s time');
+  console.log('    config book <file|off> [weighted|best] [depth] - Opening book');
+  console.log('    config resign <cp> <moves>|off  - Resign when lost for <moves> searches');
+  console.log('    config draw <cp> <moves> [move]|off - Offer a draw in level endings');
+  console.log('    config chess960 <auto|on|off>   - Chess960 castling and UCI_Chess960');
   console.log('    config uci <name> value <value> - Set UCI option');
+  console.log('    config uci <name>               - Press UCI button option');
+  console.log('    options        - List engine UCI options');
   console.log('    estatus        - Show engine status');
   console.log('    suggest        - Get engine move suggestion');
+  console.log('    analyze [n] [moves] - Top n candidate lines (e.g., analyze 3 e2e4)');
   console.log('    play           - Get engine move and execute it immediately');
   console.log('');
+  console.log('  MATCH (local, no browser):');
+  console.log('    match <e1> <e2> [games] [nodes] - Play two engines against each other');
+  console.log('    match status   - Show match progress and results');
+  console.log('    sprt <new> <base> [elo0] [elo1] [nodes] - SPRT between two builds');
+  console.log('    match stop     - Stop after the current game');
+  console.log('');
   console.log('  AUTOPLAY:');
   console.log('    auto white     - Enable autoplay as white');
   console.log('    auto black     - Enable autoplay as black');
@@ -537,23 +962,43 @@ async function main() {
         console.log('    <move>         - Send UCI move (e.g., e2e4, g1f3)');
         console.log('    board          - Show current board state');
         console.log('    status         - Check connection status');
+        console.log('    result         - Show how the game ended (result and termination)');
         console.log('    sync           - Detect opponent moves and sync position');
         console.log('    extract        - Extract move history from chess.com (debug)');
         console.log('    reset          - Reset move history (new game)');
         console.log('    position <moves> - Set position (e.g., position e2e4 e7e5)');
         console.log('');
         console.log('  ENGINE:');
-        console.log('    engines        - List available engines');
-        console.log('    enable [name]  - Enable engine (auto-select if no name)');
+        console.log('    engines [probe] - List available engines (probe: show UCI id and SHA-256)');
+        console.log('    enable [name] [uci|xboard] - Enable engine (auto-select if no name)');
         console.log('    disable        - Disable engine');
-        console.log('    switch <name>  - Switch to different engine');
-        console.log('    config mode <nodes|time>        - Switch engine mode');
+        console.log('    switch <name> [uci|xboard] - Switch to different engine');
+        console.log('    profiles       - List engine profiles (engines.json)');
+        console.log('    profile <engine> <field> <value|off> - Edit a profile (name, location, secret, args, cwd, env, uciOptions, limits)');
+        console.log('    profile <engine> delete          - Remove a profile');
+        console.log('    config mode <nodes|depth|time>  - Switch engine mode');
         console.log('    config nodes <number>           - Set node limit');
+        console.log('    config depth <number>           - Set depth limit');
+        console.log('    config movetime <ms|off>        - Cap nodes/depth searches by time');
         console.log('    config time <base> <inc> [thr]  - Set time control');
+        console.log('    config ponder <on|off>          - Think on opponent\'s time');
+        console.log('    config book <file|off> [weighted|best] [depth] - Opening book');
+        console.log('    config resign <cp> <moves>|off  - Resign when lost for <moves> searches');
+        console.log('    config draw <cp> <moves> [move]|off - Offer a draw in level endings');
+        console.log('    config chess960 <auto|on|off>   - Chess960 castling and UCI_Chess960');
+        console.log('    config uci <name> [value <v>]   - Set UCI option / press button');
+        console.log('    options        - List engine UCI options');
         console.log('    estatus        - Show engine status');
         console.log('    suggest        - Get engine move suggestion');
+        console.log('    analyze [n] [moves] - Top n candidate lines (e.g., analyze 3 e2e4)');
         console.log('    play           - Get engine move and execute it immediately');
         console.log('');
+        console.log('  MATCH (local, no browser):');
+        console.log('    match <e1> <e2> [games] [nodes] - Play two engines against each other');
+        console.log('    match status   - Show match progress and results');
+        console.log('    sprt <new> <base> [elo0] [elo1] [nodes] - SPRT between two builds');
+        console.log('    match stop     - Stop after the current game');
+        console.log('');
         console.log('  AUTOPLAY:');
         console.log('    auto           - Enable autoplay with auto-detection (recommended)');
         console.log('    auto white     - Force play as white');
@@ -569,6 +1014,8 @@ async function main() {
         await getBoard();
       } else if (command === 'status') {
         await checkStatus();
+      } else if (command === 'result') {
+        await getGameResult();
       } else if (command === 'sync') {
         await syncPosition();
       } else if (command === 'extract') {
@@ -583,30 +1030,61 @@ async function main() {
           console.log('❌ Usage: position <moves> (e.g., position e2e4 e7e5)');
         }
       } else if (command === 'engines') {
-        await listEngines();
+        await listEngines(parts[1] === 'probe');
       } else if (command === 'enable') {
-        await enableEngine(parts[1]);
+        await enableEngine(parts[1], parts[2]);
       } else if (command === 'disable') {
         await disableEngine();
       } else if (command === 'switch') {
         if (parts[1]) {
-          await switchEngine(parts[1]);
+          await switchEngine(parts[1], parts[2]);
         } else {
-          console.log('❌ Usage: switch <engine-name>');
+          console.log('❌ Usage: switch <engine-name> [uci|xboard]');
+        }
+      } else if (command === 'profiles') {
+        await listProfiles();
+      } else if (command === 'profile') {
+        if (parts.length >= 3) {
+          await editProfile(parts.slice(1));
+        } else {
+          console.log('❌ Usage:');
+          console.log('   profile <engine> name <display name>');
+          console.log('   profile <engine> args <arg> [arg...]');
+          console.log('   profile <engine> cwd <directory>');
+          console.log('   profile <engine> location tcp://<host>:<port>');
+          console.log('   profile <engine> secret <shared secret>');
+          console.log('   profile <engine> <env|uciOptions|limits> <json>');
+          console.log('   profile <engine> <field> off');
+          console.log('   profile <engine> delete');
         }
       } else if (command === 'config') {
         if (parts.length > 1) {
           await configEngine(parts.slice(1));
         } else {
           console.log('❌ Usage:');
-          console.log('   config mode <nodes|time>');
+          console.log('   config mode <nodes|depth|time>');
           console.log('   config nodes <number>');
+          console.log('   config depth <number>');
           console.log('   config time <base> <increment> [threads]');
         }
+      } else if (command === 'options') {
+        await listOptions();
       } else if (command === 'estatus') {
         await engineStatus();
       } else if (command === 'suggest') {
         await getSuggestion();
+      } else if (command === 'analyze') {
+        await analyzePosition(parts.slice(1));
+      } else if (command === 'sprt') {
+        await startSprt(parts.slice(1));
+      } else if (command === 'match') {
+        if (parts[1] === 'status') {
+          await matchStatus();
+        } else if (parts[1] === 'stop') {
+          await stopMatch();
+        } else {
+          await startMatch(parts.slice(1));
+        }
       } else if (command === 'play') {
         await playEngineMove();
       } else if (command === 'auto') {
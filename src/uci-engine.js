@@ -2,6 +2,44 @@ import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
 import fs from 'fs';
 import path from 'path';
+import { isRemoteLocation, RemoteEngineProcess } from './remote-engine.js';
+
+// Engine output lines kept in memory for crash debugging
+const OUTPUT_HISTORY_LINES = 200;
+
+/**
+ * spawn() command, arguments and options for an engine binary
+ * @param {string} enginePath - Path to the engine executable
+ * @param {{args?: string[], cwd?: string, env?: object}} launch - Command-line args, working directory and extra environment
+ */
+function spawnArguments(enginePath, launch = {}) {
+  const cwd = launch.cwd ? path.resolve(launch.cwd) : undefined;
+
+  return {
+    // spawn() resolves a relative command against cwd, so pin the binary to ours first
+    command: cwd ? path.resolve(enginePath) : enginePath,
+    args: launch.args || [],
+    options: {
+      cwd,
+      env: launch.env ? { ...process.env, ...launch.env } : process.env
+    }
+  };
+}
+
+/**
+ * Start an engine: a local binary through spawn(), or a tcp:// location through engine-server.js
+ * @param {string} enginePath - Path to the engine executable, or tcp://host:port
+ * @param {{args?: string[], cwd?: string, env?: object, secret?: string}} launch - Launch settings; secret is for remote engines
+ * @param {Array<string>} stdio - stdio for spawn()
+ */
+function launchEngine(enginePath, launch, stdio) {
+  if (isRemoteLocation(enginePath)) {
+    return new RemoteEngineProcess(enginePath, { secret: launch.secret });
+  }
+
+  const { command, args, options } = spawnArguments(enginePath, launch);
+  return spawn(command, args, { ...options, stdio });
+}
 
 /**
  * UCIEngine handles communication with a UCI-compatible chess engine
@@ -11,11 +49,21 @@ export class UCIEngine extends EventEmitter {
   constructor(enginePath, options = {}) {
     super();
     this.enginePath = enginePath;
+    this.protocol = 'uci';
     this.process = null;
     this.ready = false;
     this.thinking = false;
+    this.pondering = false;
+
+    // Pending "go ponder" search: { ponderHitTime, timeoutAfterHit, onBestMove, onExit, tracker, reject, timeout }
+    this.ponderSearch = null;
+
+    // Searches and option changes run one at a time through this queue
+    this.queueTail = Promise.resolve();
+    this.queuedCommands = 0;
 
-    // Engine options
+    // Engine options (args, cwd and env from the engine's profile are used when spawning,
+    // secret when enginePath is a tcp:// engine server)
     this.options = {
       threads: options.threads || 8,
       moveTime: options.moveTime || 60000, // 60 seconds
@@ -26,6 +74,23 @@ export class UCIEngine extends EventEmitter {
     // Buffer for incomplete lines
     this.outputBuffer = '';
 
+    // Last engine output lines and unexpected exits, for debugging crashes
+    this.recentOutput = [];
+    this.crashCount = 0;
+    this.lastCrash = null;
+
+    // Set by quit() so an intentional exit isn't reported as a crash
+    this.stopping = false;
+
+    // Options declared by the engine during the UCI handshake, keyed by lowercase name
+    this.engineOptions = new Map();
+
+    // Options setOptions() could not send, as { name, value, error }
+    this.skippedOptions = [];
+
+    // "id name" / "id author" from the UCI handshake
+    this.id = { name: null, author: null };
+
     // Debug log file path (default to engine-debug.log in current directory)
     this.debugLogPath = options.debugLogPath || path.join(process.cwd(), 'engine-debug.log');
 
@@ -39,6 +104,102 @@ export class UCIEngine extends EventEmitter {
     this.logDebug('='.repeat(80));
   }
 
+  /**
+   * Briefly start an engine binary and read its UCI identity
+   * Sends "uci", collects id name/author and the option count, then quits.
+   * Subclasses for other protocols override probeCommands() and parseProbeLine().
+   * Does not touch the debug log, so it is safe to call while another engine runs.
+   * @param {string} enginePath - Path to the engine executable, or tcp://host:port
+   * @param {number} [timeout=3000] - How long to wait for the handshake (uciok)
+   * @param {{args?: string[], cwd?: string, env?: object, secret?: string}} [launch] - Launch settings from the engine's profile
+   * @returns {Promise<{ok: boolean, idName: string|null, idAuthor: string|null, optionCount: number, error?: string}>}
+   */
+  static probe(enginePath, timeout = 3000, launch = {}) {
+    return new Promise((resolve) => {
+      const result = { ok: false, idName: null, idAuthor: null, optionCount: 0 };
+      let buffer = '';
+      let settled = false;
+      let child;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+
+        if (error) {
+          result.error = error;
+        } else {
+          result.ok = true;
+        }
+
+        // Ask politely, then make sure the probe process is gone
+        if (child && child.exitCode === null) {
+          try {
+            child.stdin.write('quit\n');
+          } catch (err) {
+            // stdin already closed
+          }
+          setTimeout(() => {
+            if (child.exitCode === null) child.kill();
+          }, 500);
+        }
+
+        resolve(result);
+      };
+
+      const timer = setTimeout(() => finish(`Handshake not finished within ${timeout}ms`), timeout);
+
+      try {
+        child = launchEngine(enginePath, launch, ['pipe', 'pipe', 'ignore']);
+      } catch (error) {
+        return finish(error.message);
+      }
+
+      child.on('error', (error) => finish(error.message));
+      child.on('exit', (code) => finish(`Exited during handshake (code ${code})`));
+      child.stdin.on('error', () => {}); // EPIPE if the binary exits immediately
+
+      child.stdout.on('data', (data) => {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const raw of lines) {
+          if (this.parseProbeLine(raw.trim(), result)) {
+            finish();
+          }
+        }
+      });
+
+      for (const command of this.probeCommands()) {
+        child.stdin.write(command + '\n');
+      }
+    });
+  }
+
+  /**
+   * Commands that open the handshake in probe()
+   */
+  static probeCommands() {
+    return ['uci'];
+  }
+
+  /**
+   * Read one handshake line in probe() into the result
+   * @returns {boolean} True once the handshake is complete
+   */
+  static parseProbeLine(line, result) {
+    if (line.startsWith('id name ')) {
+      result.idName = line.substring(8).trim();
+    } else if (line.startsWith('id author ')) {
+      result.idAuthor = line.substring(10).trim();
+    } else if (line.startsWith('option name ')) {
+      result.optionCount++;
+    }
+
+    return line === 'uciok';
+  }
+
   /**
    * Start the engine process
    */
@@ -46,33 +207,55 @@ export class UCIEngine extends EventEmitter {
     return new Promise((resolve, reject) => {
       console.log(`Starting engine: ${this.enginePath}`);
 
-      this.process = spawn(this.enginePath, [], {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
+      const engineProcess = launchEngine(this.enginePath, this.options, ['pipe', 'pipe', 'pipe']);
 
-      if (!this.process) {
+      if (!engineProcess) {
         return reject(new Error('Failed to start engine process'));
       }
 
+      this.process = engineProcess;
+      this.stopping = false;
+      this.outputBuffer = '';
+
       // Handle stdout
-      this.process.stdout.on('data', (data) => {
+      engineProcess.stdout.on('data', (data) => {
         this.handleOutput(data.toString());
       });
 
       // Handle stderr
-      this.process.stderr.on('data', (data) => {
+      engineProcess.stderr.on('data', (data) => {
         console.error(`Engine stderr: ${data}`);
+        for (const line of data.toString().split('\n')) {
+          if (line.trim()) {
+            this.recordOutput(`[stderr] ${line.trim()}`);
+          }
+        }
       });
 
       // Handle process exit
-      this.process.on('exit', (code) => {
+      engineProcess.on('exit', (code, signal) => {
+        // A process replaced by restart() no longer owns the engine state
+        if (this.process !== engineProcess) {
+          return;
+        }
+
         console.log(`Engine process exited with code ${code}`);
         this.ready = false;
+        this.thinking = false;
+        this.pondering = false;
         this.emit('exit', code);
+
+        if (!this.stopping) {
+          this.crashCount++;
+          this.lastCrash = { code, signal, time: new Date().toISOString() };
+          this.logDebug(`ENGINE CRASHED (code ${code}, signal ${signal})`);
+          console.error(`✗ Engine crashed (code ${code}${signal ? `, signal ${signal}` : ''})`);
+          this.emit('crash', this.lastCrash);
+        }
       });
 
       // Handle errors
-      this.process.on('error', (error) => {
+      engineProcess.on('error', (error) => {
         console.error(`Engine error: ${error}`);
         reject(error);
       });
@@ -88,19 +271,22 @@ export class UCIEngine extends EventEmitter {
   async initUCI() {
     console.log('Initializing UCI protocol...');
 
+    // Option lines arrive before uciok - start from a clean schema
+    this.engineOptions.clear();
+    this.id = { name: null, author: null };
+
     // Send UCI command
     this.send('uci');
 
     // Wait for uciok
     await this.waitForResponse('uciok', 5000);
-    console.log('✓ UCI protocol initialized');
+    console.log(`✓ UCI protocol initialized (${this.engineOptions.size} options declared)`);
 
     // Set options
     await this.setOptions();
 
     // Send isready
-    this.send('isready');
-    await this.waitForResponse('readyok', 5000);
+    await this.ping();
 
     this.ready = true;
     console.log('✓ Engine is ready');
@@ -111,24 +297,55 @@ export class UCIEngine extends EventEmitter {
    */
   async setOptions() {
     console.log('Setting engine options...');
+    this.skippedOptions = [];
 
     // Set threads
     if (this.options.threads) {
-      this.send(`setoption name Threads value ${this.options.threads}`);
-      console.log(`  Threads: ${this.options.threads}`);
+      const validation = this.validateOption('Threads', this.options.threads);
+      if (validation.valid) {
+        this.sendOption(validation.name, validation.value);
+        console.log(`  Threads: ${validation.value}`);
+      } else {
+        console.warn(`  ⚠ Skipping Threads: ${validation.error}`);
+        this.skippedOptions.push({ name: 'Threads', value: this.options.threads, error: validation.error });
+      }
     }
 
     // Set hash size if specified
     if (this.options.hash) {
-      this.send(`setoption name Hash value ${this.options.hash}`);
-      console.log(`  Hash: ${this.options.hash} MB`);
+      const validation = this.validateOption('Hash', this.options.hash);
+      if (validation.valid) {
+        this.sendOption(validation.name, validation.value);
+        console.log(`  Hash: ${validation.value} MB`);
+      } else {
+        console.warn(`  ⚠ Skipping Hash: ${validation.error}`);
+        this.skippedOptions.push({ name: 'Hash', value: this.options.hash, error: validation.error });
+      }
+    }
+
+    // Point the engine at the Syzygy tablebases (explicit uciOptions below still win)
+    if (this.options.syzygyPath) {
+      const validation = this.validateOption('SyzygyPath', this.options.syzygyPath);
+      if (validation.valid) {
+        this.sendOption(validation.name, validation.value);
+        console.log(`  SyzygyPath: ${validation.value}`);
+      } else {
+        console.warn(`  ⚠ Skipping SyzygyPath: ${validation.error}`);
+        this.skippedOptions.push({ name: 'SyzygyPath', value: this.options.syzygyPath, error: validation.error });
+      }
     }
 
     // Set any additional UCI options passed in
     if (this.options.uciOptions) {
       for (const [name, value] of Object.entries(this.options.uciOptions)) {
-        this.send(`setoption name ${name} value ${value}`);
-        console.log(`  ${name}: ${value}`);
+        const validation = this.validateOption(name, value);
+        if (!validation.valid) {
+          console.warn(`  ⚠ Skipping ${name}: ${validation.error}`);
+          this.skippedOptions.push({ name, value, error: validation.error });
+          continue;
+        }
+        this.sendOption(validation.name, validation.value);
+        console.log(`  ${validation.name}: ${validation.value}`);
       }
     }
 
@@ -136,36 +353,306 @@ export class UCIEngine extends EventEmitter {
     await new Promise(resolve => setTimeout(resolve, 100));
   }
 
+  /**
+   * Run a task once every previously queued engine command has finished
+   * @param {string} label - Description for logs
+   * @param {Function} task - Async function that talks to the engine
+   * @param {object} [hooks] - Called when the task actually runs, not when it is queued
+   * @param {Function} [hooks.onStart] - Before the task starts
+   * @param {Function} [hooks.onEnd] - After it settles, with its result (undefined if it failed)
+   * @returns {Promise<*>} Result of the task
+   */
+  enqueue(label, task, { onStart, onEnd } = {}) {
+    this.queuedCommands++;
+    if (this.queuedCommands > 1) {
+      console.log(`  ⏳ Queued: ${label} (${this.queuedCommands - 1} ahead)`);
+    }
+
+    const run = this.queueTail.then(async () => {
+      onStart?.();
+      let result;
+      try {
+        result = await task();
+        return result;
+      } finally {
+        onEnd?.(result);
+      }
+    });
+
+    // Keep the queue moving even if this task fails
+    this.queueTail = run.catch(() => {}).finally(() => {
+      this.queuedCommands--;
+    });
+
+    return run;
+  }
+
+  /**
+   * Check if a search or option change is running or queued
+   */
+  isBusy() {
+    return this.queuedCommands > 0;
+  }
+
+  /**
+   * Bring the engine back to a known idle state after a search timed out
+   * Sends stop, drains the stray bestmove, then re-syncs with isready/readyok.
+   */
+  async recoverFromTimeout() {
+    console.warn('⚠ Engine search timed out - stopping and re-syncing...');
+    this.sendStop();
+
+    try {
+      await this.waitForEvent('bestmove', 5000);
+      console.log('  ✓ Stray bestmove drained');
+    } catch (error) {
+      console.warn('  ⚠ No bestmove after stop');
+    }
+
+    try {
+      await this.ping();
+      console.log('  ✓ Engine re-synced');
+    } catch (error) {
+      // An engine that ignores isready is hung - stop sending it work
+      this.ready = false;
+      console.error('  ✗ Engine did not answer isready - marking not ready');
+      this.emit('hung');
+    }
+
+    this.thinking = false;
+    this.pondering = false;
+    this.ponderSearch = null;
+  }
+
   /**
    * Update thread count
    * @param {number} threads - Number of threads
    */
   async setThreads(threads) {
-    this.options.threads = threads;
-    this.send(`setoption name Threads value ${threads}`);
-    console.log(`  Threads updated: ${threads}`);
-    await new Promise(resolve => setTimeout(resolve, 100));
+    await this.yieldPonder(`setoption Threads ${threads}`);
+    return this.enqueue(`setoption Threads ${threads}`, async () => {
+      this.options.threads = threads;
+      this.sendOption('Threads', threads);
+      console.log(`  Threads updated: ${threads}`);
+      await new Promise(resolve => setTimeout(resolve, 100));
+    });
   }
 
   /**
    * Set a generic UCI option
-   * @param {string} name - Option name (e.g., "Hash", "Ponder", "Minimal")
-   * @param {string|number} value - Option value
+   * Validates against the options the engine declared; button options take no value.
+   * Stops a ponder search, then waits for any other running search to finish.
+   * @param {string} name - Option name (e.g., "Hash", "Ponder", "Clear Hash")
+   * @param {string|number|boolean} [value] - Option value
+   * @returns {Promise<{name: string, value: string|number|boolean|null}>}
    */
   async setUCIOption(name, value) {
-    this.send(`setoption name ${name} value ${value}`);
-    console.log(`  UCI Option set: ${name} = ${value}`);
+    await this.yieldPonder(`setoption ${name}`);
+    return this.enqueue(`setoption ${name}`, async () => {
+      const applied = await this.applyOption(name, value);
+
+      // Remember it so restart() re-applies the same settings
+      if (applied.value !== null) {
+        this.options.uciOptions = { ...this.options.uciOptions, [applied.name]: applied.value };
+      }
+
+      return applied;
+    });
+  }
+
+  /**
+   * Validate and send an option immediately (callers must already hold the queue)
+   */
+  async applyOption(name, value) {
+    const validation = this.validateOption(name, value);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    this.sendOption(validation.name, validation.value);
+    if (validation.value === null) {
+      console.log(`  UCI Option triggered: ${validation.name}`);
+    } else {
+      console.log(`  UCI Option set: ${validation.name} = ${validation.value}`);
+    }
     await new Promise(resolve => setTimeout(resolve, 100));
+
+    return { name: validation.name, value: validation.value };
+  }
+
+  /**
+   * Send a setoption command (value omitted for button options)
+   */
+  sendOption(name, value) {
+    if (value === null || value === undefined) {
+      this.send(`setoption name ${name}`);
+    } else {
+      this.send(`setoption name ${name} value ${value}`);
+    }
+  }
+
+  /**
+   * Parse an "option name ... type ..." line from the UCI handshake
+   * @param {string} line - Raw option line
+   * @returns {object|null} Typed option descriptor, or null if malformed
+   */
+  parseOption(line) {
+    const match = line.match(/^option name (.+?) type (\S+)(.*)$/);
+    if (!match) return null;
+
+    const option = { name: match[1].trim(), type: match[2].toLowerCase() };
+    const vars = [];
+    const fields = {};
+
+    // Values may contain spaces, so collect tokens until the next keyword
+    let key = null;
+    let tokens = [];
+    const flush = () => {
+      if (!key) return;
+      const value = tokens.join(' ');
+      if (key === 'var') vars.push(value);
+      else fields[key] = value;
+    };
+
+    for (const token of match[3].trim().split(/\s+/).filter(t => t.length > 0)) {
+      if (['default', 'min', 'max', 'var'].includes(token)) {
+        flush();
+        key = token;
+        tokens = [];
+      } else {
+        tokens.push(token);
+      }
+    }
+    flush();
+
+    switch (option.type) {
+      case 'spin':
+        option.default = parseInt(fields.default);
+        option.min = parseInt(fields.min);
+        option.max = parseInt(fields.max);
+        break;
+      case 'check':
+        option.default = fields.default === 'true';
+        break;
+      case 'combo':
+        option.default = fields.default;
+        option.vars = vars;
+        break;
+      case 'string':
+        option.default = fields.default === '<empty>' ? '' : (fields.default || '');
+        break;
+      case 'button':
+        break;
+      default:
+        return null;
+    }
+
+    return option;
+  }
+
+  /**
+   * Get the option schema the engine declared
+   * @returns {object[]}
+   */
+  getOptions() {
+    return Array.from(this.engineOptions.values());
+  }
+
+  /**
+   * Validate a value against the engine's declared option schema
+   * Engines that declare no options are trusted as before.
+   * @param {string} name - Option name (case-insensitive)
+   * @param {*} value - Requested value
+   * @returns {{valid: boolean, error?: string, name?: string, value?: *}}
+   */
+  validateOption(name, value) {
+    if (this.engineOptions.size === 0) {
+      return { valid: true, name, value: value === undefined ? null : value };
+    }
+
+    const option = this.engineOptions.get(String(name).toLowerCase());
+    if (!option) {
+      return { valid: false, error: `Unknown UCI option "${name}"` };
+    }
+
+    switch (option.type) {
+      case 'button':
+        if (value !== undefined && value !== null && value !== '') {
+          return { valid: false, error: `Option "${option.name}" is a button and takes no value` };
+        }
+        return { valid: true, name: option.name, value: null };
+
+      case 'spin': {
+        const number = Number(value);
+        if (value === undefined || value === null || value === '' || !Number.isInteger(number)) {
+          return { valid: false, error: `Option "${option.name}" requires an integer value` };
+        }
+        if ((!isNaN(option.min) && number < option.min) || (!isNaN(option.max) && number > option.max)) {
+          return { valid: false, error: `Option "${option.name}" must be between ${option.min} and ${option.max} (got ${number})` };
+        }
+        return { valid: true, name: option.name, value: number };
+      }
+
+      case 'check': {
+        const text = String(value).toLowerCase();
+        if (text !== 'true' && text !== 'false') {
+          return { valid: false, error: `Option "${option.name}" must be true or false` };
+        }
+        return { valid: true, name: option.name, value: text === 'true' };
+      }
+
+      case 'combo': {
+        const choice = option.vars.find(v => v.toLowerCase() === String(value).toLowerCase());
+        if (!choice) {
+          return { valid: false, error: `Option "${option.name}" must be one of: ${option.vars.join(', ')}` };
+        }
+        return { valid: true, name: option.name, value: choice };
+      }
+
+      case 'string':
+        if (value === undefined || value === null) {
+          return { valid: false, error: `Option "${option.name}" requires a value` };
+        }
+        return { valid: true, name: option.name, value: String(value) === '' ? '<empty>' : String(value) };
+
+      default:
+        return { valid: false, error: `Option "${option.name}" has unsupported type ${option.type}` };
+    }
   }
 
   /**
    * Start a new game
    */
-  newGame() {
-    console.log('Starting new game...');
+  async newGame() {
+    await this.yieldPonder('ucinewgame');
+    return this.enqueue('ucinewgame', () => {
+      console.log('Starting new game...');
+      this.sendNewGame();
+      return this.ping();
+    });
+  }
+
+  /**
+   * Tell the engine a new game starts
+   */
+  sendNewGame() {
     this.send('ucinewgame');
+  }
+
+  /**
+   * Wait until the engine has processed everything sent so far
+   * @param {number} [timeout=5000] - Rejects if the engine doesn't answer in time
+   */
+  async ping(timeout = 5000) {
     this.send('isready');
-    return this.waitForResponse('readyok', 5000);
+    await this.waitForResponse('readyok', timeout);
+  }
+
+  /**
+   * Ask the engine to end its search now and report its best move
+   */
+  sendStop() {
+    this.send('stop');
   }
 
   /**
@@ -192,144 +679,372 @@ export class UCIEngine extends EventEmitter {
   }
 
   /**
-   * Calculate best move with time control
-   * @param {number} wtime - White's remaining time in ms
-   * @param {number} btime - Black's remaining time in ms
-   * @param {number} winc - White's increment in ms
-   * @param {number} binc - Black's increment in ms
-   * @returns {Promise<{move: string, ponder: string, timeUsed: number}>}
+   * Build a "go" command from search limits
+   * Without any limit the engine searches for options.moveTime.
+   * @param {object} limits - See search()
+   * @returns {string}
    */
-  async go(wtime, btime, winc, binc) {
+  buildGoCommand(limits = {}) {
+    let command = 'go';
+
+    if (limits.ponder) command += ' ponder';
+
+    for (const key of ['wtime', 'btime', 'winc', 'binc', 'movestogo', 'depth', 'nodes', 'mate', 'movetime']) {
+      if (limits[key] !== undefined && limits[key] !== null) {
+        command += ` ${key} ${limits[key]}`;
+      }
+    }
+
+    if (limits.infinite) {
+      command += ' infinite';
+    } else if (!['wtime', 'btime', 'depth', 'nodes', 'mate', 'movetime'].some(key => limits[key] !== undefined && limits[key] !== null)) {
+      command += ` movetime ${this.options.moveTime}`;
+    }
+
+    // Engines read every token after "searchmoves" as a move, so it must come last
+    if (limits.searchmoves && limits.searchmoves.length > 0) {
+      command += ` searchmoves ${limits.searchmoves.join(' ')}`;
+    }
+
+    return command;
+  }
+
+  /**
+   * Derive how long to wait for bestmove from the search limits
+   * @param {object} limits - See search()
+   * @returns {number|null} Timeout in ms, or null for infinite searches
+   */
+  searchTimeout(limits = {}) {
+    if (limits.infinite) return null;
+
+    const caps = [];
+    if (limits.movetime) caps.push(limits.movetime + 10000); // Add 10s buffer
+    if (limits.wtime !== undefined || limits.btime !== undefined) {
+      // The engine never spends more than its remaining clock
+      caps.push(Math.max(limits.wtime || 0, limits.btime || 0) + 10000);
+    }
+    if (caps.length > 0) return Math.min(...caps);
+
+    // Depth, node and mate searches have no natural bound
+    if (limits.depth !== undefined || limits.nodes !== undefined || limits.mate !== undefined) {
+      return 300000; // 5 minutes max
+    }
+
+    return this.options.moveTime + 10000;
+  }
+
+  /**
+   * Search a position
+   * Limits can be combined, e.g. { nodes: 1000000, movetime: 5000 } stops at whichever comes first.
+   * Searches are queued, so pass the position here rather than calling setPosition() separately.
+   * @param {object} limits - Search limits
+   * @param {number} [limits.depth] - Depth limit
+   * @param {number} [limits.nodes] - Node limit
+   * @param {number} [limits.movetime] - Time limit in milliseconds
+   * @param {number} [limits.mate] - Search for a mate in this many moves
+   * @param {number} [limits.wtime] - White's remaining time in ms
+   * @param {number} [limits.btime] - Black's remaining time in ms
+   * @param {number} [limits.winc] - White's increment in ms
+   * @param {number} [limits.binc] - Black's increment in ms
+   * @param {number} [limits.movestogo] - Moves until the next time control
+   * @param {string[]} [limits.searchmoves] - Restrict the search to these UCI moves
+   * @param {boolean} [limits.infinite] - Search until stop() is called
+   * @param {{fen: string, moves: string[]}} [position] - Position to send right before "go"
+   * @param {object} [hooks] - onStart/onEnd around the search itself (see enqueue())
+   * @returns {Promise<{move: string, ponder: string, timeUsed: number, info: object|null}>}
+   *   info is the last exact-score main line (see parseInfo())
+   */
+  async search(limits = {}, position = null, hooks = {}) {
+    return this.enqueue(this.buildGoCommand(limits), () => this.runSearch(limits, position), hooks);
+  }
+
+  /**
+   * Send position + go and wait for bestmove (callers must already hold the queue)
+   * On timeout the engine is stopped and re-synced before the promise rejects.
+   */
+  runSearch(limits, position) {
     return new Promise((resolve, reject) => {
+      if (position) {
+        this.setPosition(position.fen, position.moves);
+      }
+
       this.thinking = true;
       const startTime = Date.now();
-
-      // Build go command
-      let command = 'go';
-      if (wtime !== undefined && btime !== undefined) {
-        command += ` wtime ${wtime} btime ${btime}`;
-        if (winc !== undefined && binc !== undefined) {
-          command += ` winc ${winc} binc ${binc}`;
-        }
-      } else {
-        // Use movetime if no time control specified
-        command += ` movetime ${this.options.moveTime}`;
-      }
+      const command = this.buildGoCommand(limits);
 
       console.log(`Engine thinking: ${command}`);
 
+      const tracker = this.trackFinalInfo();
+
       // Listen for bestmove
       const onBestMove = (line) => {
-        if (line.startsWith('bestmove')) {
-          this.thinking = false;
-          const endTime = Date.now();
-          const timeUsed = endTime - startTime;
+        clearTimeout(timeout);
+        this.removeListener('exit', onExit);
+        this.removeListener('searchError', onSearchError);
+        tracker.stop();
+        this.thinking = false;
+        const timeUsed = Date.now() - startTime;
 
-          const parts = line.split(' ');
-          const move = parts[1];
-          const ponder = parts[3]; // May be undefined
+        const parts = line.split(' ');
+        const move = parts[1];
+        const ponder = parts[3]; // May be undefined
 
-          console.log(`✓ Engine suggests: ${move} (took ${timeUsed}ms)`);
+        console.log(`✓ Engine suggests: ${move} (took ${timeUsed}ms)`);
 
-          resolve({ move, ponder, timeUsed });
-        }
+        resolve({ move, ponder, timeUsed, info: tracker.info });
+      };
+
+      // A dead engine will never answer - fail now instead of at the timeout
+      const onExit = (code) => {
+        clearTimeout(timeout);
+        this.removeListener('bestmove', onBestMove);
+        this.removeListener('searchError', onSearchError);
+        tracker.stop();
+        reject(new Error(`Engine exited during search (code ${code})`));
+      };
+
+      // Protocol adapters report a search they can no longer finish (see XBoardEngine)
+      const onSearchError = (error) => {
+        clearTimeout(timeout);
+        this.removeListener('bestmove', onBestMove);
+        this.removeListener('exit', onExit);
+        tracker.stop();
+        this.thinking = false;
+        reject(error);
       };
 
-      // Set up listener
       this.once('bestmove', onBestMove);
+      this.once('exit', onExit);
+      this.once('searchError', onSearchError);
 
       // Send go command
       this.send(command);
 
       // Set timeout
-      const timeout = setTimeout(() => {
+      const timeoutMs = this.searchTimeout(limits);
+      const timeout = timeoutMs === null ? null : setTimeout(async () => {
         this.removeListener('bestmove', onBestMove);
-        this.thinking = false;
+        this.removeListener('exit', onExit);
+        this.removeListener('searchError', onSearchError);
+        tracker.stop();
+        await this.recoverFromTimeout();
         reject(new Error('Timeout waiting for engine move'));
-      }, this.options.moveTime + 10000); // Add 10s buffer
-
-      // Clear timeout when we get response
-      this.once('bestmove', () => clearTimeout(timeout));
+      }, timeoutMs);
     });
   }
 
   /**
-   * Get best move with simple movetime
-   * @param {number} moveTime - Time in milliseconds
+   * Follow a search's info lines and keep its last exact-score main line
+   * Fail-high/fail-low lines are skipped since their score is only a bound.
+   * @returns {{info: object|null, stop: Function}}
    */
-  async goMovetime(moveTime = this.options.moveTime) {
-    return new Promise((resolve, reject) => {
-      this.thinking = true;
+  trackFinalInfo() {
+    const tracker = { info: null };
+    const onSearchInfo = (info) => {
+      if (info.pv && info.bound === 'exact' && (info.multipv || 1) === 1) {
+        tracker.info = info;
+      }
+    };
 
-      console.log(`Engine thinking (${moveTime}ms)...`);
+    this.on('searchInfo', onSearchInfo);
+    tracker.stop = () => this.removeListener('searchInfo', onSearchInfo);
+    return tracker;
+  }
+
+  /**
+   * Start pondering on the expected reply
+   * The position must include the ponder move. The promise resolves with the
+   * engine's bestmove once ponderhit() or stopPonder() ends the ponder phase.
+   * @param {object} limits - Limits for the real search (see search())
+   * @param {{fen: string, moves: string[]}} [position] - Position including the ponder move
+   * @returns {Promise<{move: string, ponder: string, timeUsed: number, ponderHit: boolean, info: object|null}>}
+   */
+  goPonder(limits = {}, position = null) {
+    const timeoutAfterHit = this.searchTimeout(limits) || 300000;
+    // The opponent moves within their own clock, which the same bound covers
+    const timeoutBeforeHit = timeoutAfterHit;
+
+    return this.enqueue('go ponder', () => new Promise((resolve, reject) => {
+      if (position) {
+        this.setPosition(position.fen, position.moves);
+      }
+
+      this.thinking = true;
+      this.pondering = true;
+      const startTime = Date.now();
+      const tracker = this.trackFinalInfo();
 
-      // Listen for bestmove
       const onBestMove = (line) => {
-        if (line.startsWith('bestmove')) {
-          this.thinking = false;
+        const search = this.ponderSearch;
+        clearTimeout(search?.timeout);
+        this.removeListener('exit', onExit);
+        tracker.stop();
+        this.ponderSearch = null;
+        this.thinking = false;
+        this.pondering = false;
 
-          const parts = line.split(' ');
-          const move = parts[1];
-          const ponder = parts[3];
+        const parts = line.split(' ');
+        const move = parts[1];
+        const ponder = parts[3];
 
-          console.log(`✓ Engine suggests: ${move}`);
+        // Our clock only starts running at ponderhit
+        const ponderHitTime = search?.ponderHitTime;
+        const timeUsed = Date.now() - (ponderHitTime || startTime);
 
-          resolve({ move, ponder });
-        }
+        console.log(`✓ Ponder search finished: ${move} (${ponderHitTime ? `${timeUsed}ms after ponderhit` : 'stopped'})`);
+
+        resolve({ move, ponder, timeUsed, ponderHit: !!ponderHitTime, info: tracker.info });
+      };
+
+      const onExit = (code) => {
+        clearTimeout(this.ponderSearch?.timeout);
+        this.removeListener('bestmove', onBestMove);
+        tracker.stop();
+        this.ponderSearch = null;
+        reject(new Error(`Engine exited during ponder search (code ${code})`));
       };
 
+      this.ponderSearch = { ponderHitTime: null, timeoutAfterHit, onBestMove, onExit, tracker, reject, timeout: null };
       this.once('bestmove', onBestMove);
-      this.send(`go movetime ${moveTime}`);
+      this.once('exit', onExit);
 
-      // Set timeout
-      const timeout = setTimeout(() => {
+      // An engine that hangs while pondering would otherwise hold the queue forever
+      const search = this.ponderSearch;
+      search.timeout = setTimeout(async () => {
         this.removeListener('bestmove', onBestMove);
-        this.thinking = false;
-        reject(new Error('Timeout waiting for engine move'));
-      }, moveTime + 10000);
+        this.removeListener('exit', onExit);
+        tracker.stop();
+        await this.recoverFromTimeout();
+        reject(new Error('Timeout while pondering (no ponderhit or stop)'));
+      }, timeoutBeforeHit);
+
+      const command = this.buildGoCommand({ ...limits, ponder: true });
+      console.log(`Engine pondering: ${command}`);
+      this.send(command);
+    }));
+  }
+
+  /**
+   * The opponent played the expected move - switch the ponder search to a normal search
+   * @returns {boolean} True if a ponder search was running
+   */
+  ponderhit() {
+    if (!this.pondering || !this.ponderSearch) {
+      return false;
+    }
+
+    const search = this.ponderSearch;
+    search.ponderHitTime = Date.now();
+    this.pondering = false;
+    this.send('ponderhit');
+
+    clearTimeout(search.timeout);
+    search.timeout = setTimeout(async () => {
+      this.removeListener('bestmove', search.onBestMove);
+      this.removeListener('exit', search.onExit);
+      search.tracker.stop();
+      await this.recoverFromTimeout();
+      search.reject(new Error('Timeout waiting for engine move after ponderhit'));
+    }, search.timeoutAfterHit);
+
+    return true;
+  }
+
+  /**
+   * Stop a ponder search before a queued command would wait behind it until the
+   * opponent moves; the ponder promise resolves as stopped and ponderhit() reports false
+   */
+  async yieldPonder(label) {
+    if (!this.pondering || !this.ponderSearch) {
+      return;
+    }
 
-      this.once('bestmove', () => clearTimeout(timeout));
+    console.log(`  ⏹ Stopping ponder search for ${label}`);
+    await this.stopPonder();
+  }
+
+  /**
+   * Abandon the ponder search (the opponent played something else)
+   * Waits for the engine's bestmove so it cannot be mistaken for the next search's result.
+   */
+  async stopPonder() {
+    if (!this.ponderSearch) {
+      return;
+    }
+
+    const finished = new Promise((resolve) => {
+      const timer = setTimeout(resolve, 5000);
+      this.once('bestmove', () => {
+        clearTimeout(timer);
+        resolve();
+      });
     });
+
+    this.sendStop();
+    await finished;
   }
 
   /**
-   * Get best move with node limit
-   * @param {number} nodes - Number of nodes to search
-   * @returns {Promise<{move: string, ponder: string}>}
+   * Analyze the current position and return the top candidate lines
+   * @param {object} limits - Search limits (see search())
+   * @param {number} [limits.multipv=1] - Number of candidate lines
+   * @param {{fen: string, moves: string[]}} [position] - Position to analyze
+   * @param {object} [hooks] - onStart/onEnd around the analysis itself (see enqueue())
+   * @returns {Promise<{move: string, ponder: string, timeUsed: number, lines: object[], depth: number}>}
    */
-  async goNodes(nodes) {
-    return new Promise((resolve, reject) => {
-      this.thinking = true;
+  async analyze(limits = {}, position = null, hooks = {}) {
+    return this.enqueue(`analyze multipv ${limits.multipv || 1}`, () => this.runAnalysis(limits, position), hooks);
+  }
 
-      console.log(`Engine thinking (nodes: ${nodes})...`);
+  /**
+   * MultiPV search body of analyze() (callers must already hold the queue)
+   */
+  async runAnalysis(limits, position) {
+    const { multipv = 1, ...searchLimits } = limits;
 
-      // Listen for bestmove
-      const onBestMove = (line) => {
-        if (line.startsWith('bestmove')) {
-          this.thinking = false;
+    // Candidate lines require the engine's MultiPV option
+    if (multipv > 1) {
+      await this.applyOption('MultiPV', multipv);
+    }
 
-          const parts = line.split(' ');
-          const move = parts[1];
-          const ponder = parts[3];
+    // depth -> (multipv index -> latest info at that depth)
+    const byDepth = new Map();
 
-          console.log(`✓ Engine suggests: ${move}`);
+    const onSearchInfo = (info) => {
+      if (info.depth === undefined || !info.pv || info.pv.length === 0) return;
+      // A fail-high/fail-low score is only a bound - keep the last exact line instead
+      if (info.bound !== 'exact') return;
+      if (!byDepth.has(info.depth)) byDepth.set(info.depth, new Map());
+      byDepth.get(info.depth).set(info.multipv || 1, info);
+    };
 
-          resolve({ move, ponder });
-        }
-      };
+    this.on('searchInfo', onSearchInfo);
+    console.log(`Engine analyzing (multipv ${multipv})...`);
 
-      this.once('bestmove', onBestMove);
-      this.send(`go nodes ${nodes}`);
+    try {
+      const { move, ponder, timeUsed } = await this.runSearch(searchLimits, position);
 
-      // Set timeout (generous timeout for node-limited search)
-      const timeout = setTimeout(() => {
-        this.removeListener('bestmove', onBestMove);
-        this.thinking = false;
-        reject(new Error('Timeout waiting for engine move'));
-      }, 300000); // 5 minutes max
+      // Report the deepest iteration in which every candidate line was completed
+      const widest = Math.max(0, ...Array.from(byDepth.values()).map(group => group.size));
+      const completeDepths = Array.from(byDepth.keys()).filter(d => byDepth.get(d).size === widest);
+      const depth = completeDepths.length > 0 ? Math.max(...completeDepths) : 0;
+      const lines = depth > 0
+        ? Array.from(byDepth.get(depth).entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([rank, info]) => ({ rank, ...info }))
+        : [];
 
-      this.once('bestmove', () => clearTimeout(timeout));
-    });
+      console.log(`✓ Analysis complete: ${lines.length} line(s) at depth ${depth}, best ${move}`);
+
+      return { move, ponder, timeUsed, lines, depth };
+    } finally {
+      this.removeListener('searchInfo', onSearchInfo);
+
+      // Back to a single line so regular searches are not slowed down
+      if (multipv > 1 && this.isReady()) {
+        await this.applyOption('MultiPV', 1);
+      }
+    }
   }
 
   /**
@@ -337,16 +1052,50 @@ export class UCIEngine extends EventEmitter {
    */
   stop() {
     if (this.thinking) {
-      this.send('stop');
+      this.sendStop();
       this.thinking = false;
     }
   }
 
+  /**
+   * Replace a crashed or hung engine process with a fresh one
+   * Reuses the same binary, threads, hash and UCI options, then replays
+   * ucinewgame and the given position. Queued like any other command.
+   * @param {{fen: string, moves: string[]}} [position] - Position to restore
+   */
+  async restart(position = null) {
+    return this.enqueue('restart', async () => {
+      console.log(`Restarting engine: ${this.enginePath}`);
+      this.logDebug(`RESTART - ${new Date().toISOString()}`);
+
+      const oldProcess = this.process;
+      this.process = null;
+      this.ready = false;
+      this.thinking = false;
+      this.pondering = false;
+      this.ponderSearch = null;
+
+      if (oldProcess && oldProcess.exitCode === null) {
+        oldProcess.kill();
+      }
+
+      await this.start();
+
+      this.sendNewGame();
+      await this.ping();
+
+      if (position) {
+        this.setPosition(position.fen, position.moves);
+      }
+    });
+  }
+
   /**
    * Quit engine
    */
   async quit() {
     if (this.process) {
+      this.stopping = true;
       this.send('quit');
 
       // Wait for process to exit
@@ -382,13 +1131,20 @@ export class UCIEngine extends EventEmitter {
     this.logDebug(`→ ${command}`);
 
     // Only show key commands in console
-    if (!command.startsWith('setoption') && !command.startsWith('isready')) {
+    if (!this.isQuietCommand(command)) {
       console.log(`→ ${command}`);
     }
 
     this.process.stdin.write(command + '\n');
   }
 
+  /**
+   * Commands sent too often to echo on the console
+   */
+  isQuietCommand(command) {
+    return command.startsWith('setoption') || command.startsWith('isready');
+  }
+
   /**
    * Write to debug log file with timestamp
    */
@@ -417,18 +1173,30 @@ export class UCIEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Keep a line in the in-memory output history
+   */
+  recordOutput(line) {
+    this.recentOutput.push(line);
+    if (this.recentOutput.length > OUTPUT_HISTORY_LINES) {
+      this.recentOutput.shift();
+    }
+  }
+
   /**
    * Process a single line of output
    */
   processLine(line) {
     // Always log to debug file
     this.logDebug(`← ${line}`);
+    this.recordOutput(line);
 
     // Filter console output to only show important lines
     const shouldShowInConsole =
       line.startsWith('bestmove') ||
       line === 'uciok' ||
       line === 'readyok' ||
+      line.startsWith('info string') ||
       (line.startsWith('info') && (
         line.includes('depth') && line.includes('score') && line.includes('pv') ||
         line.includes('mate')
@@ -444,6 +1212,15 @@ export class UCIEngine extends EventEmitter {
     } else if (line.startsWith('info')) {
       this.emit('info', line);
       this.parseInfo(line);
+    } else if (line.startsWith('option ')) {
+      const option = this.parseOption(line);
+      if (option) {
+        this.engineOptions.set(option.name.toLowerCase(), option);
+      }
+    } else if (line.startsWith('id name ')) {
+      this.id.name = line.substring(8).trim();
+    } else if (line.startsWith('id author ')) {
+      this.id.author = line.substring(10).trim();
     } else if (line === 'uciok') {
       this.emit('uciok');
     } else if (line === 'readyok') {
@@ -455,38 +1232,79 @@ export class UCIEngine extends EventEmitter {
   }
 
   /**
-   * Parse info line for useful information
+   * Parse an info line into a structured object and emit 'searchInfo'
+   *
+   * Fields (present only when the engine sent them): depth, seldepth, time, nodes,
+   * nps, hashfull (per mille), tbhits, multipv, currmove, currmovenumber, cpuload,
+   * score (cp) or mate, bound ('exact', 'lower' or 'upper' whenever a score is given),
+   * wdl ({ win, draw, loss } per mille), pv (UCI moves) and string (free-form text).
    */
   parseInfo(line) {
-    const info = {};
-
-    // Extract depth
-    const depthMatch = line.match(/depth (\d+)/);
-    if (depthMatch) info.depth = parseInt(depthMatch[1]);
-
-    // Extract score
-    const scoreMatch = line.match(/score cp (-?\d+)/);
-    if (scoreMatch) info.score = parseInt(scoreMatch[1]);
-
-    const mateMatch = line.match(/score mate (-?\d+)/);
-    if (mateMatch) info.mate = parseInt(mateMatch[1]);
-
-    // Extract PV
-    const pvMatch = line.match(/pv (.+)$/);
-    if (pvMatch) info.pv = pvMatch[1].split(' ');
-
-    // Extract time and nodes
-    const timeMatch = line.match(/time (\d+)/);
-    if (timeMatch) info.time = parseInt(timeMatch[1]);
-
-    const nodesMatch = line.match(/nodes (\d+)/);
-    if (nodesMatch) info.nodes = parseInt(nodesMatch[1]);
+    const info = this.parseInfoLine(line);
 
     if (Object.keys(info).length > 0) {
       this.emit('searchInfo', info);
     }
   }
 
+  /**
+   * Tokenize an info line (see parseInfo() for the fields)
+   */
+  parseInfoLine(line) {
+    const tokens = line.trim().split(/\s+/).slice(1);
+    const info = {};
+    const integerFields = ['depth', 'seldepth', 'time', 'nodes', 'nps', 'hashfull', 'tbhits', 'multipv', 'currmovenumber', 'cpuload'];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (integerFields.includes(token)) {
+        const value = parseInt(tokens[i + 1]);
+        if (!isNaN(value)) info[token] = value;
+        i++;
+      } else if (token === 'currmove') {
+        info.currmove = tokens[++i];
+      } else if (token === 'score') {
+        info.bound = 'exact';
+
+        // "score cp 31", "score mate -3", optionally followed by lowerbound/upperbound
+        while (i + 1 < tokens.length) {
+          const part = tokens[i + 1];
+          if (part === 'cp' || part === 'mate') {
+            const value = parseInt(tokens[i + 2]);
+            if (!isNaN(value)) info[part === 'cp' ? 'score' : 'mate'] = value;
+            i += 2;
+          } else if (part === 'lowerbound') {
+            info.bound = 'lower';
+            i++;
+          } else if (part === 'upperbound') {
+            info.bound = 'upper';
+            i++;
+          } else {
+            break;
+          }
+        }
+      } else if (token === 'wdl') {
+        const [win, draw, loss] = tokens.slice(i + 1, i + 4).map(n => parseInt(n));
+        if (![win, draw, loss].some(isNaN)) info.wdl = { win, draw, loss };
+        i += 3;
+      } else if (token === 'pv') {
+        // pv runs to the end of the line
+        info.pv = tokens.slice(i + 1);
+        break;
+      } else if (token === 'string') {
+        // So does free-form text
+        info.string = tokens.slice(i + 1).join(' ');
+        break;
+      } else if (token === 'refutation' || token === 'currline') {
+        // Move lists we don't use; they also run to the end of the line
+        break;
+      }
+    }
+
+    return info;
+  }
+
   /**
    * Wait for specific response from engine
    */
@@ -509,6 +1327,25 @@ export class UCIEngine extends EventEmitter {
     });
   }
 
+  /**
+   * Wait for the next emission of an event
+   */
+  waitForEvent(event, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.removeListener(event, handler);
+        reject(new Error(`Timeout waiting for: ${event}`));
+      }, timeout);
+
+      const handler = (value) => {
+        clearTimeout(timer);
+        resolve(value);
+      };
+
+      this.once(event, handler);
+    });
+  }
+
   /**
    * Check if engine is ready
    */
@@ -0,0 +1,614 @@
+import { Chess } from 'chess.js';
+import { UCIEngine } from './uci-engine.js';
+
+// Protocol 2 engines announce features within 2 seconds; done=0 asks for more startup time
+const FEATURE_TIMEOUT = 2000;
+const STARTUP_TIMEOUT = 60000;
+
+// Feature values until the engine says otherwise (protocol 2 defaults, except nps - see sendControls())
+const DEFAULT_FEATURES = {
+  ping: '0',
+  setboard: '0',
+  san: '0',
+  usermove: '0',
+  time: '1',
+  nps: '0',
+  memory: '0',
+  smp: '0',
+  egt: '',
+  variants: 'normal'
+};
+
+// Features we either use or can safely ignore; anything else gets "rejected"
+const ACCEPTED_FEATURES = new Set([
+  'ping', 'setboard', 'playother', 'san', 'usermove', 'time', 'draw', 'sigint', 'sigterm', 'reuse',
+  'analyze', 'myname', 'variants', 'colors', 'ics', 'name', 'pause', 'nps', 'debug', 'memory', 'smp',
+  'egt', 'option', 'done'
+]);
+
+// Commands that would flood the console (they still go to the debug log)
+const QUIET_COMMANDS = ['accepted', 'rejected', 'ping', 'option', 'time', 'otim', 'force'];
+
+/**
+ * Split a "feature" line into [name, value] pairs (option= may appear several times)
+ */
+function parseFeatures(line) {
+  const features = [];
+  for (const match of line.substring('feature '.length).matchAll(/(\w+)=(?:"([^"]*)"|(\S+))/g)) {
+    features.push([match[1], match[2] ?? match[3]]);
+  }
+  return features;
+}
+
+/**
+ * Turn a feature option="Name -type ..." into the option descriptor UCIEngine uses
+ * @returns {object|null} Descriptor, or null if the option is malformed
+ */
+function parseXboardOption(text) {
+  const match = text.match(/^(.+?)\s+-(button|save|reset|check|string|file|path|spin|slider|combo)(?:\s+(.*))?$/);
+  if (!match) return null;
+
+  const [, name, kind, rest = ''] = match;
+
+  switch (kind) {
+    case 'button':
+    case 'save':
+    case 'reset':
+      return { name, type: 'button' };
+    case 'check':
+      return { name, type: 'check', default: rest.trim() === '1' };
+    case 'string':
+    case 'file':
+    case 'path':
+      return { name, type: 'string', default: rest };
+    case 'spin':
+    case 'slider': {
+      const [value, min, max] = rest.trim().split(/\s+/).map(n => parseInt(n));
+      return { name, type: 'spin', default: value, min, max };
+    }
+    case 'combo': {
+      // Choices are separated by "///", the default is marked with "*"
+      const choices = rest.split('///').map(choice => choice.trim());
+      const marked = choices.find(choice => choice.startsWith('*'));
+      const vars = choices.map(choice => choice.replace(/^\*/, ''));
+      return { name, type: 'combo', default: marked ? marked.substring(1) : vars[0], vars };
+    }
+  }
+}
+
+/**
+ * Play a move given by the engine (coordinate or SAN) on a board
+ * @returns {string|null} The move in UCI notation, or null if it isn't legal there
+ */
+function playEngineMove(chess, text) {
+  const coordinate = text.match(/^([a-h][1-8])-?([a-h][1-8])=?([qrbnQRBN])?$/);
+
+  try {
+    const move = coordinate
+      ? chess.move({ from: coordinate[1], to: coordinate[2], promotion: coordinate[3]?.toLowerCase() })
+      : chess.move(text.replace(/^0-0-0/, 'O-O-O').replace(/^0-0/, 'O-O'));
+    return move.from + move.to + (move.promotion || '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * "min:sec" (or whole minutes) for the level command
+ */
+function formatLevelTime(ms) {
+  const seconds = Math.max(1, Math.round(ms / 1000));
+  const rest = seconds % 60;
+  return rest === 0 ? String(seconds / 60) : `${Math.floor(seconds / 60)}:${String(rest).padStart(2, '0')}`;
+}
+
+/**
+ * XboardEngine drives a CECP (WinBoard/xboard protocol 2) engine behind the UCIEngine interface
+ *
+ * Callers keep using UCI notation: positions and limits are translated into setboard, usermove,
+ * sd/st/level and clock commands, and "move" replies and thinking output come back as UCI moves
+ * through the same 'bestmove' and 'searchInfo' events. Pondering and MultiPV are not supported.
+ */
+export class XboardEngine extends UCIEngine {
+  constructor(enginePath, options = {}) {
+    super(enginePath, options);
+    this.protocol = 'xboard';
+
+    // Features the engine announced during protover 2 negotiation
+    this.features = { ...DEFAULT_FEATURES };
+    this.pingCounter = 0;
+
+    // Mirror of the engine's board: { fen, moves, chess }, null when it must be set up from scratch
+    this.game = null;
+
+    // sd/st/level/nps controls sent since the last "new": { key, depth, nodes }
+    this.controls = null;
+
+    // The running search, so a desync can set the board up again: { limits, position, resynced }
+    this.activeSearch = null;
+
+    // Node limits fall back to st on engines without nps; warn about that once
+    this.warnedNoNodes = false;
+  }
+
+  static probeCommands() {
+    return ['xboard', 'protover 2'];
+  }
+
+  static parseProbeLine(line, result) {
+    if (!line.startsWith('feature ')) return false;
+
+    let done = false;
+    for (const [name, value] of parseFeatures(line)) {
+      if (name === 'myname') {
+        result.idName = value;
+      } else if (name === 'option') {
+        result.optionCount++;
+      } else if (name === 'done' && value === '1') {
+        done = true;
+      }
+    }
+
+    return done;
+  }
+
+  /**
+   * xboard handshake in place of the UCI one (called by start())
+   * Engines that never answer protover 2 are run with protocol 1 defaults.
+   */
+  async initUCI() {
+    console.log('Initializing xboard protocol...');
+
+    this.engineOptions.clear();
+    this.id = { name: null, author: null };
+    this.features = { ...DEFAULT_FEATURES };
+
+    const negotiated = this.waitForFeatures();
+    this.send('xboard');
+    this.send('protover 2');
+
+    if (await negotiated) {
+      console.log(`✓ xboard protocol 2 initialized (${this.engineOptions.size} options declared)`);
+    } else {
+      console.log('✓ xboard protocol initialized (no feature reply, assuming protocol 1)');
+    }
+
+    await this.setOptions();
+
+    // Thinking output on, no pondering, and the engine plays neither side until "go"
+    this.send('post');
+    this.send('easy');
+    this.sendNewGame();
+    await this.ping();
+
+    this.ready = true;
+    console.log('✓ Engine is ready');
+  }
+
+  /**
+   * Resolves true once the engine sends done=1, false if it never does
+   */
+  waitForFeatures() {
+    return new Promise((resolve) => {
+      let timer = setTimeout(() => finish(false), FEATURE_TIMEOUT);
+
+      const onDone = (done) => {
+        if (done) {
+          finish(true);
+        } else {
+          clearTimeout(timer);
+          timer = setTimeout(() => finish(false), STARTUP_TIMEOUT);
+        }
+      };
+
+      const finish = (negotiated) => {
+        clearTimeout(timer);
+        this.removeListener('featuresDone', onDone);
+        resolve(negotiated);
+      };
+
+      this.on('featuresDone', onDone);
+    });
+  }
+
+  /**
+   * Record a feature line and accept or reject each feature
+   */
+  handleFeatures(line) {
+    let done = null;
+
+    for (const [name, value] of parseFeatures(line)) {
+      if (name === 'option') {
+        const option = parseXboardOption(value);
+        if (option) {
+          this.engineOptions.set(option.name.toLowerCase(), option);
+        }
+      } else if (name === 'myname') {
+        this.id.name = value;
+      } else if (name === 'done') {
+        done = value === '1';
+      } else {
+        this.features[name] = value;
+      }
+
+      this.send(`${ACCEPTED_FEATURES.has(name) ? 'accepted' : 'rejected'} ${name}`);
+    }
+
+    if (done !== null) {
+      this.emit('featuresDone', done);
+    }
+  }
+
+  /**
+   * Threads, Hash and SyzygyPath map to cores, memory and egtpath; the rest are engine options
+   */
+  validateOption(name, value) {
+    const key = String(name).toLowerCase();
+
+    // Thinking output has no line index, so several lines can't be told apart
+    if (key === 'multipv' && Number(value) > 1) {
+      return { valid: false, error: 'xboard engines report a single line (multipv 1 only)' };
+    }
+
+    // An engine option of the same name takes precedence over the protocol command
+    if (this.engineOptions.has(key)) {
+      return super.validateOption(name, value);
+    }
+
+    if (key === 'threads' || key === 'hash') {
+      const [label, feature] = key === 'threads' ? ['Threads', 'smp'] : ['Hash', 'memory'];
+      if (this.features[feature] !== '1') {
+        return { valid: false, error: `Engine does not support ${label} (no ${feature} feature)` };
+      }
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        return { valid: false, error: `${label} requires a positive integer` };
+      }
+      return { valid: true, name: label, value: number };
+    }
+
+    if (key === 'syzygypath') {
+      if (!this.features.egt.split(',').includes('syzygy')) {
+        return { valid: false, error: 'Engine does not support Syzygy tablebases (no egt feature)' };
+      }
+      return { valid: true, name: 'SyzygyPath', value: String(value) };
+    }
+
+    if (key === 'ponder') {
+      return { valid: false, error: 'Pondering is not supported for xboard engines' };
+    }
+
+    return super.validateOption(name, value);
+  }
+
+  sendOption(name, value) {
+    const key = name.toLowerCase();
+
+    if (!this.engineOptions.has(key)) {
+      if (key === 'threads') return this.send(`cores ${value}`);
+      if (key === 'hash') return this.send(`memory ${value}`);
+      if (key === 'syzygypath') return this.send(`egtpath syzygy ${value}`);
+    }
+
+    if (value === null || value === undefined) {
+      this.send(`option ${name}`);
+    } else if (typeof value === 'boolean') {
+      this.send(`option ${name}=${value ? 1 : 0}`);
+    } else {
+      this.send(`option ${name}=${value === '<empty>' ? '' : value}`);
+    }
+  }
+
+  /**
+   * Reset the engine's board to the start position and leave it in force mode
+   */
+  sendNewGame() {
+    this.send('new');
+    this.send('force');
+    this.game = { fen: 'startpos', moves: [], chess: new Chess() };
+    this.controls = null;
+  }
+
+  /**
+   * ping/pong if the engine supports it, otherwise a short pause
+   */
+  async ping(timeout = 5000) {
+    if (this.features.ping !== '1') {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return;
+    }
+
+    const id = ++this.pingCounter;
+    this.send(`ping ${id}`);
+    await this.waitForResponse(`pong ${id}`, timeout);
+  }
+
+  sendStop() {
+    // "?" makes the engine move immediately
+    this.send('?');
+  }
+
+  /**
+   * Bring the engine's board to a position
+   * When the position continues the game the engine already has, only the new moves are sent.
+   */
+  setPosition(fen = 'startpos', moves = []) {
+    const game = this.game;
+    const continues = game && game.fen === fen && game.moves.length <= moves.length
+      && game.moves.every((move, index) => moves[index] === move);
+
+    if (continues) {
+      this.send('force');
+    } else {
+      this.sendNewGame();
+      if (fen !== 'startpos') {
+        if (this.features.setboard !== '1') {
+          throw new Error('Engine cannot set up positions (no setboard feature)');
+        }
+        this.send(`setboard ${fen}`);
+        this.game = { fen, moves: [], chess: new Chess(fen) };
+      }
+    }
+
+    for (const move of moves.slice(this.game.moves.length)) {
+      this.sendMove(move);
+    }
+  }
+
+  /**
+   * Send one of our moves (UCI notation) in the form the engine asked for
+   */
+  sendMove(uci) {
+    const move = this.game.chess.move({
+      from: uci.substring(0, 2),
+      to: uci.substring(2, 4),
+      promotion: uci.length > 4 ? uci[4] : undefined
+    });
+    const text = this.features.san === '1' ? move.san : uci;
+
+    this.send(this.features.usermove === '1' ? `usermove ${text}` : text);
+    this.game.moves.push(uci);
+  }
+
+  /**
+   * Send sd/st/level/nps for the limits, then the clocks for a timed search
+   * Controls stay in effect until "new", so they are only sent when they change.
+   */
+  sendControls(limits) {
+    const timed = limits.wtime !== undefined || limits.btime !== undefined;
+    const white = this.game.chess.turn() === 'w';
+    const increment = (white ? limits.winc : limits.binc) || 0;
+    const lines = [];
+
+    if (limits.depth) {
+      lines.push(`sd ${limits.depth}`);
+    }
+
+    if (this.countsNodes(limits)) {
+      // "nps N" + "st 1" is N nodes
+      lines.push(`nps ${limits.nodes}`, 'st 1');
+    } else if (timed) {
+      const clock = (white ? limits.wtime : limits.btime) || 0;
+      lines.push(`level ${limits.movestogo || 0} ${formatLevelTime(clock)} ${increment / 1000}`);
+    } else if (limits.movetime || limits.nodes || !limits.depth) {
+      const seconds = Math.max(1, Math.round((limits.movetime || this.options.moveTime) / 1000));
+      // Nodes is the default search mode, so fall back to time rather than failing every search
+      if (limits.nodes && !this.warnedNoNodes) {
+        console.warn(`⚠ Engine cannot search a fixed number of nodes (no nps feature) - using st ${seconds} instead`);
+        this.warnedNoNodes = true;
+      }
+      lines.push(`st ${seconds}`);
+    } else {
+      // Depth only: no time limit of our own (searchTimeout() still applies)
+      lines.push('st 3600');
+    }
+
+    // The level's base time is only a hint; clocks go in "time"/"otim" below
+    const key = JSON.stringify({ depth: limits.depth, nodes: limits.nodes, movetime: limits.movetime, timed, increment });
+    if (!this.controls || this.controls.key !== key) {
+      lines.forEach(line => this.send(line));
+      this.controls = { key, depth: !!limits.depth, nodes: this.countsNodes(limits) };
+    }
+
+    if (timed && this.features.time !== '0') {
+      const own = (white ? limits.wtime : limits.btime) || 0;
+      const other = (white ? limits.btime : limits.wtime) || 0;
+      this.send(`time ${Math.max(0, Math.round(own / 10))}`);
+      this.send(`otim ${Math.max(0, Math.round(other / 10))}`);
+    }
+  }
+
+  /**
+   * Whether a node limit is searched as one: only engines that announce nps=1 count nodes
+   * instead of time
+   */
+  countsNodes(limits) {
+    return !!limits.nodes && this.features.nps === '1';
+  }
+
+  buildGoCommand() {
+    return 'go';
+  }
+
+  /**
+   * Set up the position and controls, then let the base class send "go" and wait for the move
+   */
+  runSearch(limits, position) {
+    try {
+      if (limits.mate !== undefined || limits.infinite || limits.searchmoves?.length > 0) {
+        throw new Error('xboard engines support depth, nodes, movetime and clock limits only');
+      }
+
+      // sd and nps can only be cleared with "new", which also means setting the board up again
+      const nextKey = { depth: !!limits.depth, nodes: this.countsNodes(limits) };
+      if (this.controls && ((this.controls.depth && !nextKey.depth) || (this.controls.nodes && !nextKey.nodes))) {
+        this.game = null;
+      }
+
+      if (position) {
+        this.setPosition(position.fen, position.moves);
+      } else if (!this.game) {
+        throw new Error('No position set');
+      }
+
+      this.sendControls(limits);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    this.activeSearch = { limits, position: position || { fen: this.game.fen, moves: [...this.game.moves] }, resynced: false };
+    return super.runSearch(limits, null).finally(() => {
+      this.activeSearch = null;
+    });
+  }
+
+  /**
+   * Our board and the engine's no longer agree during a search (an unreadable move, or an
+   * "Illegal move" reply to one of ours): set the board up again and search once more.
+   * A second desync fails the search instead of passing on a move that may be wrong.
+   */
+  resyncSearch(reason) {
+    console.warn(`⚠ ${reason}`);
+    this.game = null;
+
+    const search = this.activeSearch;
+    if (!search || !this.thinking) return;
+
+    if (search.resynced) {
+      this.emit('searchError', new Error(`Engine board out of sync: ${reason}`));
+      return;
+    }
+
+    search.resynced = true;
+    console.warn('  ↻ Setting the engine\'s board up again and repeating the search');
+    try {
+      this.setPosition(search.position.fen, search.position.moves);
+      this.sendControls(search.limits);
+      this.send(this.buildGoCommand(search.limits));
+    } catch (error) {
+      this.emit('searchError', error);
+    }
+  }
+
+  async runAnalysis(limits, position) {
+    if ((limits.multipv || 1) > 1) {
+      throw new Error(this.validateOption('MultiPV', limits.multipv).error);
+    }
+    return super.runAnalysis(limits, position);
+  }
+
+  goPonder() {
+    return Promise.reject(new Error('Pondering is not supported for xboard engines'));
+  }
+
+  isQuietCommand(command) {
+    return QUIET_COMMANDS.some(prefix => command.startsWith(prefix));
+  }
+
+  /**
+   * Handle one line of engine output: moves, thinking output, features and errors
+   */
+  processLine(line) {
+    this.logDebug(`← ${line}`);
+    this.recordOutput(line);
+
+    const info = /^\d/.test(line) ? this.parseThinking(line) : null;
+
+    if (line.startsWith('move ')) {
+      console.log(`← ${line}`);
+      const move = this.game ? playEngineMove(this.game.chess, line.substring(5).trim()) : null;
+
+      if (move) {
+        this.game.moves.push(move);
+        this.emit('bestmove', `bestmove ${move}`);
+      } else {
+        this.resyncSearch(`Could not read the engine's move: ${line}`);
+      }
+    } else if (line === 'resign' || /^(1-0|0-1|1\/2-1\/2)(\s|$)/.test(line)) {
+      // The engine resigned or claimed a result instead of moving
+      console.log(`← ${line}`);
+      if (this.thinking) {
+        this.emit('bestmove', 'bestmove (none)');
+      }
+    } else if (line.startsWith('feature ')) {
+      this.handleFeatures(line);
+    } else if (info) {
+      if (info.pv) {
+        console.log(`← ${line}`);
+      }
+      this.emit('info', line);
+      this.emit('searchInfo', info);
+    } else if (line.startsWith('Illegal move')) {
+      // The engine refused one of our moves, so its board no longer matches ours
+      this.resyncSearch(`Engine: ${line}`);
+    } else if (line.startsWith('Error')) {
+      // Usually "Error (unknown command): easy" - the board is unaffected
+      console.warn(`⚠ Engine: ${line}`);
+    }
+
+    this.emit('output', line);
+  }
+
+  /**
+   * Parse thinking output: "ply score time nodes [seldepth nps tbhits<TAB>] pv"
+   * Returns the same fields as UCIEngine.parseInfo(), or null if the line isn't thinking output.
+   * Time is in centiseconds and mate scores are 100000 + N moves.
+   */
+  parseThinking(line) {
+    const match = line.match(/^(\d+)\s+(-?\d+)\s+(\d+)\s+(\d+)(.*)$/);
+    if (!match) return null;
+
+    const [, ply, score, time, nodes, rest] = match;
+    const info = { depth: parseInt(ply), time: parseInt(time) * 10, nodes: parseInt(nodes), bound: 'exact' };
+
+    let pvText = rest;
+    if (rest.includes('\t')) {
+      const [extra, ...pvParts] = rest.split('\t');
+      const [seldepth, nps, tbhits] = extra.trim().split(/\s+/).map(n => parseInt(n));
+      if (!isNaN(seldepth)) info.seldepth = seldepth;
+      if (!isNaN(nps)) info.nps = nps;
+      if (!isNaN(tbhits)) info.tbhits = tbhits;
+      pvText = pvParts.join(' ');
+    }
+
+    const value = parseInt(score);
+    if (value >= 100000) {
+      info.mate = value - 100000;
+    } else if (value <= -100000) {
+      info.mate = -(-value - 100000);
+    } else {
+      info.score = value;
+    }
+
+    if (info.nps === undefined && info.time > 0) {
+      info.nps = Math.round(info.nodes * 1000 / info.time);
+    }
+
+    const pv = this.game ? this.pvToUci(pvText) : [];
+    if (pv.length > 0) {
+      info.pv = pv;
+    }
+
+    return info;
+  }
+
+  /**
+   * Convert a thinking-output PV (SAN or coordinates, maybe with move numbers) to UCI moves
+   * Stops at the first token that isn't a legal move.
+   */
+  pvToUci(text) {
+    const chess = new Chess(this.game.chess.fen());
+    const pv = [];
+
+    for (const raw of text.trim().split(/\s+/)) {
+      const token = raw.replace(/^\d+\.+/, '').replace(/[!?]+$/, '');
+      if (token === '' || token === '...') continue;
+
+      const move = playEngineMove(chess, token);
+      if (!move) break;
+      pv.push(move);
+    }
+
+    return pv;
+  }
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Chess } from 'chess.js';
+import { findBoardPath } from '../src/board-path.js';
+
+const createGame = fen => (fen ? new Chess(fen) : new Chess());
+
+// Placement after playing UCI moves from the standard start
+function placementAfter(moves) {
+  const game = new Chess();
+  for (const move of moves) {
+    game.move({ from: move.substring(0, 2), to: move.substring(2, 4), promotion: move[4] });
+  }
+  return game.fen().split(' ')[0];
+}
+
+function pathTo(moveHistory, boardMoves) {
+  const path = findBoardPath(placementAfter(boardMoves), { startingFen: null, moveHistory, createGame });
+  return path && { removed: path.removed, added: path.added };
+}
+
+test('a board that matches the history changes nothing', () => {
+  assert.deepEqual(pathTo(['e2e4', 'e7e5'], ['e2e4', 'e7e5']), { removed: [], added: [] });
+});
+
+test('missed plies are added', () => {
+  assert.deepEqual(pathTo(['e2e4', 'e7e5'], ['e2e4', 'e7e5', 'g1f3', 'b8c6']), { removed: [], added: ['g1f3', 'b8c6'] });
+});
+
+test('a knight takeback is not read as the knights moving back', () => {
+  // Ng1-f3 Nb8-c6 taken back shows the same board as Nf3-g1 Nc6-b8 played
+  assert.deepEqual(pathTo(['e2e4', 'e7e5', 'g1f3', 'b8c6'], ['e2e4', 'e7e5']), { removed: ['g1f3', 'b8c6'], added: [] });
+});
+
+test('a one-ply knight takeback followed by a different reply replaces the move', () => {
+  assert.deepEqual(pathTo(['e2e4', 'e7e5', 'g1f3', 'g8f6'], ['e2e4', 'e7e5', 'g1f3', 'b8c6']), { removed: ['g8f6'], added: ['b8c6'] });
+});
+
+test('a board the history cannot reach gives null', () => {
+  assert.equal(pathTo(['e2e4'], ['d2d4', 'd7d5', 'c2c4', 'e7e6', 'b1c3']), null);
+});